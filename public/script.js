@@ -4,25 +4,80 @@ let map;
 let markersLayer;
 let trailLayer;
 let lastAircraft = [];
-let distanceSortAscending = true;
-
-// Auto-refresh state
+// Optional table columns (toggled in the column chooser, remembered in
+// localStorage). `format` returns the cell text for an aircraft.
+const OPTIONAL_COLUMNS = [
+  { key: 'registration', label: 'Reg', format: (ac) => ac.registration || '' },
+  {
+    key: 'country',
+    label: 'Flag',
+    format: (ac) => (ac.country ? `${flagEmoji(ac.countryIso2)} ${ac.country}` : '')
+  },
+  { key: 'operator', label: 'Operator', format: (ac) => ac.operator || '' },
+  { key: 'squawk', label: 'Squawk', format: (ac) => ac.squawk || '' },
+  { key: 'verticalRateFpm', label: 'V/S (fpm)', format: (ac) => formatVerticalRate(ac) },
+  { key: 'altGeomFt', label: 'Geo alt (ft)', format: (ac) => roundOrBlank(ac.altGeomFt) },
+  { key: 'category', label: 'Cat', format: (ac) => ac.category || '' },
+  { key: 'navAltitudeFt', label: 'Sel alt (ft)', format: (ac) => roundOrBlank(ac.navAltitudeFt) },
+  { key: 'navHeadingDeg', label: 'Sel hdg', format: (ac) => roundOrBlank(ac.navHeadingDeg) },
+  { key: 'seenPosSec', label: 'Pos age (s)', format: (ac) => roundOrBlank(ac.seenPosSec) },
+  { key: 'rssi', label: 'RSSI', format: (ac) => (ac.rssi != null ? ac.rssi.toFixed(1) : '') },
+  { key: 'positionSource', label: 'Src', format: (ac) => ac.positionSource || '' }
+];
+const COLUMN_PREFS_KEY = 'adsbviewer.columns';
+let enabledOptionalColumns = new Set();
+
+// Table sort: field on the aircraft object and direction
+let sortField = 'distanceKm';
+let sortAscending = true;
+
+// Auto-refresh state: a live SSE stream, or polling when it is unavailable
 let autoRefreshIntervalId = null;
+let liveStream = null;
+let streamRetryTimeoutId = null;
+let streamAircraftByKey = new Map();
+const POLL_INTERVAL_MS = 5000;
+const STREAM_RETRY_MS = 30000;
+
+// Browser geolocation used as the observer, when enabled ({lat, lon, altM})
+let observerOverride = null;
+
+// Sun/moon position at the observer from the last response ({sun, moon})
+let lastSky = null;
+const TRANSIT_BODY_COLORS = { sun: '#f9a825', moon: '#78909c' };
 
 // trail history: key (icao24 or callsign) -> array of {lat, lon}
 const trails = {};
 const MAX_TRAIL_POINTS = 20;
 
-let airspaceLayer = null;
+// Replay of recorded tracks; null while showing live data. Holds the
+// loaded period, tracks, current time, playback speed and timer.
+let replay = null;
+const REPLAY_TICK_MS = 250;
+// Trail length, and how long an aircraft stays after its last point
+const REPLAY_TRAIL_MS = 10 * 60 * 1000;
+const REPLAY_STALE_MS = 2 * 60 * 1000;
 
-// Simple mapping from location key to GeoJSON URL.
-// Add your own files under /public/airspace/ and adjust as needed.
-const AIRSPACE_GEOJSON_BY_LOCATION = {
-  "1": "/airspace/location-1.geojson",
-  "2": "/airspace/location-2.geojson",
-  "3": "/airspace/location-3.geojson"
+let airspaceLayer = null;
+let airportsLayer = null;
+let coverageLayer = null;
+let zonesLayer = null;
+const ZONE_SOURCE_COLORS = { user: '#00838f', airspace: 'purple' };
+// Zone being drawn on the map ({ points: [[lat, lon]], layer }), else null
+let zoneDraft = null;
+
+// Display names for the server's aircraft sources
+const SOURCE_LABELS = {
+  adsblol: '<a href="https://adsb.lol" target="_blank">ADSB.lol</a>',
+  readsb: 'Local receiver (readsb/dump1090)',
+  feed: 'Local receiver feed (TCP)',
+  opensky: '<a href="https://opensky-network.org" target="_blank">OpenSky Network</a>'
 };
 
+// Locations from /api/locations: key -> location
+let locationsByKey = {};
+let addLocationMode = false;
+
 function updateAirspaceOverlay() {
   if (!map) return;
 
@@ -39,8 +94,9 @@ function updateAirspaceOverlay() {
     return;
   }
 
-  const locKey = locationSelect.value || '2';
-  const url = AIRSPACE_GEOJSON_BY_LOCATION[locKey];
+  const locKey = locationSelect.value;
+  const loc = locationsByKey[locKey];
+  const url = loc && loc.airspaceFile;
   if (!url) {
     console.warn('No airspace GeoJSON configured for location', locKey);
     return;
@@ -68,6 +124,522 @@ function updateAirspaceOverlay() {
     });
 }
 
+// Airports inside the selected radius (from the server's airport database)
+function updateAirportsOverlay() {
+  if (!map) return;
+
+  const toggle = document.getElementById('airportsToggle');
+  if (airportsLayer) {
+    airportsLayer.remove();
+    airportsLayer = null;
+  }
+  if (!toggle || !toggle.checked) return;
+
+  const selected = getSelectedQueryParams();
+  const params = new URLSearchParams({ location: selected.get('location') });
+  if (selected.get('radiusKm')) params.set('radiusKm', selected.get('radiusKm'));
+
+  fetch(`/api/airports?${params.toString()}`)
+    .then((resp) => {
+      if (!resp.ok) {
+        throw new Error('HTTP ' + resp.status);
+      }
+      return resp.json();
+    })
+    .then((data) => {
+      if (airportsLayer) airportsLayer.remove();
+      airportsLayer = L.layerGroup();
+
+      for (const ap of data.airports || []) {
+        const large = ap.type === 'large_airport';
+        const marker = L.circleMarker([ap.lat, ap.lon], {
+          radius: large ? 6 : 4,
+          color: '#1b5e20',
+          weight: 1,
+          fillColor: large ? '#43a047' : '#a5d6a7',
+          fillOpacity: 0.9
+        });
+        const code = ap.iata ? `${ap.iata} / ${ap.icao}` : ap.icao;
+        marker.bindTooltip(ap.iata || ap.icao);
+        marker.bindPopup(`
+          <strong>${code}</strong><br/>
+          ${ap.name}<br/>
+          ${ap.city ? ap.city + ', ' : ''}${ap.countryIso2 || ''}<br/>
+          Elevation: ${ap.elevationFt != null ? ap.elevationFt + ' ft' : 'N/A'}<br/>
+          Distance: ${ap.distanceKm.toFixed(1)} km
+        `);
+        airportsLayer.addLayer(marker);
+      }
+      airportsLayer.addTo(map);
+    })
+    .catch((err) => {
+      console.error('Error loading airports overlay:', err);
+    });
+}
+
+// Band colours of the coverage outline, low to high
+const COVERAGE_BAND_COLORS = {
+  below10k: '#2e7d32',
+  '10k-20k': '#f9a825',
+  '20k-30k': '#ef6c00',
+  above30k: '#6a1b9a'
+};
+
+// Receiver coverage outline of the selected location, one polygon per
+// altitude band plus a dashed outline of all of them
+function updateCoverageOverlay() {
+  if (!map) return;
+
+  const toggle = document.getElementById('coverageToggle');
+  const sourceSelect = document.getElementById('coverageSourceSelect');
+  if (coverageLayer) {
+    coverageLayer.remove();
+    coverageLayer = null;
+  }
+  if (sourceSelect) sourceSelect.hidden = !toggle || !toggle.checked;
+  if (!toggle || !toggle.checked) return;
+
+  const params = new URLSearchParams({
+    location: getSelectedQueryParams().get('location'),
+    sectors: '72'
+  });
+  if (sourceSelect && sourceSelect.value) params.set('source', sourceSelect.value);
+
+  fetch(`/api/coverage?${params.toString()}`)
+    .then((resp) => {
+      if (!resp.ok) {
+        throw new Error('HTTP ' + resp.status);
+      }
+      return resp.json();
+    })
+    .then((data) => {
+      if (coverageLayer) coverageLayer.remove();
+      coverageLayer = L.layerGroup();
+
+      if (sourceSelect) {
+        const current = sourceSelect.value;
+        sourceSelect.innerHTML = '<option value="">All sources</option>';
+        for (const source of data.sources) {
+          const opt = document.createElement('option');
+          opt.value = source;
+          opt.textContent = source;
+          sourceSelect.appendChild(opt);
+        }
+        sourceSelect.value = data.sources.includes(current) ? current : '';
+      }
+
+      const period = data.from ? ` (${data.from} to ${data.to})` : '';
+      for (const band of data.bands) {
+        if (band.maxRangeKm === 0) continue;
+        const all = band.key === 'all';
+        const polygon = L.polygon(band.polygon, {
+          color: all ? '#333' : COVERAGE_BAND_COLORS[band.key],
+          weight: all ? 2 : 1,
+          dashArray: all ? '6 4' : null,
+          fill: !all,
+          fillOpacity: 0.05
+        });
+        polygon.bindTooltip(
+          `${band.label}: max ${band.maxRangeKm.toFixed(0)} km${period}`,
+          { sticky: true }
+        );
+        coverageLayer.addLayer(polygon);
+      }
+      coverageLayer.addTo(map);
+    })
+    .catch((err) => {
+      console.error('Error loading coverage overlay:', err);
+    });
+}
+
+// For feed- or user-supplied text (callsigns, names, errors) in HTML strings
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Floor–ceiling text of a zone, e.g. "SFC–4500 ft"
+function formatZoneLimits(zone) {
+  const floor = zone.floorFt == null || zone.floorFt === 0 ? 'SFC' : `${zone.floorFt} ft`;
+  const ceiling = zone.ceilingFt == null ? 'UNL' : `${zone.ceilingFt} ft`;
+  return `${floor}–${ceiling}`;
+}
+
+async function fetchZones() {
+  const params = new URLSearchParams({ location: getSelectedQueryParams().get('location') });
+  const resp = await fetch(`/api/zones?${params.toString()}`);
+  if (!resp.ok) {
+    throw new Error(`HTTP ${resp.status}`);
+  }
+  return resp.json();
+}
+
+// Geofence zones of the selected location (user-drawn and airspace)
+function updateZonesOverlay() {
+  if (!map) return;
+
+  const toggle = document.getElementById('zonesToggle');
+  if (zonesLayer) {
+    zonesLayer.remove();
+    zonesLayer = null;
+  }
+  if (!toggle || !toggle.checked) return;
+
+  fetchZones()
+    .then((zones) => {
+      if (zonesLayer) zonesLayer.remove();
+      zonesLayer = L.layerGroup();
+      for (const zone of zones) {
+        if (!zone.enabled) continue;
+        const layer = L.geoJSON(zone.geometry, {
+          style: {
+            color: ZONE_SOURCE_COLORS[zone.source],
+            weight: 2,
+            fillOpacity: 0.08
+          }
+        });
+        layer.bindTooltip(
+          `${escapeHtml(zone.name)} (${formatZoneLimits(zone)}): ${zone.aircraftInside} inside`,
+          { sticky: true }
+        );
+        zonesLayer.addLayer(layer);
+      }
+      zonesLayer.addTo(map);
+    })
+    .catch((err) => {
+      console.error('Error loading zones overlay:', err);
+    });
+}
+
+// Fills the location selector from the server; keeps the current selection
+// when it still exists, else `selectKey`, else the server default
+async function loadLocations(selectKey) {
+  const locationSelect = document.getElementById('locationSelect');
+  if (!locationSelect) return;
+
+  const resp = await fetch('/api/locations');
+  if (!resp.ok) {
+    throw new Error(`HTTP ${resp.status}`);
+  }
+  const data = await resp.json();
+
+  const previous = locationSelect.value;
+  locationsByKey = {};
+  locationSelect.innerHTML = '';
+  for (const loc of data.locations || []) {
+    locationsByKey[loc.key] = loc;
+    const opt = document.createElement('option');
+    opt.value = loc.key;
+    opt.textContent = loc.name;
+    locationSelect.appendChild(opt);
+  }
+
+  const wanted = [selectKey, previous, data.defaultKey].find(
+    (key) => key && locationsByKey[key]
+  );
+  if (wanted) {
+    locationSelect.value = wanted;
+  }
+  applyLocationDefaults();
+}
+
+// Selects the location's default radius, adding it to the list if needed
+function applyLocationDefaults() {
+  const locationSelect = document.getElementById('locationSelect');
+  const radiusSelect = document.getElementById('radiusSelect');
+  const loc = locationsByKey[locationSelect.value];
+  if (!loc || !radiusSelect || !loc.radiusKm) return;
+
+  const value = String(loc.radiusKm);
+  const exists = Array.from(radiusSelect.options).some((o) => o.value === value);
+  if (!exists) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = value;
+    radiusSelect.appendChild(opt);
+  }
+  radiusSelect.value = value;
+}
+
+function setAddLocationMode(enabled) {
+  addLocationMode = enabled;
+  const btn = document.getElementById('addLocationBtn');
+  if (btn) {
+    btn.textContent = enabled ? 'Click the map… (cancel)' : 'Add location on map';
+  }
+  const mapEl = document.getElementById('map');
+  if (mapEl) {
+    mapEl.classList.toggle('picking-location', enabled);
+  }
+}
+
+async function addLocationAt(lat, lon) {
+  setAddLocationMode(false);
+
+  const name = prompt(
+    `Name for the new location at ${lat.toFixed(4)}, ${lon.toFixed(4)}:`
+  );
+  if (!name) return;
+
+  const radiusSelect = document.getElementById('radiusSelect');
+  const body = {
+    name,
+    lat,
+    lon,
+    radiusKm: radiusSelect ? Number(radiusSelect.value) : undefined
+  };
+
+  try {
+    const resp = await fetch('/api/locations', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      throw new Error(data.error || `HTTP ${resp.status}`);
+    }
+    await loadLocations(data.key);
+    onSelectionChanged();
+    updateAirspaceOverlay();
+  } catch (err) {
+    console.error(err);
+    alert(`Could not add location: ${err.message}`);
+  }
+}
+
+async function deleteSelectedLocation() {
+  const locationSelect = document.getElementById('locationSelect');
+  const loc = locationsByKey[locationSelect.value];
+  if (!loc) return;
+  if (!confirm(`Delete location "${loc.name}"?`)) return;
+
+  try {
+    const resp = await fetch(`/api/locations/${encodeURIComponent(loc.key)}`, {
+      method: 'DELETE'
+    });
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP ${resp.status}`);
+    }
+    await loadLocations();
+    onSelectionChanged();
+    updateAirspaceOverlay();
+  } catch (err) {
+    console.error(err);
+    alert(`Could not delete location: ${err.message}`);
+  }
+}
+
+// Zone drawing: each map click adds a vertex; finishing asks for a name
+// and altitude limits and saves the polygon as a user zone
+function setZoneDrawMode(enabled) {
+  if (zoneDraft) {
+    zoneDraft.layer.remove();
+    zoneDraft = null;
+  }
+  if (enabled && map) {
+    const layer = L.polygon([], { color: ZONE_SOURCE_COLORS.user, dashArray: '4 4' });
+    zoneDraft = { points: [], layer: layer.addTo(map) };
+  }
+
+  const btn = document.getElementById('drawZoneBtn');
+  if (btn) {
+    btn.textContent = enabled ? 'Finish zone' : 'Draw zone on map';
+  }
+  const cancelBtn = document.getElementById('cancelZoneBtn');
+  if (cancelBtn) cancelBtn.hidden = !enabled;
+  const mapEl = document.getElementById('map');
+  if (mapEl) {
+    mapEl.classList.toggle('picking-location', enabled);
+  }
+}
+
+function addZoneDraftPoint(latlng) {
+  zoneDraft.points.push([latlng.lat, latlng.lng]);
+  zoneDraft.layer.setLatLngs(zoneDraft.points);
+  const btn = document.getElementById('drawZoneBtn');
+  if (btn) btn.textContent = `Finish zone (${zoneDraft.points.length} points)`;
+}
+
+async function finishZoneDraft() {
+  const points = zoneDraft ? zoneDraft.points : [];
+  setZoneDrawMode(false);
+  if (points.length < 3) {
+    alert('A zone needs at least 3 points.');
+    return;
+  }
+
+  const name = prompt('Name for the new zone:');
+  if (!name) return;
+  const floorFt = prompt('Altitude floor in ft (empty = surface):', '');
+  if (floorFt === null) return;
+  const ceilingFt = prompt('Altitude ceiling in ft (empty = unlimited):', '');
+  if (ceilingFt === null) return;
+
+  const body = {
+    name,
+    floorFt: floorFt.trim() || null,
+    ceilingFt: ceilingFt.trim() || null,
+    geometry: {
+      type: 'Polygon',
+      coordinates: [points.map(([lat, lon]) => [lon, lat])]
+    }
+  };
+
+  try {
+    const resp = await fetch('/api/zones', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      throw new Error(data.error || `HTTP ${resp.status}`);
+    }
+    const toggle = document.getElementById('zonesToggle');
+    if (toggle) toggle.checked = true;
+    updateZonesOverlay();
+    if (zonesTabActive()) loadZones();
+  } catch (err) {
+    console.error(err);
+    alert(`Could not add zone: ${err.message}`);
+  }
+}
+
+function zonesTabActive() {
+  const tab = document.getElementById('zonesTab');
+  return !!(tab && tab.classList.contains('active'));
+}
+
+// Zones tab: zones of the selected location with their current occupancy
+async function loadZones() {
+  const tbody = document.getElementById('zonesBody');
+  if (!tbody) return;
+
+  try {
+    const zones = await fetchZones();
+    tbody.innerHTML = '';
+    if (zones.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="6">No zones. Draw one on the map or add features to the location\'s airspace GeoJSON.</td></tr>';
+      return;
+    }
+
+    for (const zone of zones) {
+      const tr = document.createElement('tr');
+      const cells = [
+        zone.name + (zone.enabled ? '' : ' (disabled)'),
+        zone.source === 'user' ? 'Drawn' : 'Airspace',
+        formatZoneLimits(zone),
+        zone.locationKey && locationsByKey[zone.locationKey]
+          ? locationsByKey[zone.locationKey].name
+          : 'All locations',
+        String(zone.aircraftInside)
+      ];
+      for (const text of cells) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+
+      const actions = document.createElement('td');
+      const events = document.createElement('button');
+      events.textContent = 'Events';
+      events.addEventListener('click', () => loadZoneEvents(zone));
+      actions.appendChild(events);
+      if (zone.source === 'user') {
+        const del = document.createElement('button');
+        del.textContent = 'Delete';
+        del.addEventListener('click', () => deleteZone(zone));
+        actions.appendChild(del);
+      }
+      tr.appendChild(actions);
+
+      tbody.appendChild(tr);
+    }
+  } catch (err) {
+    console.error('Error loading zones:', err);
+  }
+}
+
+// Enter/exit events of a zone over the last 7 days, newest first
+async function loadZoneEvents(zone) {
+  const section = document.getElementById('zoneEvents');
+  const tbody = document.getElementById('zoneEventsBody');
+  if (!section || !tbody) return;
+
+  const url = `/api/zones/${encodeURIComponent(zone.id)}/events`;
+  try {
+    const resp = await fetch(url);
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}`);
+    }
+    const data = await resp.json();
+
+    section.hidden = false;
+    document.getElementById('zoneEventsTitle').textContent = `Events: ${zone.name}`;
+    const insideText = data.inside.length
+      ? ` Inside now: ${data.inside.map((a) => a.callsign || a.icao24).join(', ')}.`
+      : '';
+    document.getElementById('zoneEventsSummary').textContent =
+      `${data.summary.entries} entries and ${data.summary.exits} exits by ` +
+      `${data.summary.aircraft} aircraft since ${new Date(data.from).toLocaleString()}.` +
+      insideText;
+    document.getElementById('zoneEventsCsv').href = `${url}?format=csv`;
+
+    tbody.innerHTML = '';
+    for (const e of data.events.slice().reverse()) {
+      const tr = document.createElement('tr');
+      const cells = [
+        new Date(e.at).toLocaleString(),
+        e.type === 'enter' ? 'Entered' : e.lost ? 'Left (lost contact)' : 'Left',
+        e.callsign || '',
+        e.icao24 || '',
+        e.typeCode || '',
+        e.altitudeFt != null ? String(e.altitudeFt) : '',
+        e.durationSec != null ? formatDuration(e.durationSec) : ''
+      ];
+      for (const text of cells) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+  } catch (err) {
+    console.error('Error loading zone events:', err);
+  }
+}
+
+// "1h 05m", "4m 10s"
+function formatDuration(sec) {
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+  return `${m}m ${String(sec % 60).padStart(2, '0')}s`;
+}
+
+async function deleteZone(zone) {
+  if (!confirm(`Delete zone "${zone.name}"?`)) return;
+  try {
+    const resp = await fetch(`/api/zones/${encodeURIComponent(zone.id)}`, {
+      method: 'DELETE'
+    });
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}`);
+    }
+    loadZones();
+    updateZonesOverlay();
+  } catch (err) {
+    console.error(err);
+    alert(`Could not delete zone: ${err.message}`);
+  }
+}
 
 function initMap() {
   const defaultLat = 43.700;
@@ -83,6 +655,14 @@ function initMap() {
   // Trails under markers
   trailLayer = L.layerGroup().addTo(map);
   markersLayer = L.layerGroup().addTo(map);
+
+  map.on('click', (ev) => {
+    if (zoneDraft) {
+      addZoneDraftPoint(ev.latlng);
+    } else if (addLocationMode) {
+      addLocationAt(ev.latlng.lat, ev.latlng.lng);
+    }
+  });
 }
 
 function clearMarkers() {
@@ -92,13 +672,9 @@ function clearMarkers() {
   // Important: we do NOT clear trailLayer here; trails persist and are pruned
 }
 
-function airportCodeFromIcao(icao) {
-  if (!icao) return '';
-  const up = icao.toUpperCase();
-  if (up.length === 4 && (up.startsWith('K') || up.startsWith('C'))) {
-    return up.slice(1);
-  }
-  return up;
+// IATA code when the airport database has one, else the ICAO code
+function airportCode(iata, icao) {
+  return iata || (icao ? icao.toUpperCase() : '');
 }
 
 function addAircraftMarker(ac) {
@@ -126,12 +702,15 @@ function addAircraftMarker(ac) {
   const line1Parts = [];
   if (spdShort != null) line1Parts.push(`${spdShort}kt`);
   if (flightLevelText) line1Parts.push(flightLevelText);
+  if (ac.phase && ac.phase !== 'cruise') line1Parts.push(PHASE_LABELS[ac.phase]);
   const line1 = line1Parts.join(' ');
 
-  const originCode = airportCodeFromIcao(ac.originIcao);
-  const destCode = airportCodeFromIcao(ac.destinationIcao);
+  const originCode = airportCode(ac.originIata, ac.originIcao);
+  const destCode = airportCode(ac.destinationIata, ac.destinationIcao);
   const line2 =
-    originCode && destCode ? `${originCode} → ${destCode}` : '';
+    originCode && destCode
+      ? `${originCode} → ${destCode}${ac.routePlausible === false ? ' ?' : ''}`
+      : '';
 
   let labelHtml = '';
   if (line1 || line2) {
@@ -161,6 +740,23 @@ function addAircraftMarker(ac) {
       : 'N/A';
   const distText =
     ac.distanceKm != null ? ac.distanceKm.toFixed(1) + ' km' : 'N/A';
+  const elevText =
+    ac.elevationDeg != null ? ac.elevationDeg.toFixed(1) + '°' : 'N/A';
+  const slantText =
+    ac.slantRangeKm != null ? ac.slantRangeKm.toFixed(1) + ' km' : 'N/A';
+
+  const vsText =
+    ac.verticalRateFpm != null
+      ? `${verticalRateArrow(ac.verticalRateFpm)} ${Math.round(ac.verticalRateFpm)} fpm`
+      : 'N/A';
+  const squawkText = ac.squawk
+    ? isEmergencySquawk(ac.squawk) || ac.emergency
+      ? `<span class="squawk-emergency">${ac.squawk}${ac.emergency ? ' (' + ac.emergency + ')' : ''}</span>`
+      : ac.squawk
+    : 'N/A';
+  const posAgeText =
+    ac.seenPosSec != null ? `${ac.seenPosSec.toFixed(0)} s ago` : 'N/A';
+  const sourceText = ac.positionSource ? ` (${ac.positionSource})` : '';
 
   const flightAwareUrl = ac.callsign
     ? `https://flightaware.com/live/flight/${encodeURIComponent(
@@ -169,18 +765,51 @@ function addAircraftMarker(ac) {
     : null;
 
   const popupHtml = `
-    <strong>${ac.callsign || ''}</strong><br/>
+    <strong>${ac.callsign || ''}</strong>${
+      ac.registration ? ` – ${ac.registration}` : ''
+    }<br/>
     Model: ${ac.model || ''}<br/>
-    Airline: ${ac.airline || ''}<br/>
+    Airline: ${ac.airline || ''}<br/>${
+      ac.operator && ac.operator !== ac.airline
+        ? `Operator: ${ac.operator}<br/>`
+        : ''
+    }${
+      ac.country
+        ? `Registered: ${flagEmoji(ac.countryIso2)} ${ac.country}${
+            ac.military ? ' (military)' : ''
+          }<br/>`
+        : ''
+    }
     Origin: ${ac.originDisplay || ''}<br/>
-    Destination: ${ac.destinationDisplay || ''}<br/>
-    Alt: ${altText}<br/>
+    Destination: ${ac.destinationDisplay || ''}<br/>${
+      ac.routePlausible === false
+        ? `<span class="route-warning">Route doubtful: ${ac.routeWarning}</span><br/>`
+        : ''
+    }
+    Alt: ${altText} ${verticalRateArrow(ac.verticalRateFpm)}<br/>
+    Vertical rate: ${vsText}<br/>
     Speed: ${spdText}<br/>
+    Squawk: ${squawkText}<br/>
     Heading: ${
       ac.headingDeg != null ? ac.headingDeg.toFixed(0) + '°' : 'N/A'
     }<br/>
     Distance: ${distText}<br/>
+    Position age: ${posAgeText}${sourceText}<br/>
     Look: ${lookText}<br/>
+    Phase: ${ac.phase ? PHASE_LABELS[ac.phase] || ac.phase : 'N/A'}<br/>
+    Elevation: ${elevText} (slant ${slantText})<br/>
+    Visible: ${visibilityText(ac) || 'N/A'}<br/>${
+      ac.zones && ac.zones.length
+        ? `Zones: ${ac.zones.map((z) => escapeHtml(z.name)).join(', ')}<br/>`
+        : ''
+    }${
+      ac.icao24
+        ? `Track: <a href="${trackExportUrl(ac.icao24, 'kml')}">KML</a> · <a href="${trackExportUrl(
+            ac.icao24,
+            'gpx'
+          )}">GPX</a><br/>`
+        : ''
+    }
     FlightAware: ${
       flightAwareUrl
         ? `<a href="${flightAwareUrl}" target="_blank" rel="noopener noreferrer">${ac.callsign}</a>`
@@ -192,6 +821,168 @@ function addAircraftMarker(ac) {
   marker.addTo(markersLayer);
 }
 
+// Dashed dead-reckoned path and CPA point of an approaching aircraft
+function addProjectedPath(ac) {
+  const toggle = document.getElementById('projectedPathsToggle');
+  if (!ac.pass || !toggle || !toggle.checked) return;
+
+  L.polyline(ac.pass.path, {
+    color: ac.pass.overhead ? '#c62828' : '#555',
+    weight: 1.5,
+    opacity: 0.7,
+    dashArray: '4 6'
+  }).addTo(markersLayer);
+  L.circleMarker([ac.pass.lat, ac.pass.lon], {
+    radius: 3,
+    color: ac.pass.overhead ? '#c62828' : '#555',
+    weight: 1,
+    fillOpacity: 0.6
+  })
+    .bindTooltip(`${escapeHtml(ac.callsign || ac.icao24)}: CPA ${ac.pass.cpaKm.toFixed(1)} km`)
+    .addTo(markersLayer);
+}
+
+// "in 3m 05s" until an ISO time, or "now" once it has passed
+function formatCountdown(iso) {
+  const sec = Math.round((Date.parse(iso) - Date.now()) / 1000);
+  if (sec <= 0) return 'now';
+  const min = Math.floor(sec / 60);
+  return min > 0 ? `in ${min}m ${String(sec % 60).padStart(2, '0')}s` : `in ${sec}s`;
+}
+
+// Upcoming passes tab: approaching aircraft by time to CPA
+function renderPasses() {
+  const tbody = document.getElementById('passesBody');
+  if (!tbody) return;
+
+  const passes = lastAircraft
+    .filter((ac) => ac.pass)
+    .sort((a, b) => a.pass.timeToCpaSec - b.pass.timeToCpaSec);
+
+  tbody.innerHTML = '';
+  if (passes.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="9">No passes predicted in the next 15 minutes.</td></tr>';
+    return;
+  }
+
+  for (const ac of passes) {
+    const p = ac.pass;
+    const tr = document.createElement('tr');
+    if (p.overhead) tr.classList.add('pass-overhead');
+    const cells = [
+      ac.callsign || ac.icao24 || '',
+      ac.model || '',
+      formatCountdown(p.cpaAt),
+      new Date(p.cpaAt).toLocaleTimeString(),
+      p.cpaKm.toFixed(1),
+      `${p.lookDirection} (${p.bearingDeg.toFixed(0)}°)`,
+      p.elevationDeg != null ? p.elevationDeg.toFixed(1) : '',
+      p.altitudeFt != null ? p.altitudeFt : '',
+      p.overhead ? 'Yes' : ''
+    ];
+    cells.forEach((text, i) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      // countdown cell, ticked by updateCountdowns
+      if (i === 2) td.dataset.countdownAt = p.cpaAt;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  }
+}
+
+// Marker on the ground where a predicted transit is seen centred
+function addTransitMarkers(ac) {
+  for (const t of ac.transits || []) {
+    const c = t.centreLine;
+    L.circleMarker([c.lat, c.lon], {
+      radius: 6,
+      color: TRANSIT_BODY_COLORS[t.body],
+      weight: 2,
+      fillOpacity: 0.3
+    })
+      .bindTooltip(
+        `${escapeHtml(ac.callsign || ac.icao24)}: ${t.body} transit centred here at ${new Date(
+          c.at
+        ).toLocaleTimeString()}`
+      )
+      .addTo(markersLayer);
+  }
+}
+
+function skyBodyText(name, p) {
+  if (!p) return '';
+  let text = `${name}: az ${p.azimuthDeg.toFixed(1)}° (${p.lookDirection}), el ${p.elevationDeg.toFixed(1)}°`;
+  if (!p.aboveHorizon) text += ' – below horizon';
+  if (p.illumination != null) text += `, ${Math.round(p.illumination * 100)}% lit`;
+  return text;
+}
+
+function renderSkyPositions() {
+  const el = document.getElementById('skyPositions');
+  if (!el) return;
+  el.textContent = lastSky
+    ? `${skyBodyText('Sun', lastSky.sun)} | ${skyBodyText('Moon', lastSky.moon)}`
+    : 'Sun and moon positions unavailable.';
+}
+
+// Transits tab: predicted sun/moon crossings of all aircraft, soonest first
+function renderTransits() {
+  const tbody = document.getElementById('transitsBody');
+  if (!tbody) return;
+
+  const transits = [];
+  for (const ac of lastAircraft) {
+    for (const t of ac.transits || []) transits.push({ ac, t });
+  }
+  transits.sort((a, b) => a.t.timeToTransitSec - b.t.timeToTransitSec);
+
+  tbody.innerHTML = '';
+  if (transits.length === 0) {
+    tbody.innerHTML =
+      '<tr><td colspan="9">No sun or moon transits predicted in the next 15 minutes.</td></tr>';
+    return;
+  }
+
+  for (const { ac, t } of transits) {
+    const c = t.centreLine;
+    const tr = document.createElement('tr');
+    if (t.centred) tr.classList.add('pass-overhead');
+    const cells = [
+      ac.callsign || ac.icao24 || '',
+      t.body === 'sun' ? 'Sun' : 'Moon',
+      formatCountdown(t.at),
+      new Date(t.at).toLocaleTimeString(),
+      `${t.separationDeg.toFixed(2)} (disc ${t.bodyRadiusDeg.toFixed(2)})`,
+      t.centred ? 'Yes' : '',
+      `${t.bodyAzimuthDeg.toFixed(0)}° / ${t.bodyElevationDeg.toFixed(0)}°`,
+      `${c.lat.toFixed(5)}, ${c.lon.toFixed(5)}`,
+      `${c.distanceKm.toFixed(1)} km ${c.bearingDeg.toFixed(0)}° at ${new Date(
+        c.at
+      ).toLocaleTimeString()}`
+    ];
+    cells.forEach((text, i) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (i === 2) td.dataset.countdownAt = t.at;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  }
+}
+
+// Ticks the countdown cells of the passes and transits tabs
+function updateCountdowns() {
+  document.querySelectorAll('td[data-countdown-at]').forEach((td) => {
+    td.textContent = formatCountdown(td.dataset.countdownAt);
+  });
+}
+
+// Download link for an aircraft's recorded track (last 24 hours)
+function trackExportUrl(hex, format) {
+  return `/api/tracks/${encodeURIComponent(hex)}?format=${format}`;
+}
+
 // Update in-memory trails based on lastAircraft, then redraw polylines
 function updateAndDrawTrails() {
   if (!trailLayer || !map) return;
@@ -240,6 +1031,19 @@ function updateAndDrawTrails() {
   }
 }
 
+// Server flight phases, in display order
+const PHASE_LABELS = {
+  ground: 'Ground',
+  takeoff: 'Takeoff',
+  climb: 'Climb',
+  cruise: 'Cruise',
+  descent: 'Descent',
+  approach: 'Approach',
+  landing: 'Landing',
+  'go-around': 'Go-around',
+  holding: 'Holding'
+};
+
 // Stats tab rendering
 function renderStats() {
   const statsEl = document.getElementById('statsContent');
@@ -263,12 +1067,18 @@ function renderStats() {
   // Airline counts
   const airlineCounts = {};
 
+  // Flight phase counts
+  const phaseCounts = {};
+
   // Distances
   let distSum = 0;
   let distCount = 0;
   let maxDist = 0;
 
   for (const ac of lastAircraft) {
+    const phase = ac.phase || 'unknown';
+    phaseCounts[phase] = (phaseCounts[phase] || 0) + 1;
+
     const alt = ac.altitudeFt != null ? ac.altitudeFt : null;
     if (alt != null) {
       if (alt < 5000) bands['<5000']++;
@@ -277,8 +1087,18 @@ function renderStats() {
       else bands['>20k']++;
     }
 
-    const airline = ac.airline || 'Unknown';
-    airlineCounts[airline] = (airlineCounts[airline] || 0) + 1;
+    // Group by ICAO designator so feed operator names and database names
+    // for the same carrier land in one row
+    const airlineKey = ac.airlineIcao || ac.airline || 'Unknown';
+    if (!airlineCounts[airlineKey]) {
+      airlineCounts[airlineKey] = {
+        label: ac.airlineIcao
+          ? `${ac.airline || ac.airlineIcao} (${ac.airlineIcao})`
+          : ac.airline || 'Unknown',
+        count: 0
+      };
+    }
+    airlineCounts[airlineKey].count++;
 
     if (ac.distanceKm != null) {
       distSum += ac.distanceKm;
@@ -292,8 +1112,8 @@ function renderStats() {
   const avgDist = distCount > 0 ? distSum / distCount : null;
 
   // Top airlines by count
-  const topAirlines = Object.entries(airlineCounts)
-    .sort((a, b) => b[1] - a[1])
+  const topAirlines = Object.values(airlineCounts)
+    .sort((a, b) => b.count - a.count)
     .slice(0, 10);
 
   let html = '';
@@ -307,6 +1127,26 @@ function renderStats() {
     )} km (max ${maxDist.toFixed(1)} km)</p>`;
   }
 
+  html += `
+    <h3>Flight Phases</h3>
+    <table>
+      <thead>
+        <tr>
+          <th>Phase</th>
+          <th>Count</th>
+        </tr>
+      </thead>
+      <tbody>
+  `;
+  for (const phase of [...Object.keys(PHASE_LABELS), 'unknown']) {
+    if (!phaseCounts[phase]) continue;
+    html += `<tr><td>${PHASE_LABELS[phase] || 'Unknown'}</td><td>${phaseCounts[phase]}</td></tr>`;
+  }
+  html += `
+      </tbody>
+    </table>
+  `;
+
   html += `
     <h3>Altitude Distribution</h3>
     <table>
@@ -337,8 +1177,8 @@ function renderStats() {
       <tbody>
   `;
 
-  for (const [airline, count] of topAirlines) {
-    html += `<tr><td>${airline}</td><td>${count}</td></tr>`;
+  for (const { label, count } of topAirlines) {
+    html += `<tr><td>${label}</td><td>${count}</td></tr>`;
   }
 
   html += `
@@ -349,26 +1189,793 @@ function renderStats() {
   statsEl.innerHTML = html;
 }
 
-function renderView() {
-  const tbody = document.getElementById('resultsBody');
-  if (!tbody) return;
+// Historical stats (/api/stats) for the period chosen in the Stats tab
+function statsPeriodDays() {
+  const select = document.getElementById('statsPeriodSelect');
+  return select && select.value !== 'live' ? Number(select.value) : null;
+}
 
-  tbody.innerHTML = '';
-  clearMarkers();
+function statsTabActive() {
+  const tab = document.getElementById('statsTab');
+  return !!(tab && tab.classList.contains('active'));
+}
 
-  if (!lastAircraft || lastAircraft.length === 0) {
+// Horizontal bars: rows of { label, count }
+function barChartHtml(rows) {
+  if (rows.length === 0) return '<p>No data.</p>';
+  const max = Math.max(...rows.map((r) => r.count));
+  return `<div class="bar-chart">${rows
+    .map(
+      (r) => `
+      <div class="bar-row">
+        <span class="bar-label">${r.label}</span>
+        <span class="bar-track"><span class="bar" style="width: ${(
+          (r.count / max) *
+          100
+        ).toFixed(1)}%"></span></span>
+        <span class="bar-value">${r.count}</span>
+      </div>`
+    )
+    .join('')}</div>`;
+}
+
+// Vertical columns: rows of { label, count, title }
+function columnChartHtml(rows) {
+  const max = Math.max(1, ...rows.map((r) => r.count));
+  return `<div class="column-chart">${rows
+    .map(
+      (r) => `
+      <div class="column" title="${r.title}: ${r.count}">
+        <span class="column-bar" style="height: ${((r.count / max) * 100).toFixed(1)}%"></span>
+        <span class="column-label">${r.label}</span>
+      </div>`
+    )
+    .join('')}</div>`;
+}
+
+function renderHistoryStats(s) {
+  const el = document.getElementById('historyStatsContent');
+  if (!el) return;
+
+  const countryLabel = (c) => `${flagEmoji(c.iso2)} ${c.country}`;
+  // Label every day on short periods, only the first of each month on long ones
+  const longPeriod = s.perDay.length > 31;
+
+  let html = `<h2>Flights ${s.from === s.to ? `on ${s.from}` : `${s.from} to ${s.to}`}</h2>`;
+  html += `<p><strong>Flights logged:</strong> ${s.totalFlights} | <strong>Unique aircraft:</strong> ${s.uniqueAircraft}</p>`;
+
+  if (s.perDay.length > 1) {
+    html += '<h3>Flights per Day</h3>';
+    html += columnChartHtml(
+      s.perDay.map((d) => ({
+        label: !longPeriod || d.date.endsWith('-01') ? d.date.slice(5) : '',
+        title: d.date,
+        count: d.count
+      }))
+    );
+  }
+
+  html += '<h3>Flights by Hour of Day</h3>';
+  html += columnChartHtml(
+    s.perHourOfDay.map((count, hour) => ({
+      label: String(hour).padStart(2, '0'),
+      title: `${String(hour).padStart(2, '0')}:00`,
+      count
+    }))
+  );
+
+  html += '<h3>Busiest Hours</h3>';
+  html += barChartHtml(
+    s.busiestHours.map((h) => ({ label: h.hour.replace('T', ' '), count: h.count }))
+  );
+
+  html += '<h3>Top Airlines</h3>';
+  html += barChartHtml(
+    s.topAirlines.map((a) => ({
+      label: a.name && a.name !== a.airline ? `${a.name} (${a.airline})` : a.airline,
+      count: a.count
+    }))
+  );
+
+  html += '<h3>Aircraft Types</h3>';
+  html += barChartHtml(
+    s.topTypes.map((t) => ({
+      label: t.model && t.model !== t.typeCode ? t.model : t.typeCode,
+      count: t.count
+    }))
+  );
+
+  html += '<h3>Top Routes</h3>';
+  html += barChartHtml(
+    s.topRoutes.map((r) => ({ label: `${r.origin} → ${r.destination}`, count: r.count }))
+  );
+
+  html += '<h3>Origin Countries</h3>';
+  html += barChartHtml(
+    s.originCountries.map((c) => ({ label: countryLabel(c), count: c.count }))
+  );
+
+  html += '<h3>Destination Countries</h3>';
+  html += barChartHtml(
+    s.destinationCountries.map((c) => ({ label: countryLabel(c), count: c.count }))
+  );
+
+  html += '<h3>New Aircraft Types</h3>';
+  if (s.newTypes.length === 0) {
+    html += '<p>No types seen for the first time in this period.</p>';
+  } else {
+    html += '<table><thead><tr><th>Type</th><th>Model</th><th>First seen</th></tr></thead><tbody>';
+    for (const t of s.newTypes) {
+      html += `<tr><td>${t.typeCode}</td><td>${t.model || ''}</td><td>${t.firstSeen}</td></tr>`;
+    }
+    html += '</tbody></table>';
+  }
+
+  el.innerHTML = html;
+}
+
+async function fetchHistoryStats() {
+  const el = document.getElementById('historyStatsContent');
+  const days = statsPeriodDays();
+  if (!el || days == null) return;
+
+  const params = new URLSearchParams({
+    days: String(days),
+    // Hour-of-day buckets in the browser's time zone
+    utcOffsetMin: String(-new Date().getTimezoneOffset())
+  });
+  const locationOnly = document.getElementById('statsLocationOnly');
+  if (locationOnly && locationOnly.checked) {
+    params.set('location', document.getElementById('locationSelect').value);
+  }
+
+  el.innerHTML = '<p>Loading statistics...</p>';
+  try {
+    const resp = await fetch(`/api/stats?${params.toString()}`);
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}`);
+    }
+    renderHistoryStats(await resp.json());
+  } catch (err) {
+    console.error(err);
+    el.innerHTML = `<p>Error loading statistics: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+// Period selector: the live snapshot or a history period
+function onStatsPeriodChanged() {
+  const live = statsPeriodDays() == null;
+  const statsEl = document.getElementById('statsContent');
+  const historyEl = document.getElementById('historyStatsContent');
+  const locationOnly = document.getElementById('statsLocationOnly');
+  if (statsEl) statsEl.hidden = !live;
+  if (historyEl) historyEl.hidden = live;
+  if (locationOnly) locationOnly.disabled = live;
+  if (!live) fetchHistoryStats();
+}
+
+// Weather tab rendering
+function formatWind(wind) {
+  if (!wind || wind.speedKt == null) return 'N/A';
+  if (wind.speedKt === 0) return 'Calm';
+  const dir = wind.variable
+    ? 'Variable'
+    : wind.directionDeg != null
+    ? `${String(wind.directionDeg).padStart(3, '0')}°`
+    : '';
+  let text = `${dir} ${wind.speedKt} kt`;
+  if (wind.gustKt) text += `, gusting ${wind.gustKt} kt`;
+  return text;
+}
+
+function formatClouds(clouds) {
+  if (!clouds || clouds.length === 0) return 'N/A';
+  return clouds
+    .map((c) => (c.baseFt != null ? `${c.cover} ${c.baseFt.toLocaleString()} ft` : c.cover))
+    .join(', ');
+}
+
+function flightCategoryBadge(category) {
+  return category
+    ? `<span class="flight-category ${category}">${category}</span>`
+    : '';
+}
+
+function renderWeather(data) {
+  const el = document.getElementById('weatherContent');
+  if (!el) return;
+
+  if (!data || !data.station) {
+    el.innerHTML = '<p>No weather station found near this location.</p>';
+    return;
+  }
+
+  const m = data.metar;
+  let html = `<h2>Weather – ${data.station}${
+    data.stationName ? ` (${data.stationName})` : ''
+  }</h2>`;
+  if (data.distanceKm != null) {
+    html += `<p>Nearest reporting station, ${data.distanceKm.toFixed(0)} km away.</p>`;
+  }
+
+  if (!m) {
+    html += '<p>No current METAR.</p>';
+  } else {
+    const vis =
+      m.visibilitySm != null ? `${m.visibilitySm} SM` : 'N/A';
+    const temp =
+      m.temperatureC != null
+        ? `${m.temperatureC} °C / dew point ${m.dewpointC != null ? m.dewpointC + ' °C' : 'N/A'}`
+        : 'N/A';
+    const altim =
+      m.altimeterHpa != null
+        ? `${m.altimeterHpa} hPa (${m.altimeterInHg} inHg)`
+        : 'N/A';
+
+    html += `
+      <h3>METAR ${flightCategoryBadge(m.flightCategory)}</h3>
+      <p class="raw-report">${m.raw || ''}</p>
+      <table>
+        <tbody>
+          <tr><th>Observed</th><td>${m.observedAt ? new Date(m.observedAt).toLocaleString() : 'N/A'}</td></tr>
+          <tr><th>Wind</th><td>${formatWind(m.wind)}</td></tr>
+          <tr><th>Visibility</th><td>${vis}</td></tr>
+          <tr><th>Weather</th><td>${m.weather || 'None'}</td></tr>
+          <tr><th>Clouds</th><td>${formatClouds(m.clouds)}</td></tr>
+          <tr><th>Ceiling</th><td>${m.ceilingFt != null ? m.ceilingFt.toLocaleString() + ' ft' : 'None'}</td></tr>
+          <tr><th>Temperature</th><td>${temp}</td></tr>
+          <tr><th>Altimeter</th><td>${altim}</td></tr>
+        </tbody>
+      </table>
+    `;
+  }
+
+  const t = data.taf;
+  if (t) {
+    html += `
+      <h3>TAF</h3>
+      <p class="raw-report">${t.raw || ''}</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Period</th>
+            <th>Change</th>
+            <th>Wind</th>
+            <th>Visibility</th>
+            <th>Weather</th>
+            <th>Clouds</th>
+            <th>Category</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+    for (const p of t.periods || []) {
+      const from = p.from ? new Date(p.from).toLocaleString() : '';
+      const to = p.to ? new Date(p.to).toLocaleTimeString() : '';
+      html += `<tr>
+        <td>${from} – ${to}</td>
+        <td>${p.change || ''}${p.probability ? ` ${p.probability}%` : ''}</td>
+        <td>${formatWind(p.wind)}</td>
+        <td>${p.visibilitySm != null ? p.visibilitySm + ' SM' : ''}</td>
+        <td>${p.weather || ''}</td>
+        <td>${formatClouds(p.clouds)}</td>
+        <td>${flightCategoryBadge(p.flightCategory)}</td>
+      </tr>`;
+    }
+    html += '</tbody></table>';
+  }
+
+  el.innerHTML = html;
+}
+
+async function fetchWeather() {
+  const el = document.getElementById('weatherContent');
+  const locationSelect = document.getElementById('locationSelect');
+  if (!el || !locationSelect || !locationSelect.value) return;
+
+  el.innerHTML = '<p>Loading weather...</p>';
+  try {
+    const params = new URLSearchParams({ location: locationSelect.value });
+    const resp = await fetch(`/api/weather?${params}`);
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}`);
+    }
+    renderWeather(await resp.json());
+  } catch (err) {
+    console.error(err);
+    el.innerHTML = `<p>Error fetching weather: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+// Airports tab: arrivals / departures board for one airport in the radius
+const BOARD_REFRESH_MS = 30000;
+let boardRefreshIntervalId = null;
+
+async function loadBoardAirports() {
+  const select = document.getElementById('boardAirportSelect');
+  if (!select) return;
+
+  const selected = getSelectedQueryParams();
+  const params = new URLSearchParams({ location: selected.get('location') });
+  if (selected.get('radiusKm')) params.set('radiusKm', selected.get('radiusKm'));
+
+  const resp = await fetch(`/api/airports?${params}`);
+  if (!resp.ok) {
+    throw new Error(`HTTP ${resp.status}`);
+  }
+  const data = await resp.json();
+
+  const previous = select.value;
+  select.innerHTML = '';
+  for (const ap of data.airports || []) {
+    const opt = document.createElement('option');
+    opt.value = ap.icao;
+    opt.textContent = `${ap.iata || ap.icao} – ${ap.name} (${ap.distanceKm.toFixed(0)} km)`;
+    select.appendChild(opt);
+  }
+  if (previous && data.airports.some((ap) => ap.icao === previous)) {
+    select.value = previous;
+  }
+}
+
+function boardRowsHtml(entries, kind) {
+  if (!entries.length) {
+    return `<tr><td colspan="8">None</td></tr>`;
+  }
+
+  return entries
+    .map((e) => {
+      const other =
+        kind === 'arrival'
+          ? airportCode(e.originIata, e.originIcao)
+          : airportCode(e.destinationIata, e.destinationIcao);
+      const eta = e.eta
+        ? `${new Date(e.eta).toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit'
+          })} (${e.etaMin} min)`
+        : '';
+      return `<tr>
+        <td>${escapeHtml(e.callsign || e.icao24 || '')}</td>
+        <td>${escapeHtml(e.airline || '')}</td>
+        <td>${escapeHtml(other)}</td>
+        <td>${escapeHtml(e.model || '')}</td>
+        <td>${e.heightAglFt != null ? Math.round(e.heightAglFt) : ''}</td>
+        <td>${formatVerticalRate(e)}</td>
+        <td>${e.distanceKm.toFixed(1)}</td>
+        <td>${escapeHtml(kind === 'arrival' ? eta || e.status : e.status)}</td>
+      </tr>`;
+    })
+    .join('');
+}
+
+function boardTableHtml(title, entries, kind) {
+  const otherLabel = kind === 'arrival' ? 'From' : 'To';
+  const lastLabel = kind === 'arrival' ? 'ETA' : 'Status';
+  return `
+    <h3>${title} (${entries.length})</h3>
+    <table class="board-table">
+      <thead>
+        <tr>
+          <th>Callsign</th><th>Airline</th><th>${otherLabel}</th><th>Model</th>
+          <th>Height AGL (ft)</th><th>V/S (fpm)</th><th>Distance (km)</th>
+          <th>${lastLabel}</th>
+        </tr>
+      </thead>
+      <tbody>${boardRowsHtml(entries, kind)}</tbody>
+    </table>
+  `;
+}
+
+function renderAirportBoard(data) {
+  const el = document.getElementById('boardContent');
+  if (!el) return;
+
+  const ap = data.airport;
+  let html = `<h2>${escapeHtml(
+    `${ap.iata ? ap.iata + ' / ' : ''}${ap.icao} – ${ap.name}`
+  )}</h2>`;
+  html += `<p class="board-note">Inferred from live traffic at ${new Date(
+    data.generatedAt
+  ).toLocaleTimeString()}; ETA assumes a direct track at current groundspeed.</p>`;
+  html += boardTableHtml('Arrivals', data.arrivals, 'arrival');
+  html += boardTableHtml('Departures', data.departures, 'departure');
+  if (data.onGround.length) {
+    html += boardTableHtml('On ground', data.onGround, 'departure');
+  }
+  el.innerHTML = html;
+}
+
+async function fetchAirportBoard() {
+  const el = document.getElementById('boardContent');
+  const select = document.getElementById('boardAirportSelect');
+  if (!el || !select) return;
+
+  if (!select.value) {
+    el.innerHTML = '<p>No airports in the selected radius.</p>';
+    return;
+  }
+
+  try {
+    const selected = getSelectedQueryParams();
+    const params = new URLSearchParams({ location: selected.get('location') });
+    if (selected.get('radiusKm')) params.set('radiusKm', selected.get('radiusKm'));
+
+    const resp = await fetch(
+      `/api/airports/${encodeURIComponent(select.value)}/board?${params}`
+    );
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}`);
+    }
+    renderAirportBoard(await resp.json());
+  } catch (err) {
+    console.error(err);
+    el.innerHTML = `<p>Error fetching airport board: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+function showAirportsTab() {
+  const el = document.getElementById('boardContent');
+  if (el && !el.innerHTML) el.innerHTML = '<p>Loading...</p>';
+
+  loadBoardAirports()
+    .then(fetchAirportBoard)
+    .catch((err) => {
+      console.error(err);
+      if (el) el.innerHTML = `<p>Error loading airports: ${escapeHtml(err.message)}</p>`;
+    });
+
+  if (!boardRefreshIntervalId) {
+    boardRefreshIntervalId = setInterval(fetchAirportBoard, BOARD_REFRESH_MS);
+  }
+}
+
+function stopBoardRefresh() {
+  if (boardRefreshIntervalId) {
+    clearInterval(boardRefreshIntervalId);
+    boardRefreshIntervalId = null;
+  }
+}
+
+function airportsTabActive() {
+  const tab = document.getElementById('airportsTab');
+  return !!(tab && tab.classList.contains('active'));
+}
+
+// "Visible?" column / popup text from the server's spotter fields
+function visibilityText(ac) {
+  if (ac.visible == null) return '';
+  if (!ac.lineOfSight) return 'No (below horizon)';
+  if (ac.aboveClouds) return 'No (above clouds)';
+  return 'Yes';
+}
+
+function setSort(field, defaultAscending) {
+  if (sortField === field) {
+    sortAscending = !sortAscending;
+  } else {
+    sortField = field;
+    sortAscending = defaultAscending;
+  }
+  renderView();
+}
+
+// ---------------------------------------------------------------------
+// Watch rules & alerts
+// ---------------------------------------------------------------------
+
+let alertStream = null;
+
+function describeRuleMatch(match) {
+  const parts = [];
+  if (match.callsign) parts.push(`callsign ${match.callsign}`);
+  if (match.icao24) parts.push(`hex ${match.icao24.join(', ')}`);
+  if (match.aircraftType) parts.push(`type ${match.aircraftType}`);
+  if (match.airline) parts.push(`airline ${match.airline}`);
+  if (match.altitudeBelowFt != null) parts.push(`below ${match.altitudeBelowFt} ft`);
+  if (match.passWithinKm != null) parts.push(`passing within ${match.passWithinKm} km`);
+  if (match.emergency) parts.push('emergency squawk');
+  if (match.origin) parts.push(`from ${match.origin}`);
+  if (match.destination) parts.push(`to ${match.destination}`);
+  return parts.join('; ');
+}
+
+function describeAlert(alert) {
+  const ac = alert.aircraft || {};
+  const who = ac.callsign || ac.icao24 || alert.aircraftKey;
+  const dist = ac.distanceKm != null ? ` ${ac.distanceKm.toFixed(0)} km away` : '';
+  return `${alert.ruleName}: ${who} near ${alert.locationName}${dist} (${alert.reason})`;
+}
+
+function prependAlertLogEntry(alert) {
+  const list = document.getElementById('alertLog');
+  if (!list) return;
+  const li = document.createElement('li');
+  li.textContent = `${new Date(alert.at).toLocaleString()} – ${describeAlert(alert)}`;
+  list.insertBefore(li, list.firstChild);
+}
+
+async function loadWatchRules() {
+  const tbody = document.getElementById('watchRulesBody');
+  if (!tbody) return;
+
+  try {
+    const resp = await fetch('/api/watch-rules');
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}`);
+    }
+    const rules = await resp.json();
+
+    tbody.innerHTML = '';
+    for (const rule of rules) {
+      const tr = document.createElement('tr');
+      const loc = rule.locationKey ? locationsByKey[rule.locationKey] : null;
+      const cells = [
+        rule.name,
+        loc ? loc.name : 'All locations',
+        describeRuleMatch(rule.match),
+        String(rule.cooldownMin),
+        rule.webhookUrl || ''
+      ];
+      for (const text of cells) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+
+      const actions = document.createElement('td');
+      const del = document.createElement('button');
+      del.textContent = 'Delete';
+      del.addEventListener('click', () => deleteWatchRule(rule.id));
+      actions.appendChild(del);
+      tr.appendChild(actions);
+
+      tbody.appendChild(tr);
+    }
+  } catch (err) {
+    console.error('Error loading watch rules:', err);
+  }
+}
+
+async function loadAlertLog() {
+  const list = document.getElementById('alertLog');
+  if (!list) return;
+
+  try {
+    const resp = await fetch('/api/alerts?limit=50');
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}`);
+    }
+    const alerts = await resp.json();
+    list.innerHTML = '';
+    for (const alert of alerts) {
+      prependAlertLogEntry(alert);
+    }
+  } catch (err) {
+    console.error('Error loading alerts:', err);
+  }
+}
+
+function populateRuleLocationOptions() {
+  const form = document.getElementById('watchRuleForm');
+  if (!form) return;
+  const select = form.elements.locationKey;
+  select.length = 1; // keep "All locations"
+  for (const loc of Object.values(locationsByKey)) {
+    const opt = document.createElement('option');
+    opt.value = loc.key;
+    opt.textContent = loc.name;
+    select.appendChild(opt);
+  }
+}
+
+async function submitWatchRule(ev) {
+  ev.preventDefault();
+  const form = ev.target;
+  const f = form.elements;
+
+  const body = {
+    name: f.name.value,
+    locationKey: f.locationKey.value || null,
+    cooldownMin: f.cooldownMin.value,
+    webhookUrl: f.webhookUrl.value || null,
+    match: {
+      callsign: f.callsign.value || null,
+      icao24: f.icao24.value || null,
+      aircraftType: f.aircraftType.value || null,
+      airline: f.airline.value || null,
+      altitudeBelowFt: f.altitudeBelowFt.value || null,
+      passWithinKm: f.passWithinKm.value || null,
+      emergency: f.emergency.checked,
+      origin: f.origin.value || null,
+      destination: f.destination.value || null
+    }
+  };
+
+  try {
+    const resp = await fetch('/api/watch-rules', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      throw new Error(data.error || `HTTP ${resp.status}`);
+    }
+    form.reset();
+    loadWatchRules();
+  } catch (err) {
+    console.error(err);
+    alert(`Could not add rule: ${err.message}`);
+  }
+}
+
+async function deleteWatchRule(id) {
+  if (!confirm('Delete this watch rule?')) return;
+  try {
+    const resp = await fetch(`/api/watch-rules/${encodeURIComponent(id)}`, {
+      method: 'DELETE'
+    });
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}`);
+    }
+    loadWatchRules();
+  } catch (err) {
+    console.error(err);
+    alert(`Could not delete rule: ${err.message}`);
+  }
+}
+
+function notificationsEnabled() {
+  const toggle = document.getElementById('notificationsToggle');
+  return (
+    !!(toggle && toggle.checked) &&
+    window.Notification &&
+    Notification.permission === 'granted'
+  );
+}
+
+function startAlertStream() {
+  if (alertStream || !window.EventSource) return;
+  alertStream = new EventSource('/api/alerts/stream');
+  alertStream.addEventListener('alert', (ev) => {
+    const alertData = JSON.parse(ev.data);
+    prependAlertLogEntry(alertData);
+    if (notificationsEnabled()) {
+      new Notification('Aircraft alert', {
+        body: describeAlert(alertData),
+        tag: alertData.id
+      });
+    }
+  });
+}
+
+async function setNotifications(enabled) {
+  const toggle = document.getElementById('notificationsToggle');
+  if (!enabled) return;
+
+  if (!window.Notification) {
+    alert('Notifications are not supported in this browser.');
+    if (toggle) toggle.checked = false;
+    return;
+  }
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted' && toggle) {
+    toggle.checked = false;
+  }
+}
+
+// ISO 3166 alpha-2 code -> regional indicator flag emoji
+function flagEmoji(iso2) {
+  if (!iso2 || !/^[A-Za-z]{2}$/.test(iso2)) return '';
+  return String.fromCodePoint(
+    ...iso2.toUpperCase().split('').map((c) => 0x1f1e6 + c.charCodeAt(0) - 65)
+  );
+}
+
+function roundOrBlank(value) {
+  return value != null ? Math.round(value).toString() : '';
+}
+
+// Climb/descent arrow; level within ±100 fpm
+function verticalRateArrow(fpm) {
+  if (fpm == null) return '';
+  if (fpm > 100) return '↑';
+  if (fpm < -100) return '↓';
+  return '→';
+}
+
+function formatVerticalRate(ac) {
+  if (ac.verticalRateFpm == null) return '';
+  return `${verticalRateArrow(ac.verticalRateFpm)} ${Math.round(ac.verticalRateFpm)}`;
+}
+
+function isEmergencySquawk(squawk) {
+  return squawk === '7500' || squawk === '7600' || squawk === '7700';
+}
+
+function loadColumnPrefs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COLUMN_PREFS_KEY) || '[]');
+    enabledOptionalColumns = new Set(saved);
+  } catch (err) {
+    enabledOptionalColumns = new Set();
+  }
+}
+
+function saveColumnPrefs() {
+  localStorage.setItem(
+    COLUMN_PREFS_KEY,
+    JSON.stringify(Array.from(enabledOptionalColumns))
+  );
+}
+
+function renderColumnChooser() {
+  const el = document.getElementById('columnChooser');
+  if (!el) return;
+  el.innerHTML = '';
+
+  for (const col of OPTIONAL_COLUMNS) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = enabledOptionalColumns.has(col.key);
+    input.addEventListener('change', () => {
+      if (input.checked) enabledOptionalColumns.add(col.key);
+      else enabledOptionalColumns.delete(col.key);
+      saveColumnPrefs();
+      renderOptionalHeaders();
+      renderView();
+    });
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(' ' + col.label));
+    el.appendChild(label);
+  }
+}
+
+function renderOptionalHeaders() {
+  const headRow = document.querySelector('#resultsTable thead tr');
+  if (!headRow) return;
+
+  headRow.querySelectorAll('th.optional-column').forEach((th) => th.remove());
+  for (const col of OPTIONAL_COLUMNS) {
+    if (!enabledOptionalColumns.has(col.key)) continue;
+    const th = document.createElement('th');
+    th.className = 'optional-column';
+    th.textContent = col.label;
+    headRow.appendChild(th);
+  }
+}
+
+function renderView() {
+  const tbody = document.getElementById('resultsBody');
+  if (!tbody) return;
+
+  // In replay mode the map shows recorded tracks, not lastAircraft
+  const drawMap = !replay;
+
+  tbody.innerHTML = '';
+  if (drawMap) clearMarkers();
+
+  if (!lastAircraft || lastAircraft.length === 0) {
     // still update stats (shows "no data")
     renderStats();
-    updateAndDrawTrails();
+    renderPasses();
+    renderTransits();
+    if (drawMap) updateAndDrawTrails();
     return;
   }
 
   const sorted = [...lastAircraft];
 
+  // Missing values always sort last
   sorted.sort((a, b) => {
-    const da = a.distanceKm != null ? a.distanceKm : Infinity;
-    const db = b.distanceKm != null ? b.distanceKm : Infinity;
-    return distanceSortAscending ? da - db : db - da;
+    const va = a[sortField];
+    const vb = b[sortField];
+    if (va == null && vb == null) return 0;
+    if (va == null) return 1;
+    if (vb == null) return -1;
+    return sortAscending ? va - vb : vb - va;
   });
 
   for (const ac of sorted) {
@@ -390,46 +1997,183 @@ function renderView() {
     }
     const distText =
       ac.distanceKm != null ? ac.distanceKm.toFixed(1) : '';
+    const elevText =
+      ac.elevationDeg != null ? ac.elevationDeg.toFixed(1) : '';
 
     tr.appendChild(cell(ac.callsign || ''));
     tr.appendChild(cell(ac.airline || ''));
-    tr.appendChild(cell(ac.originDisplay || ''));
-    tr.appendChild(cell(ac.destinationDisplay || ''));
+    const originCell = cell(ac.originDisplay || '');
+    const destCell = cell(ac.destinationDisplay || '');
+    if (ac.routePlausible === false) {
+      for (const td of [originCell, destCell]) {
+        td.classList.add('route-warning');
+        td.title = `Route doubtful: ${ac.routeWarning}`;
+      }
+    }
+    tr.appendChild(originCell);
+    tr.appendChild(destCell);
     tr.appendChild(cell(ac.model || ''));
     tr.appendChild(cell(altText));
     tr.appendChild(cell(spdText));
     tr.appendChild(cell(distText));
     tr.appendChild(cell(lookText));
+    tr.appendChild(cell(elevText));
+    tr.appendChild(cell(visibilityText(ac)));
+    const phaseCell = cell(ac.phase ? PHASE_LABELS[ac.phase] || ac.phase : '');
+    if (ac.phase) phaseCell.classList.add('phase-' + ac.phase);
+    tr.appendChild(phaseCell);
+
+    for (const col of OPTIONAL_COLUMNS) {
+      if (!enabledOptionalColumns.has(col.key)) continue;
+      const td = cell(col.format(ac));
+      if (col.key === 'squawk' && isEmergencySquawk(ac.squawk)) {
+        td.classList.add('squawk-emergency');
+      }
+      tr.appendChild(td);
+    }
+    if (isEmergencySquawk(ac.squawk) || ac.emergency) {
+      tr.classList.add('emergency-row');
+    }
 
     tbody.appendChild(tr);
 
-    addAircraftMarker(ac);
+    if (drawMap) {
+      addAircraftMarker(ac);
+      addProjectedPath(ac);
+      addTransitMarkers(ac);
+    }
   }
 
   // After markers/table are updated, update trails and stats
-  updateAndDrawTrails();
+  if (drawMap) updateAndDrawTrails();
   renderStats();
+  renderPasses();
+  renderTransits();
 }
 
-async function fetchAircraft() {
+function getSelectedQueryParams() {
   const locationSelect = document.getElementById('locationSelect');
   const radiusSelect = document.getElementById('radiusSelect');
-  const statusEl = document.getElementById('status');
 
-  const loc = locationSelect.value;
+  const params = new URLSearchParams();
+  params.set('location', locationSelect.value);
   const radiusKm = radiusSelect ? radiusSelect.value : '';
+  if (radiusKm) {
+    params.set('radiusKm', radiusKm);
+  }
+  if (observerOverride) {
+    params.set('obsLat', observerOverride.lat.toFixed(6));
+    params.set('obsLon', observerOverride.lon.toFixed(6));
+    if (observerOverride.altM != null) {
+      params.set('obsAltM', Math.round(observerOverride.altM));
+    }
+  }
+  return params;
+}
+
+function setGeolocationObserver(enabled) {
+  const toggle = document.getElementById('geolocationToggle');
+
+  if (!enabled) {
+    observerOverride = null;
+    onSelectionChanged();
+    return;
+  }
+
+  if (!navigator.geolocation) {
+    alert('Geolocation is not available in this browser.');
+    if (toggle) toggle.checked = false;
+    return;
+  }
+
+  navigator.geolocation.getCurrentPosition(
+    (pos) => {
+      observerOverride = {
+        lat: pos.coords.latitude,
+        lon: pos.coords.longitude,
+        altM: pos.coords.altitude
+      };
+      onSelectionChanged();
+    },
+    (err) => {
+      console.error('Geolocation failed:', err);
+      alert(`Could not get your location: ${err.message}`);
+      if (toggle) toggle.checked = false;
+    },
+    { enableHighAccuracy: true, timeout: 15000 }
+  );
+}
+
+// Updates status line, data source label and (optionally) map center from
+// an /api/aircraft-shaped response (or stream snapshot/diff metadata)
+function applyAircraftMeta(data, aircraftCount, recenter) {
+  const statusEl = document.getElementById('status');
+  const radiusSelect = document.getElementById('radiusSelect');
+
+  const locName = data.location || '';
+  const centerLat = data.centerLat;
+  const centerLon = data.centerLon;
+  const radiusKmUsed =
+    data.radiusKm || (radiusSelect ? radiusSelect.value : '') || 0;
+  const cloudCeilingFt = data.cloudCeilingFt;
+
+  if (data.sky) {
+    lastSky = data.sky;
+    renderSkyPositions();
+  }
+
+  const dataSourceEl = document.getElementById('dataSource');
+  if (dataSourceEl) {
+    dataSourceEl.innerHTML = data.source
+      ? SOURCE_LABELS[data.source] || data.source
+      : 'unavailable (all sources failed)';
+  }
+
+  const observerEl = document.getElementById('observerText');
+  if (observerEl && data.observer) {
+    const obs = data.observer;
+    let text = `${obs.lat.toFixed(6)}, ${obs.lon.toFixed(6)}`;
+    if (obs.altM) text += ` (${Math.round(obs.altM)} m)`;
+    if (obs.source === 'request') text += ' – your location';
+    observerEl.textContent = text;
+  }
+
+  if (recenter && map && centerLat != null && centerLon != null) {
+    map.setView([centerLat, centerLon], 9);
+  }
+
+  let statusText = '';
+  if (aircraftCount === 0) {
+    statusText = `No aircraft currently reported within ~${radiusKmUsed} km of ${locName}.`;
+  } else {
+    statusText = `Found ${aircraftCount} aircraft within ~${radiusKmUsed} km of ${locName}.`;
+  }
+
+  if (cloudCeilingFt != null) {
+    statusText += ` | Cloud ceiling (${data.metarStation}): ${Math.round(
+      cloudCeilingFt
+    )} ft`;
+  }
+  if (data.flightCategory) {
+    statusText += ` | ${data.flightCategory}`;
+  }
+
+  if (liveStream) {
+    statusText += ' | Live';
+  }
+
+  statusEl.textContent = statusText;
+}
+
+async function fetchAircraft() {
+  const statusEl = document.getElementById('status');
 
   statusEl.textContent = 'Loading...';
   lastAircraft = [];
-  clearMarkers();
   renderView();
 
   try {
-    const params = new URLSearchParams();
-    params.set('location', loc);
-    if (radiusKm) {
-      params.set('radiusKm', radiusKm);
-    }
+    const params = getSelectedQueryParams();
 
     const resp = await fetch(`/api/aircraft?${params.toString()}`);
     if (!resp.ok) {
@@ -438,37 +2182,374 @@ async function fetchAircraft() {
     const data = await resp.json();
 
     const aircraft = data.aircraft || [];
-    const locName = data.location || '';
-    const centerLat = data.centerLat;
-    const centerLon = data.centerLon;
-    const radiusKmUsed = data.radiusKm || radiusKm || 0;
-    const cloudCeilingFt = data.cloudCeilingFt;
+    applyAircraftMeta(data, aircraft.length, true);
 
-    if (map && centerLat != null && centerLon != null) {
-      map.setView([centerLat, centerLon], 9);
-    }
+    lastAircraft = aircraft;
+    renderView();
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = `Error fetching data: ${err.message}`;
+  }
+}
+
+// ---------------------------------------------------------------------
+// Exports (downloads via the API's ?format= option)
+// ---------------------------------------------------------------------
+
+function downloadExport(path, params) {
+  const a = document.createElement('a');
+  a.href = `${path}?${params.toString()}`;
+  a.download = '';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+// Current /api/aircraft snapshot for the selected location and radius
+function exportSnapshot(format) {
+  const params = getSelectedQueryParams();
+  params.set('format', format);
+  downloadExport('/api/aircraft', params);
+}
+
+// Tracks shown in the replay: its period, location and radius
+function exportReplayTracks(format) {
+  if (!replay || !replay.toMs) return;
+  const params = getSelectedQueryParams();
+  params.set('from', String(replay.fromMs));
+  params.set('to', String(replay.toMs));
+  params.set('format', format);
+  downloadExport('/api/tracks', params);
+}
 
-    let statusText = '';
-    if (aircraft.length === 0) {
-      statusText = `No aircraft currently reported within ~${radiusKmUsed} km of ${locName}.`;
+// Flight history of the selected location, with the export form's filters
+function exportFlightHistory(ev) {
+  ev.preventDefault();
+  const form = ev.target;
+  const format = ev.submitter ? ev.submitter.value : 'csv';
+
+  const params = new URLSearchParams();
+  params.set('location', document.getElementById('locationSelect').value);
+  for (const name of ['from', 'to', 'airline', 'type']) {
+    const value = form.elements[name].value.trim();
+    if (value) params.set(name, value);
+  }
+  params.set('format', format);
+  downloadExport('/api/flight-history', params);
+}
+
+// ---------------------------------------------------------------------
+// Track replay (recorded tracks from /api/tracks)
+// ---------------------------------------------------------------------
+
+function replayPointAt(track, timeMs) {
+  // Last point at or before timeMs (binary search), or -1
+  const points = track.points;
+  const t = replay.fieldIndex.t;
+  let lo = 0;
+  let hi = points.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid][t] <= timeMs) {
+      found = mid;
+      lo = mid + 1;
     } else {
-      statusText = `Found ${aircraft.length} aircraft within ~${radiusKmUsed} km of ${locName}.`;
+      hi = mid - 1;
     }
+  }
+  return found;
+}
+
+function renderReplayFrame() {
+  if (!replay || !markersLayer || !trailLayer) return;
+
+  const f = replay.fieldIndex;
+  const timeMs = replay.timeMs;
+  markersLayer.clearLayers();
+  trailLayer.clearLayers();
 
-    if (cloudCeilingFt != null) {
-      statusText += ` | Cloud ceiling near Lockeport (CYQI): ${Math.round(
-        cloudCeilingFt
-      )} ft`;
+  let shown = 0;
+  for (const track of replay.tracks) {
+    const idx = replayPointAt(track, timeMs);
+    if (idx < 0) continue;
+    const p = track.points[idx];
+    // Aircraft that stopped reporting a while ago have left
+    if (timeMs - p[f.t] > REPLAY_STALE_MS) continue;
+
+    addAircraftMarker({
+      callsign: track.callsign,
+      icao24: track.hex,
+      lat: p[f.lat],
+      lon: p[f.lon],
+      altitudeFt: p[f.alt],
+      speedKt: p[f.gs],
+      headingDeg: p[f.trk],
+      verticalRateFpm: p[f.vs]
+    });
+    shown++;
+
+    const latlngs = [];
+    for (let i = idx; i >= 0 && timeMs - track.points[i][f.t] <= REPLAY_TRAIL_MS; i--) {
+      latlngs.unshift([track.points[i][f.lat], track.points[i][f.lon]]);
+    }
+    if (latlngs.length >= 2) {
+      L.polyline(latlngs, {
+        color: 'blue',
+        weight: 2,
+        opacity: 0.5
+      }).addTo(trailLayer);
     }
+  }
 
-    statusEl.textContent = statusText;
+  const slider = document.getElementById('replaySlider');
+  if (slider) slider.value = String(timeMs);
+  const timeEl = document.getElementById('replayTime');
+  if (timeEl) timeEl.textContent = new Date(timeMs).toLocaleString();
 
-    lastAircraft = aircraft;
-    renderView();
+  const statusEl = document.getElementById('status');
+  statusEl.textContent = `Replay: ${shown} aircraft at ${new Date(
+    timeMs
+  ).toLocaleTimeString()} (${replay.tracks.length} recorded in this period${
+    replay.truncated ? ', too many to show all' : ''
+  })`;
+}
+
+function setReplayPlaying(playing) {
+  if (!replay) return;
+  const playBtn = document.getElementById('replayPlayBtn');
+
+  if (replay.timerId != null) {
+    clearInterval(replay.timerId);
+    replay.timerId = null;
+  }
+  if (playing) {
+    // Playing from the end starts over
+    if (replay.timeMs >= replay.toMs) replay.timeMs = replay.fromMs;
+    replay.timerId = setInterval(() => {
+      replay.timeMs += REPLAY_TICK_MS * replay.speed;
+      if (replay.timeMs >= replay.toMs) {
+        replay.timeMs = replay.toMs;
+        setReplayPlaying(false);
+      }
+      renderReplayFrame();
+    }, REPLAY_TICK_MS);
+  }
+  if (playBtn) playBtn.textContent = playing ? 'Pause' : 'Play';
+}
+
+// (Re)load the recorded tracks for the selected location, radius and period
+async function loadReplay() {
+  const statusEl = document.getElementById('status');
+  const hoursSelect = document.getElementById('replayHoursSelect');
+  const speedSelect = document.getElementById('replaySpeedSelect');
+  const slider = document.getElementById('replaySlider');
+  const hours = Number(hoursSelect ? hoursSelect.value : 1) || 1;
+
+  setReplayPlaying(false);
+  const toMs = Date.now();
+  const fromMs = toMs - hours * 3600 * 1000;
+  const params = getSelectedQueryParams();
+  params.set('from', String(fromMs));
+  params.set('to', String(toMs));
+
+  statusEl.textContent = 'Loading recorded tracks...';
+  try {
+    const resp = await fetch(`/api/tracks?${params.toString()}`);
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}`);
+    }
+    const data = await resp.json();
+    if (!replay) return; // left replay mode while loading
+
+    const fieldIndex = {};
+    data.fields.forEach((name, i) => {
+      fieldIndex[name] = i;
+    });
+    Object.assign(replay, {
+      fromMs,
+      toMs,
+      tracks: data.tracks || [],
+      truncated: Boolean(data.truncated),
+      fieldIndex,
+      timeMs: fromMs,
+      speed: Number(speedSelect ? speedSelect.value : 1) || 1
+    });
+
+    if (slider) {
+      slider.min = String(fromMs);
+      slider.max = String(toMs);
+      slider.disabled = false;
+    }
+    renderReplayFrame();
   } catch (err) {
     console.error(err);
-    statusEl.textContent = `Error fetching data: ${err.message}`;
+    statusEl.textContent = `Error loading recorded tracks: ${err.message}`;
+  }
+}
+
+function setReplayMode(enabled) {
+  const controls = document.querySelectorAll('.replay-only');
+  controls.forEach((el) => {
+    el.disabled = !enabled;
+  });
+  // Live controls would redraw over the replay
+  for (const id of ['refreshBtn', 'autoRefreshToggle']) {
+    const el = document.getElementById(id);
+    if (el) el.disabled = enabled;
+  }
+
+  if (enabled) {
+    stopLiveStream();
+    stopPolling();
+    replay = { tracks: [], fieldIndex: {}, timeMs: 0, timerId: null, speed: 1 };
+    loadReplay();
+    return;
+  }
+
+  setReplayPlaying(false);
+  replay = null;
+  const slider = document.getElementById('replaySlider');
+  if (slider) slider.disabled = true;
+  const timeEl = document.getElementById('replayTime');
+  if (timeEl) timeEl.textContent = '';
+
+  trailLayer.clearLayers();
+  fetchAircraft();
+  setAutoRefresh(autoRefreshEnabled());
+}
+
+function initReplayControls() {
+  const toggle = document.getElementById('replayToggle');
+  const playBtn = document.getElementById('replayPlayBtn');
+  const hoursSelect = document.getElementById('replayHoursSelect');
+  const speedSelect = document.getElementById('replaySpeedSelect');
+  const slider = document.getElementById('replaySlider');
+
+  if (toggle) {
+    toggle.addEventListener('change', () => setReplayMode(toggle.checked));
   }
+  if (playBtn) {
+    playBtn.addEventListener('click', () => {
+      if (replay) setReplayPlaying(replay.timerId == null);
+    });
+  }
+  if (hoursSelect) {
+    hoursSelect.addEventListener('change', () => {
+      if (replay) loadReplay();
+    });
+  }
+  if (speedSelect) {
+    speedSelect.addEventListener('change', () => {
+      if (replay) replay.speed = Number(speedSelect.value) || 1;
+    });
+  }
+  if (slider) {
+    slider.addEventListener('input', () => {
+      if (!replay) return;
+      replay.timeMs = Number(slider.value);
+      renderReplayFrame();
+    });
+  }
+  document.querySelectorAll('.replay-export').forEach((btn) => {
+    btn.addEventListener('click', () => exportReplayTracks(btn.dataset.format));
+  });
+}
+
+// ---------------------------------------------------------------------
+// Live stream (SSE) with polling fallback
+// ---------------------------------------------------------------------
+
+function aircraftKey(ac) {
+  return ac.icao24 || ac.callsign;
+}
+
+function handleStreamSnapshot(data) {
+  streamAircraftByKey = new Map();
+  for (const ac of data.aircraft || []) {
+    const key = aircraftKey(ac);
+    if (key) streamAircraftByKey.set(key, ac);
+  }
+  lastAircraft = Array.from(streamAircraftByKey.values());
+  applyAircraftMeta(data, lastAircraft.length, true);
+  renderView();
+}
+
+function handleStreamDiff(diff) {
+  for (const key of diff.removed || []) {
+    streamAircraftByKey.delete(key);
+  }
+  for (const ac of [...(diff.added || []), ...(diff.updated || [])]) {
+    const key = aircraftKey(ac);
+    if (key) streamAircraftByKey.set(key, ac);
+  }
+  lastAircraft = Array.from(streamAircraftByKey.values());
+  applyAircraftMeta(diff.meta || {}, lastAircraft.length, false);
+  renderView();
+}
+
+function stopLiveStream() {
+  if (liveStream) {
+    liveStream.close();
+    liveStream = null;
+  }
+  if (streamRetryTimeoutId != null) {
+    clearTimeout(streamRetryTimeoutId);
+    streamRetryTimeoutId = null;
+  }
+}
+
+function stopPolling() {
+  if (autoRefreshIntervalId != null) {
+    clearInterval(autoRefreshIntervalId);
+    autoRefreshIntervalId = null;
+  }
+}
+
+function startPolling() {
+  stopPolling();
+  autoRefreshIntervalId = setInterval(() => {
+    fetchAircraft();
+  }, POLL_INTERVAL_MS);
+}
+
+// Falls back to polling while the stream is down and retries it later
+function fallBackToPolling() {
+  stopLiveStream();
+  startPolling();
+  streamRetryTimeoutId = setTimeout(() => {
+    streamRetryTimeoutId = null;
+    startLiveStream();
+  }, STREAM_RETRY_MS);
+}
+
+function startLiveStream() {
+  stopLiveStream();
+
+  if (!window.EventSource) {
+    startPolling();
+    return;
+  }
+
+  const stream = new EventSource(`/api/stream?${getSelectedQueryParams()}`);
+  liveStream = stream;
+
+  stream.addEventListener('snapshot', (ev) => {
+    stopPolling();
+    handleStreamSnapshot(JSON.parse(ev.data));
+  });
+  stream.addEventListener('diff', (ev) => {
+    handleStreamDiff(JSON.parse(ev.data));
+  });
+  // The server is still up, only its upstream fetch failed: keep streaming
+  stream.addEventListener('upstream-error', (ev) => {
+    const { message } = JSON.parse(ev.data);
+    document.getElementById('status').textContent = `Error fetching data: ${message}`;
+  });
+  stream.onerror = () => {
+    console.warn('Live stream unavailable, falling back to polling');
+    fallBackToPolling();
+  };
 }
 
 function initTabs() {
@@ -488,6 +2569,26 @@ function initTabs() {
         targetPanel.classList.add('active');
       }
 
+      if (targetId === 'weatherTab') {
+        fetchWeather();
+      }
+      if (targetId === 'statsTab' && statsPeriodDays() != null) {
+        fetchHistoryStats();
+      }
+      if (targetId === 'airportsTab') {
+        showAirportsTab();
+      } else {
+        stopBoardRefresh();
+      }
+      if (targetId === 'zonesTab') {
+        loadZones();
+      }
+      if (targetId === 'alertsTab') {
+        populateRuleLocationOptions();
+        loadWatchRules();
+        loadAlertLog();
+      }
+
       if (targetId === 'mapTab' && map) {
         setTimeout(() => {
           map.invalidateSize();
@@ -504,56 +2605,122 @@ function setAutoRefresh(enabled) {
     toggle.checked = enabled;
   }
 
+  stopLiveStream();
+  stopPolling();
   if (enabled) {
-    if (autoRefreshIntervalId != null) {
-      clearInterval(autoRefreshIntervalId);
-    }
-    autoRefreshIntervalId = setInterval(() => {
-      fetchAircraft();
-    }, 5000);
-  } else {
-    if (autoRefreshIntervalId != null) {
-      clearInterval(autoRefreshIntervalId);
-      autoRefreshIntervalId = null;
-    }
+    startLiveStream();
+  }
+}
+
+// Location/radius changed: reload (or reload the replay), and resubscribe
+// if live updates are on
+function onSelectionChanged() {
+  updateAirportsOverlay();
+  updateCoverageOverlay();
+  updateZonesOverlay();
+  if (zonesTabActive()) {
+    loadZones();
+  }
+  if (airportsTabActive()) {
+    showAirportsTab();
+  }
+  if (statsTabActive() && statsPeriodDays() != null) {
+    fetchHistoryStats();
+  }
+  if (replay) {
+    loadReplay();
+    return;
+  }
+  fetchAircraft();
+  if (autoRefreshEnabled()) {
+    setAutoRefresh(true);
   }
 }
 
-// Make sure any interval is cleared if the page is unloaded
+function autoRefreshEnabled() {
+  const toggle = document.getElementById('autoRefreshToggle');
+  return !!(toggle && toggle.checked);
+}
+
+// Make sure any interval or stream is closed if the page is unloaded
 window.addEventListener('beforeunload', () => {
-  if (autoRefreshIntervalId != null) {
-    clearInterval(autoRefreshIntervalId);
+  setReplayPlaying(false);
+  stopBoardRefresh();
+  stopPolling();
+  stopLiveStream();
+  if (alertStream) {
+    alertStream.close();
   }
 });
 
 document.addEventListener('DOMContentLoaded', () => {
   initMap();
   initTabs();
+  initReplayControls();
+  loadColumnPrefs();
+  renderColumnChooser();
+  renderOptionalHeaders();
 
   const refreshBtn = document.getElementById('refreshBtn');
   const radiusSelect = document.getElementById('radiusSelect');
   const locationSelect = document.getElementById('locationSelect');
   const distanceHeader = document.getElementById('distanceHeader');
+  const elevationHeader = document.getElementById('elevationHeader');
   const airspaceToggle = document.getElementById('airspaceToggle');
   const autoRefreshToggle = document.getElementById('autoRefreshToggle');
+  const geolocationToggle = document.getElementById('geolocationToggle');
 
   if (refreshBtn) {
     refreshBtn.addEventListener('click', fetchAircraft);
   }
 
   if (radiusSelect) {
-    radiusSelect.addEventListener('change', fetchAircraft);
+    radiusSelect.addEventListener('change', onSelectionChanged);
   }
   if (locationSelect) {
     locationSelect.addEventListener('change', () => {
-      fetchAircraft();
+      applyLocationDefaults();
+      onSelectionChanged();
       updateAirspaceOverlay();
+      const weatherTab = document.getElementById('weatherTab');
+      if (weatherTab && weatherTab.classList.contains('active')) {
+        fetchWeather();
+      }
     });
   }
+
+  const addLocationBtn = document.getElementById('addLocationBtn');
+  if (addLocationBtn) {
+    addLocationBtn.addEventListener('click', () => {
+      setAddLocationMode(!addLocationMode);
+    });
+  }
+
+  const deleteLocationBtn = document.getElementById('deleteLocationBtn');
+  if (deleteLocationBtn) {
+    deleteLocationBtn.addEventListener('click', deleteSelectedLocation);
+  }
+
+  const drawZoneBtn = document.getElementById('drawZoneBtn');
+  if (drawZoneBtn) {
+    drawZoneBtn.addEventListener('click', () => {
+      if (zoneDraft) finishZoneDraft();
+      else setZoneDrawMode(true);
+    });
+  }
+  const cancelZoneBtn = document.getElementById('cancelZoneBtn');
+  if (cancelZoneBtn) {
+    cancelZoneBtn.addEventListener('click', () => setZoneDrawMode(false));
+  }
   if (distanceHeader) {
     distanceHeader.addEventListener('click', () => {
-      distanceSortAscending = !distanceSortAscending;
-      renderView();
+      setSort('distanceKm', true);
+    });
+  }
+  if (elevationHeader) {
+    // highest above the horizon first
+    elevationHeader.addEventListener('click', () => {
+      setSort('elevationDeg', false);
     });
   }
 
@@ -563,11 +2730,82 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  const airportsToggle = document.getElementById('airportsToggle');
+  if (airportsToggle) {
+    airportsToggle.addEventListener('change', updateAirportsOverlay);
+  }
+
+  const projectedPathsToggle = document.getElementById('projectedPathsToggle');
+  if (projectedPathsToggle) {
+    projectedPathsToggle.addEventListener('change', renderView);
+  }
+  setInterval(updateCountdowns, 1000);
+
+  const coverageToggle = document.getElementById('coverageToggle');
+  if (coverageToggle) {
+    coverageToggle.addEventListener('change', updateCoverageOverlay);
+  }
+
+  const zonesToggle = document.getElementById('zonesToggle');
+  if (zonesToggle) {
+    zonesToggle.addEventListener('change', updateZonesOverlay);
+  }
+  const coverageSourceSelect = document.getElementById('coverageSourceSelect');
+  if (coverageSourceSelect) {
+    coverageSourceSelect.addEventListener('change', updateCoverageOverlay);
+  }
+
+  document.querySelectorAll('.snapshot-export').forEach((btn) => {
+    btn.addEventListener('click', () => exportSnapshot(btn.dataset.format));
+  });
+  const statsPeriodSelect = document.getElementById('statsPeriodSelect');
+  if (statsPeriodSelect) {
+    statsPeriodSelect.addEventListener('change', onStatsPeriodChanged);
+  }
+  const statsLocationOnly = document.getElementById('statsLocationOnly');
+  if (statsLocationOnly) {
+    statsLocationOnly.addEventListener('change', fetchHistoryStats);
+  }
+
+  const historyExportForm = document.getElementById('historyExportForm');
+  if (historyExportForm) {
+    historyExportForm.addEventListener('submit', exportFlightHistory);
+  }
+
+  const boardAirportSelect = document.getElementById('boardAirportSelect');
+  if (boardAirportSelect) {
+    boardAirportSelect.addEventListener('change', fetchAirportBoard);
+  }
+
+  if (geolocationToggle) {
+    geolocationToggle.addEventListener('change', () => {
+      setGeolocationObserver(geolocationToggle.checked);
+    });
+  }
+
+  const notificationsToggle = document.getElementById('notificationsToggle');
+  if (notificationsToggle) {
+    notificationsToggle.addEventListener('change', () => {
+      setNotifications(notificationsToggle.checked);
+    });
+  }
+
+  const watchRuleForm = document.getElementById('watchRuleForm');
+  if (watchRuleForm) {
+    watchRuleForm.addEventListener('submit', submitWatchRule);
+  }
+
+  startAlertStream();
+
   if (autoRefreshToggle) {
     autoRefreshToggle.addEventListener('change', () => {
       setAutoRefresh(autoRefreshToggle.checked);
     });
   }
 
-  fetchAircraft();
+  loadLocations()
+    .catch((err) => {
+      console.error('Error loading locations:', err);
+    })
+    .then(() => fetchAircraft());
 });
@@ -0,0 +1,261 @@
+// replay/replay.js
+//
+// Local stand-ins for the receiver feeds and AviationWeather, serving the
+// recorded capture in replay/capture/:
+//  - SBS-1 / BaseStation lines (sbs.txt) on TCP 30003
+//  - AVR text frames (avr.txt) on TCP 30002
+//  - Beast binary frames (beast.bin) on TCP 30005
+//  - METAR / TAF JSON (metar.json, taf.json) over HTTP on 8080, answering
+//    /api/data/metar and /api/data/taf with ?ids= or ?bbox= like AWC
+//
+// Every connection gets the whole capture again each REPLAY_INTERVAL_MS,
+// so replayed aircraft don't expire. Point the server at it with
+//
+//   SBS_HOST=127.0.0.1 AVR_HOST=127.0.0.1 BEAST_HOST=127.0.0.1 \
+//   RECEIVER_LAT=52.3 RECEIVER_LON=4.0 AIRCRAFT_SOURCES=feed \
+//   AVIATIONWEATHER_BASE_URL=http://127.0.0.1:8080/api/data npm start
+//
+// With --check (npm test) it listens on free ports, starts server.js
+// against them with a throwaway STORAGE_DIR, and compares what
+// /api/aircraft and /api/weather return with capture/expected.json.
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const CAPTURE_DIR = path.join(__dirname, 'capture');
+const REPLAY_INTERVAL_MS = Number(process.env.REPLAY_INTERVAL_MS) || 2000;
+const CHECK_TIMEOUT_MS = 30000;
+// Numbers in expected.json match within this
+const CHECK_TOLERANCE = 0.005;
+
+function readCapture(name) {
+  return fs.readFileSync(path.join(CAPTURE_DIR, name));
+}
+
+// TCP server writing `payload` to each client now and every interval
+function startTcpReplay(name, port, payload) {
+  const server = net.createServer((socket) => {
+    socket.on('error', () => {}); // client went away
+    const send = () => socket.write(payload);
+    send();
+    const timer = setInterval(send, REPLAY_INTERVAL_MS);
+    socket.on('close', () => clearInterval(timer));
+  });
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      console.log(`[REPLAY] ${name} on tcp://127.0.0.1:${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
+
+function inBbox(report, bbox) {
+  const [minLat, minLon, maxLat, maxLon] = bbox.split(',').map(Number);
+  return (
+    report.lat >= minLat && report.lat <= maxLat && report.lon >= minLon && report.lon <= maxLon
+  );
+}
+
+// AviationWeather data API stand-in: /api/data/{metar,taf}?ids=|bbox=
+function startWeatherReplay(port) {
+  const reports = {
+    metar: JSON.parse(readCapture('metar.json')),
+    taf: JSON.parse(readCapture('taf.json'))
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const m = url.pathname.match(/^\/api\/data\/(metar|taf)$/);
+    if (!m) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const ids = (url.searchParams.get('ids') || '').toUpperCase().split(',').filter(Boolean);
+    const bbox = url.searchParams.get('bbox');
+    const matches = reports[m[1]].filter(
+      (r) => (!ids.length || ids.includes(r.icaoId)) && (!bbox || inBbox(r, bbox))
+    );
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(matches));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      console.log(`[REPLAY] weather on http://127.0.0.1:${server.address().port}/api/data`);
+      resolve(server);
+    });
+  });
+}
+
+async function startReplay(ports) {
+  return {
+    sbs: await startTcpReplay('sbs', ports.sbs, readCapture('sbs.txt')),
+    avr: await startTcpReplay('avr', ports.avr, readCapture('avr.txt')),
+    beast: await startTcpReplay('beast', ports.beast, readCapture('beast.bin')),
+    weather: await startWeatherReplay(ports.weather)
+  };
+}
+
+// ---------------------------------------------------------------------
+// --check
+// ---------------------------------------------------------------------
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function request(baseUrl, method, urlPath, body) {
+  const resp = await fetch(baseUrl + urlPath, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await resp.json();
+  if (!resp.ok) {
+    throw new Error(`${method} ${urlPath}: HTTP ${resp.status} ${data.error || ''}`);
+  }
+  return data;
+}
+
+// 'a.b.0.c' -> obj.a.b[0].c
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((v, key) => (v == null ? v : v[key]), obj);
+}
+
+function sameValue(actual, expected) {
+  if (typeof expected === 'number') {
+    return typeof actual === 'number' && Math.abs(actual - expected) <= CHECK_TOLERANCE;
+  }
+  return actual === expected;
+}
+
+// Compares { path: value } expectations, collecting failures
+function compare(label, actual, expected, failures) {
+  for (const [key, value] of Object.entries(expected)) {
+    const got = getPath(actual, key);
+    if (!sameValue(got, value)) {
+      failures.push(`${label} ${key}: expected ${JSON.stringify(value)}, got ${JSON.stringify(got)}`);
+    }
+  }
+}
+
+async function runCheck() {
+  const expected = JSON.parse(readCapture('expected.json'));
+  const ports = { sbs: 0, avr: 0, beast: 0, weather: 0 };
+  const servers = await startReplay(ports);
+  const port = (name) => String(servers[name].address().port);
+
+  const appPort = await freePort();
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adsbviewer-replay-'));
+  const app = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(appPort),
+      STORAGE_DIR: storageDir,
+      AIRCRAFT_SOURCES: 'feed',
+      SBS_HOST: '127.0.0.1',
+      SBS_PORT: port('sbs'),
+      AVR_HOST: '127.0.0.1',
+      AVR_PORT: port('avr'),
+      BEAST_HOST: '127.0.0.1',
+      BEAST_PORT: port('beast'),
+      RECEIVER_LAT: '52.3',
+      RECEIVER_LON: '4.0',
+      AVIATIONWEATHER_BASE_URL: `http://127.0.0.1:${port('weather')}/api/data`,
+      ROUTE_ENRICH_WAIT_MS: '1'
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  const baseUrl = `http://127.0.0.1:${appPort}`;
+  const failures = [];
+  try {
+    // Wait for the server and all three feeds
+    const deadline = Date.now() + CHECK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        const status = await request(baseUrl, 'GET', '/api/feeds');
+        const feeds = Object.values(status.feeds || {});
+        if (feeds.length === 3 && feeds.every((f) => f.connected) && status.liveAircraft >= 4) {
+          break;
+        }
+      } catch (err) {
+        // not listening yet
+      }
+      if (Date.now() > deadline) throw new Error('Server or feeds did not come up');
+      await sleep(250);
+    }
+    await sleep(REPLAY_INTERVAL_MS); // second pass: CPR pairs and known addresses
+
+    const area = { lat: 52.3, lon: 4.0, radiusKm: 300, sources: ['feed'] };
+    const configured = await request(baseUrl, 'POST', '/api/locations', {
+      name: 'Replay (EHAM)',
+      metarStation: 'EHAM',
+      ...area
+    });
+    const nearest = await request(baseUrl, 'POST', '/api/locations', {
+      name: 'Replay (nearest station)',
+      ...area
+    });
+
+    const snapshot = await request(baseUrl, 'GET', `/api/aircraft?location=${configured.key}`);
+    const byHex = new Map(snapshot.aircraft.map((ac) => [ac.icao24, ac]));
+    for (const [hex, fields] of Object.entries(expected.aircraft)) {
+      const ac = byHex.get(hex);
+      if (!ac) failures.push(`aircraft ${hex} missing`);
+      else compare(`aircraft ${hex}`, ac, fields, failures);
+    }
+    for (const hex of expected.absentAircraft) {
+      if (byHex.has(hex)) failures.push(`aircraft ${hex} should have been rejected`);
+    }
+
+    const weather = {
+      configured: await request(baseUrl, 'GET', `/api/weather?location=${configured.key}`),
+      nearest: await request(baseUrl, 'GET', `/api/weather?location=${nearest.key}`)
+    };
+    for (const [name, fields] of Object.entries(expected.weather)) {
+      compare(`weather ${name}`, weather[name], fields, failures);
+    }
+  } catch (err) {
+    failures.push(err.message);
+  } finally {
+    app.kill();
+    for (const server of Object.values(servers)) server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  }
+
+  if (failures.length) {
+    console.error(`[REPLAY] ${failures.length} check(s) failed:`);
+    for (const f of failures) console.error('  - ' + f);
+    process.exit(1);
+  }
+  console.log('[REPLAY] All checks passed');
+  process.exit(0);
+}
+
+if (process.argv.includes('--check')) {
+  runCheck();
+} else {
+  startReplay({
+    sbs: Number(process.env.REPLAY_SBS_PORT) || 30003,
+    avr: Number(process.env.REPLAY_AVR_PORT) || 30002,
+    beast: Number(process.env.REPLAY_BEAST_PORT) || 30005,
+    weather: Number(process.env.REPLAY_HTTP_PORT) || 8080
+  });
+}
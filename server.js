@@ -1,18 +1,47 @@
 // server.js
 //
 // Full-feature ADS-B viewer Node/Express app with:
-//  - ADSB.lol data source
+//  - ADSB.lol, local readsb/dump1090 or OpenSky data sources with failover
+//  - SBS-1 / BaseStation TCP feed ingestion (port 30003)
+//  - Native Mode S decoding of AVR (30002) and Beast (30005) feeds
+//  - Live updates pushed over Server-Sent Events (/api/stream)
+//  - Watchlist rules with server-side alerting (log, webhook, SSE)
+//  - Geofence zones (user polygons + airspace GeoJSON) with altitude
+//    limits, per-aircraft tagging and enter/exit event log (/api/zones)
 //  - Multiple locations & radius selection
-//  - Bearing/direction and distance from observer
-//  - Cloud ceiling from AviationWeather METAR (CYQI)
-//  - Route lookup via adsbdb + AeroDataBox + AviationStack
-//  - Airport city/country via OpenFlights + OurAirports
+//  - Bearing/direction and distance from each location's observer
+//    (or a per-request observer override)
+//  - User-managed locations (storage/locations.json, /api/locations)
+//  - Spotter geometry: elevation angle, slant range, line of sight, clouds
+//  - Pass prediction: closest point of approach to the observer
+//  - Sun/moon ephemeris and predicted aircraft transits of either disc
+//  - Decoded METAR + TAF from AviationWeather (nearest or configured station)
+//  - Route lookup via adsbdb + AeroDataBox + AviationStack, checked against
+//    each aircraft's position/track and cached with a TTL
+//  - Quota-aware route lookup queue (/api/route-sources)
+//  - Bundled OurAirports airport database (refreshable) and airport map layer
+//  - Airport arrivals/departures boards inferred from live traffic
+//  - Flight phase classification; holding / go-around history events
+//  - Airline database (bundled OpenFlights airlines.dat, refreshable,
+//    with local overrides)
+//  - ICAO24 aircraft registry (AIRCRAFT_DB_FILE) + country of registration
+//  - Persistent flight history (NDJSON day files under storage/)
+//  - Historical statistics over the flight history (/api/stats)
+//  - Receiver coverage outline per bearing sector and altitude band
+//    (/api/coverage), persisted per day and source
+//  - Recorded aircraft tracks with retention (/api/tracks) for replay
+//  - Exports: snapshot GeoJSON/CSV, tracks KML/GPX, history CSV/NDJSON
+//  - Full ADS-B field set (squawk, vertical rate, category, reg, data age)
 //  - Frontend expects enriched aircraft objects
 
 require('dotenv').config();
 
 const express = require('express');
+const fs = require('fs');
+const net = require('net');
 const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
 const axios = require('axios');
 
 const app = express();
@@ -28,6 +57,37 @@ const NM_PER_KM = 1.0 / 1.852; // 1 nautical mile ≈ 1.852 km
 const ADSBLOL_URL_TEMPLATE =
   'https://api.adsb.lol/v2/lat/{lat}/lon/{lon}/dist/{radius}';
 
+// Aircraft sources tried in order when a location does not name its own
+// (adsblol, readsb, opensky, feed)
+const DEFAULT_AIRCRAFT_SOURCES = (process.env.AIRCRAFT_SOURCES || 'adsblol')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// Local receiver aircraft.json: http(s) URL or file path
+const READSB_AIRCRAFT_JSON = process.env.READSB_AIRCRAFT_JSON || null;
+
+// OpenSky Network states API (credentials optional, raise the rate limit)
+const OPENSKY_STATES_URL = 'https://opensky-network.org/api/states/all';
+const OPENSKY_USERNAME = process.env.OPENSKY_USERNAME || null;
+const OPENSKY_PASSWORD = process.env.OPENSKY_PASSWORD || null;
+
+// SBS-1 / BaseStation TCP feed (the 'feed' source); disabled without a host
+const SBS_HOST = process.env.SBS_HOST || null;
+const SBS_PORT = Number(process.env.SBS_PORT) || 30003;
+
+// Raw Mode S feeds decoded in-process (also the 'feed' source)
+const AVR_HOST = process.env.AVR_HOST || null;
+const AVR_PORT = Number(process.env.AVR_PORT) || 30002;
+const BEAST_HOST = process.env.BEAST_HOST || null;
+const BEAST_PORT = Number(process.env.BEAST_PORT) || 30005;
+
+// Live feed tuning
+const LIVE_AIRCRAFT_EXPIRY_SEC = Number(process.env.LIVE_AIRCRAFT_EXPIRY_SEC) || 60;
+const FEED_RECONNECT_BASE_MS = 1000;
+const FEED_RECONNECT_MAX_MS = 60000;
+const FEED_IDLE_TIMEOUT_MS = 120000;
+
 // adsbdb route API
 const ADSBDB_ROUTE_URL = 'https://api.adsbdb.com/v0/callsign/';
 
@@ -43,89 +103,309 @@ const AERODATABOX_HOST =
 const AERODATABOX_FLIGHT_URL_TEMPLATE =
   'https://aerodatabox.p.rapidapi.com/flights/number/{flightNumber}';
 
-// OpenFlights airports data (CSV)
-const OPENFLIGHTS_AIRPORTS_URL =
-  'https://raw.githubusercontent.com/jpatokal/openflights/master/data/airports.dat';
-
-// OurAirports countries data
-const OURAIRPORTS_COUNTRIES_URL =
-  'https://ourairports.com/data/countries.csv';
+// Route cache lifetimes. Callsigns get reused, so found routes expire too;
+// "no route" answers expire sooner so new schedules are picked up.
+const ROUTE_CACHE_TTL_MS =
+  Number(process.env.ROUTE_CACHE_TTL_MS) || 6 * 60 * 60 * 1000;
+const ROUTE_NEGATIVE_TTL_MS =
+  Number(process.env.ROUTE_NEGATIVE_TTL_MS) || 30 * 60 * 1000;
+
+// Route plausibility: max distance (km) from the origin->destination great
+// circle (or ROUTE_CROSS_TRACK_FRACTION of the route length, if larger),
+// and the radius around either airport where heading isn't checked.
+const ROUTE_MAX_CROSS_TRACK_KM = Number(process.env.ROUTE_MAX_CROSS_TRACK_KM) || 250;
+const ROUTE_CROSS_TRACK_FRACTION = 0.15;
+const ROUTE_TERMINAL_AREA_KM = 150;
+const ROUTE_MAX_HEADING_OFF_DEG = 100;
+
+// Route provider scheduling. `concurrency` caps parallel lookups; budgets
+// are requests per UTC day / month (null = unlimited). Unset daily budgets
+// default to an even share of the monthly one so a busy afternoon can't
+// use up the month.
+function budgetFromEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
 
-// Observer locations
-const LOCATIONS = {
-  '1': { name: 'Port Elgin, Ontario', lat: 44.434, lon: -81.393 },
-  '2': { name: 'Lockeport, Nova Scotia', lat: 43.700, lon: -65.117 },
-  '3': { name: 'Mississauga, Ontario', lat: 43.5890, lon: -79.6441 }
+const ROUTE_PROVIDER_LIMITS = {
+  adsbdb: { concurrency: 4, daily: null, monthly: null },
+  aerodatabox: {
+    concurrency: 1,
+    monthly: budgetFromEnv('AERODATABOX_MONTHLY_BUDGET', 600),
+    daily: budgetFromEnv('AERODATABOX_DAILY_BUDGET', null)
+  },
+  aviationstack: {
+    concurrency: 1,
+    monthly: budgetFromEnv('AVIATIONSTACK_MONTHLY_BUDGET', 100),
+    daily: budgetFromEnv('AVIATIONSTACK_DAILY_BUDGET', null)
+  }
 };
+for (const limits of Object.values(ROUTE_PROVIDER_LIMITS)) {
+  if (limits.daily == null && limits.monthly != null) {
+    limits.daily = Math.max(1, Math.ceil(limits.monthly / 30));
+  }
+}
 
-// Observer for bearing/direction display
-const OBS_LAT = 43.687737;
-const OBS_LON = -65.128691;
-
-// METAR station for cloud ceiling near Lockeport (Yarmouth)
-const LOCKEPORT_METAR_STATION = 'CYQI';
-
-// Airline mapping by callsign prefix
-const AIRLINE_BY_ICAO_PREFIX = {
-  ACA: 'Air Canada',
-  JZA: 'Jazz Aviation',
-  ROU: 'Air Canada Rouge',
-  WJA: 'WestJet',
-  WEN: 'WestJet Encore',
-  TSC: 'Air Transat',
-  POE: 'Porter Airlines',
-  QTR: 'Qatar Airways',
-  BAW: 'British Airways',
-  AFR: 'Air France',
-  DLH: 'Lufthansa',
-  KLM: 'KLM Royal Dutch Airlines',
-  UAL: 'United Airlines',
-  AAL: 'American Airlines',
-  DAL: 'Delta Air Lines',
-  JBU: 'JetBlue',
-  SWA: 'Southwest Airlines'
+// How long a refresh waits for route lookups before answering without
+// them (lookups keep running and fill the cache), and how long a lookup
+// may sit in a provider queue before it's dropped.
+const ROUTE_ENRICH_WAIT_MS = Number(process.env.ROUTE_ENRICH_WAIT_MS) || 5000;
+const ROUTE_QUEUE_MAX_WAIT_MS = 60 * 1000;
+const ROUTE_BACKOFF_BASE_MS = 60 * 1000;
+const ROUTE_BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// OurAirports airports data (CSV). A copy ships in data/airports.csv;
+// POST /api/airports/refresh downloads the full list into storage/.
+const OURAIRPORTS_AIRPORTS_URL =
+  'https://davidmegginson.github.io/ourairports-data/airports.csv';
+
+// OpenFlights airlines data (CSV). A copy ships in data/airlines.dat;
+// POST /api/airlines/refresh downloads the full list into storage/.
+const OPENFLIGHTS_AIRLINES_URL =
+  'https://raw.githubusercontent.com/jpatokal/openflights/master/data/airlines.dat';
+
+// Built-in observer locations, used to seed LOCATIONS_FILE on first run.
+// `lat`/`lon` is the search center; `observer` is where bearing, distance
+// and "Look" are measured from (altM = metres above sea level). An entry
+// may set `sources` to override DEFAULT_AIRCRAFT_SOURCES, e.g.
+// ['readsb', 'adsblol'] or
+// [{ type: 'readsb', url: 'http://pi.local/tar1090/data/aircraft.json' }].
+const DEFAULT_LOCATIONS = {
+  '1': {
+    name: 'Port Elgin, Ontario',
+    lat: 44.434,
+    lon: -81.393,
+    observer: { lat: 44.434, lon: -81.393, altM: 180 },
+    radiusKm: DEFAULT_RADIUS_KM,
+    metarStation: null,
+    airspaceFile: '/airspace/location-1.geojson'
+  },
+  '2': {
+    name: 'Lockeport, Nova Scotia',
+    lat: 43.700,
+    lon: -65.117,
+    observer: { lat: 43.687737, lon: -65.128691, altM: 10 },
+    radiusKm: DEFAULT_RADIUS_KM,
+    // Yarmouth, nearest METAR to Lockeport
+    metarStation: 'CYQI',
+    airspaceFile: '/airspace/location-2.geojson'
+  },
+  '3': {
+    name: 'Mississauga, Ontario',
+    lat: 43.5890,
+    lon: -79.6441,
+    observer: { lat: 43.5890, lon: -79.6441, altM: 150 },
+    radiusKm: DEFAULT_RADIUS_KM,
+    metarStation: null,
+    airspaceFile: '/airspace/location-3.geojson'
+  }
 };
 
-// ICAO -> IATA airline code
-const ICAO_TO_IATA = {
-  ACA: 'AC',
-  JZA: 'QK',
-  ROU: 'RV',
-  WJA: 'WS',
-  WEN: 'WR',
-  TSC: 'TS',
-  POE: 'PD',
-  QTR: 'QR',
-  BAW: 'BA',
-  AFR: 'AF',
-  DLH: 'LH',
-  KLM: 'KL',
-  UAL: 'UA',
-  AAL: 'AA',
-  DAL: 'DL',
-  JBU: 'B6',
-  SWA: 'WN'
-};
+// Receiver position: reference for local CPR decoding and range checks.
+// 0 is a valid coordinate, so only unset/blank/non-numeric falls back.
+function coordinateFromEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw == null || raw.trim() === '') return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const RECEIVER_LAT = coordinateFromEnv('RECEIVER_LAT', DEFAULT_LOCATIONS['2'].observer.lat);
+const RECEIVER_LON = coordinateFromEnv('RECEIVER_LON', DEFAULT_LOCATIONS['2'].observer.lon);
+const MODES_MAX_RANGE_KM = Number(process.env.MODES_MAX_RANGE_KM) || 600;
+
+// Push interval of the /api/stream channels
+const STREAM_INTERVAL_MS = Number(process.env.STREAM_INTERVAL_MS) || 5000;
+
+// AviationWeather data API (override to point at a local stand-in)
+const AVIATIONWEATHER_BASE_URL =
+  process.env.AVIATIONWEATHER_BASE_URL || 'https://aviationweather.gov/api/data';
+const WEATHER_CACHE_TTL_MS = Number(process.env.WEATHER_CACHE_TTL_MS) || 10 * 60 * 1000;
+const TAF_CACHE_TTL_MS = Number(process.env.TAF_CACHE_TTL_MS) || 30 * 60 * 1000;
+const WEATHER_STATION_TTL_MS = 24 * 60 * 60 * 1000;
+const WEATHER_ERROR_TTL_MS = 60 * 1000;
+
+// Watchlist alerts: evaluation interval and optional global webhook
+const ALERT_EVAL_INTERVAL_MS = Number(process.env.ALERT_EVAL_INTERVAL_MS) || 60000;
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || null;
 
 // Earth radius for distance calc
 const EARTH_RADIUS_KM = 6371;
 
-const FLIGHT_HISTORY = [];
-const FLIGHT_HISTORY_MAX_ENTRIES = 20000;
+// ---------------------------------------------------------------------
+// Flight history store
+//
+// Append-only NDJSON, one file per UTC day under FLIGHT_HISTORY_DIR.
+// The day files are the index: a date-range query only opens the files
+// that fall inside the range. Recent days are kept parsed in memory; older
+// ones are streamed so a long range doesn't push them out of the cache.
+// New entries go into the day cache at once and are appended to the file
+// every FLIGHT_HISTORY_FLUSH_INTERVAL_MS.
+// ---------------------------------------------------------------------
+
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, 'storage');
+const FLIGHT_HISTORY_DIR = path.join(STORAGE_DIR, 'flight-history');
+const FLIGHT_HISTORY_RETENTION_DAYS =
+  Number(process.env.FLIGHT_HISTORY_RETENTION_DAYS) || 400;
+const FLIGHT_HISTORY_CACHE_DAYS = 14;
+// Most entries a single query returns (JSON or export)
+const FLIGHT_HISTORY_MAX_LIMIT = 20000;
+const FLIGHT_HISTORY_FILE_RE = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+const FLIGHT_HISTORY_FLUSH_INTERVAL_MS = 5 * 1000;
+
+const flightHistoryDayCache = new Map(); // date -> array of entries
+const pendingHistoryEntries = new Map(); // date -> entries not yet on disk
+let historyFlushRunning = false;
 
 let seenFlightsToday = new Set();
-let currentLogDate = getTodayString();
+let currentLogDate = null;
 
 function getTodayString() {
   return new Date().toISOString().slice(0, 10);
 }
 
+function getFlightHistoryFile(dateStr) {
+  return path.join(FLIGHT_HISTORY_DIR, `${dateStr}.ndjson`);
+}
+
+function readFlightHistoryDaySync(dateStr) {
+  let text;
+  try {
+    text = fs.readFileSync(getFlightHistoryFile(dateStr), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[HISTORY] Failed to read', dateStr, ':', err.message);
+    }
+    return [];
+  }
+
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      // A torn write at the end of a file only loses that one entry
+      console.error('[HISTORY] Skipping bad line in', dateStr);
+    }
+  }
+  const pending = pendingHistoryEntries.get(dateStr);
+  if (pending) entries.push(...pending);
+  return entries;
+}
+
+function getFlightHistoryDay(dateStr) {
+  if (flightHistoryDayCache.has(dateStr)) {
+    const entries = flightHistoryDayCache.get(dateStr);
+    // refresh LRU position
+    flightHistoryDayCache.delete(dateStr);
+    flightHistoryDayCache.set(dateStr, entries);
+    return entries;
+  }
+
+  const entries = readFlightHistoryDaySync(dateStr);
+  flightHistoryDayCache.set(dateStr, entries);
+  for (const key of flightHistoryDayCache.keys()) {
+    if (flightHistoryDayCache.size <= FLIGHT_HISTORY_CACHE_DAYS) break;
+    // never evict the day we are appending to
+    if (key !== currentLogDate) flightHistoryDayCache.delete(key);
+  }
+  return entries;
+}
+
+// Days that are read through (and kept in) flightHistoryDayCache: the
+// last FLIGHT_HISTORY_CACHE_DAYS and whatever is cached already
+function isCachedHistoryDay(dateStr) {
+  const cutoff = new Date(Date.now() - (FLIGHT_HISTORY_CACHE_DAYS - 1) * 86400000)
+    .toISOString()
+    .slice(0, 10);
+  return dateStr >= cutoff || flightHistoryDayCache.has(dateStr);
+}
+
+// Streams a day file, calling onEntry for each entry, without caching it
+async function forEachFlightHistoryEntry(dateStr, onEntry) {
+  const rl = readline.createInterface({
+    input: fs.createReadStream(getFlightHistoryFile(dateStr)),
+    crlfDelay: Infinity
+  });
+  try {
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        continue; // torn write
+      }
+      onEntry(entry);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[HISTORY] Failed to read', dateStr, ':', err.message);
+    }
+  }
+}
+
+function listFlightHistoryDates() {
+  let names = [];
+  try {
+    names = fs.readdirSync(FLIGHT_HISTORY_DIR);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[HISTORY] Failed to list history:', err.message);
+    }
+    return [];
+  }
+
+  const dates = [];
+  for (const name of names) {
+    const m = name.match(FLIGHT_HISTORY_FILE_RE);
+    if (m) dates.push(m[1]);
+  }
+  for (const dateStr of pendingHistoryEntries.keys()) {
+    if (!dates.includes(dateStr)) dates.push(dateStr); // not flushed yet
+  }
+  return dates.sort();
+}
+
+function pruneFlightHistory() {
+  const cutoff = new Date(Date.now() - FLIGHT_HISTORY_RETENTION_DAYS * 86400000)
+    .toISOString()
+    .slice(0, 10);
+
+  for (const dateStr of listFlightHistoryDates()) {
+    if (dateStr >= cutoff) continue;
+    try {
+      fs.unlinkSync(getFlightHistoryFile(dateStr));
+      flightHistoryDayCache.delete(dateStr);
+      console.log('[HISTORY] Pruned', dateStr);
+    } catch (err) {
+      console.error('[HISTORY] Failed to prune', dateStr, ':', err.message);
+    }
+  }
+}
+
 function ensureFlightHistoryState() {
   const today = getTodayString();
-  if (today !== currentLogDate) {
-    currentLogDate = today;
-    seenFlightsToday = new Set();
+  if (today === currentLogDate) return;
+
+  currentLogDate = today;
+  fs.mkdirSync(FLIGHT_HISTORY_DIR, { recursive: true });
+
+  // Rebuild today's de-dupe set so a restart does not re-log everything
+  seenFlightsToday = new Set();
+  for (const entry of getFlightHistoryDay(today)) {
+    if (entry.flightKey && historyEntryType(entry) === 'flight') {
+      seenFlightsToday.add(today + ':' + entry.flightKey);
+    }
   }
+
+  pruneFlightHistory();
+}
+
+// Entries written before event logging have no `type`
+function historyEntryType(entry) {
+  return entry.type || 'flight';
 }
 
 function getFlightKey(ac) {
@@ -142,6 +422,7 @@ function logFlightHistory(aircraftList, context) {
 
   ensureFlightHistoryState();
   const dateStr = currentLogDate;
+  const newEntries = [];
 
   for (const ac of aircraftList) {
     const flightKey = getFlightKey(ac);
@@ -152,752 +433,6771 @@ function logFlightHistory(aircraftList, context) {
 
     seenFlightsToday.add(dedupeKey);
 
-    const entry = {
+    newEntries.push({
+      type: 'flight',
       date: dateStr,
       loggedAt: new Date().toISOString(),
       flightKey,
       callsign: ac.callsign || null,
       icao24: ac.icao24 || null,
+      airline: ac.airline || null,
+      airlineIcao: ac.airlineIcao || null,
+      typeCode: ac.typeCode || null,
+      model: ac.model || null,
       locationKey: context && context.locationKey,
       locationName: context && context.locationName,
       radiusKm: context && context.radiusKm,
       originIcao: ac.originIcao || null,
       destinationIcao: ac.destinationIcao || null
-    };
-
-    FLIGHT_HISTORY.push(entry);
-    if (FLIGHT_HISTORY.length > FLIGHT_HISTORY_MAX_ENTRIES) {
-      FLIGHT_HISTORY.shift();
-    }
+    });
   }
-}
 
-function queryFlightHistory(options) {
-  const dateFilter = options && options.dateFilter ? String(options.dateFilter).trim() : null;
-  const flightKeyFilter = options && options.flightKeyFilter ? String(options.flightKeyFilter).trim() : null;
-  const limit = options && options.limit ? options.limit : 500;
+  if (newEntries.length === 0) return;
 
-  const results = [];
-  for (let i = FLIGHT_HISTORY.length - 1; i >= 0; i--) {
-    const entry = FLIGHT_HISTORY[i];
-    if (dateFilter && entry.date !== dateFilter) continue;
-    if (flightKeyFilter && entry.flightKey !== flightKeyFilter) continue;
-
-    results.push(entry);
-    if (results.length >= limit) break;
+  queueFlightHistoryEntries(dateStr, newEntries);
+  getFlightHistoryDay(dateStr).push(...newEntries);
+  if (typeFirstSeen) {
+    for (const entry of newEntries) noteTypeSeen(typeFirstSeen, entry);
   }
-  return results.reverse();
 }
 
-// ---------------------------------------------------------------------
-// Helpers
-// ---------------------------------------------------------------------
+// Append one event (e.g. 'holding', 'go-around') for an aircraft. Unlike
+// flight entries these aren't de-duplicated per day; callers rate-limit.
+function logFlightEvent(ac, type, context, details) {
+  const flightKey = getFlightKey(ac);
+  if (!flightKey) return;
 
-function toRad(deg) {
-  return (deg * Math.PI) / 180;
-}
+  ensureFlightHistoryState();
+  const dateStr = currentLogDate;
+  const entry = {
+    type,
+    date: dateStr,
+    loggedAt: new Date().toISOString(),
+    flightKey,
+    callsign: ac.callsign || null,
+    icao24: ac.icao24 || null,
+    airline: ac.airline || null,
+    locationKey: context && context.locationKey,
+    locationName: context && context.locationName,
+    radiusKm: context && context.radiusKm,
+    originIcao: ac.originIcao || null,
+    destinationIcao: ac.destinationIcao || null,
+    lat: ac.lat,
+    lon: ac.lon,
+    altitudeFt: ac.altitudeFt,
+    ...details
+  };
 
-function toDeg(rad) {
-  return (rad * 180) / Math.PI;
+  queueFlightHistoryEntries(dateStr, [entry]);
+  getFlightHistoryDay(dateStr).push(entry);
 }
 
-function bearingDegrees(lat1, lon1, lat2, lon2) {
-  const phi1 = toRad(lat1);
-  const phi2 = toRad(lat2);
-  const dLon = toRad(lon2 - lon1);
+function queueFlightHistoryEntries(dateStr, entries) {
+  const pending = pendingHistoryEntries.get(dateStr);
+  if (pending) pending.push(...entries);
+  else pendingHistoryEntries.set(dateStr, entries.slice());
+}
 
-  const x = Math.sin(dLon) * Math.cos(phi2);
-  const y =
-    Math.cos(phi1) * Math.sin(phi2) -
-    Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+async function flushFlightHistory() {
+  if (historyFlushRunning || pendingHistoryEntries.size === 0) return;
+  historyFlushRunning = true;
+  try {
+    for (const dateStr of [...pendingHistoryEntries.keys()]) {
+      const entries = pendingHistoryEntries.get(dateStr);
+      const count = entries.length;
+      const text = entries.map((e) => JSON.stringify(e)).join('\n') + '\n';
+      try {
+        await fs.promises.appendFile(getFlightHistoryFile(dateStr), text);
+      } catch (err) {
+        console.error('[HISTORY] Failed to append:', err.message);
+      }
+      // Entries queued during the write wait for the next flush
+      entries.splice(0, count);
+      if (entries.length === 0) pendingHistoryEntries.delete(dateStr);
+    }
+  } finally {
+    historyFlushRunning = false;
+  }
+}
 
-  const brng = toDeg(Math.atan2(x, y));
-  return (brng + 360) % 360;
+function startFlightHistoryFlusher() {
+  setInterval(flushFlightHistory, FLIGHT_HISTORY_FLUSH_INTERVAL_MS).unref();
 }
 
-function distanceKm(lat1, lon1, lat2, lon2) {
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return EARTH_RADIUS_KM * c;
+function historyFilterValue(options, name) {
+  const value = options && options[name];
+  if (value == null) return null;
+  const str = String(value).trim();
+  return str ? str : null;
 }
 
-function bearingToDirection(brng) {
-  const dirs = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
-  const idx = Math.floor((brng + 22.5) / 45) % 8;
-  return dirs[idx];
+function flightHistoryEntryMatches(entry, filters) {
+  if (filters.type && historyEntryType(entry) !== filters.type) return false;
+  if (filters.flightKey && entry.flightKey !== filters.flightKey) return false;
+  if (filters.locationKey && String(entry.locationKey) !== filters.locationKey) {
+    return false;
+  }
+  if (filters.airline) {
+    const airline = (entry.airline || '').toUpperCase();
+    const prefix = (entry.flightKey || '').slice(0, 3).toUpperCase();
+    if (!airline.includes(filters.airline) && prefix !== filters.airline) {
+      return false;
+    }
+  }
+  if (filters.origin && entry.originIcao !== filters.origin) return false;
+  if (filters.destination && entry.destinationIcao !== filters.destination) {
+    return false;
+  }
+  return true;
 }
 
-// ---------------------------------------------------------------------
-// CSV utilities
-// ---------------------------------------------------------------------
+// Options: dateFilter (single day) or fromDate/toDate (inclusive YYYY-MM-DD),
+// flightKeyFilter, locationKey, airline, origin, destination, type
+// ('flight' or an event type such as 'holding'), limit (at most
+// FLIGHT_HISTORY_MAX_LIMIT). Resolves to the newest `limit` matches in
+// chronological order.
+async function queryFlightHistory(options) {
+  const dateFilter = historyFilterValue(options, 'dateFilter');
+  const fromDate = dateFilter || historyFilterValue(options, 'fromDate');
+  const toDate = dateFilter || historyFilterValue(options, 'toDate');
+  const limit = Math.min(
+    options && options.limit > 0 ? options.limit : 500,
+    FLIGHT_HISTORY_MAX_LIMIT
+  );
+
+  const upper = (name) => {
+    const v = historyFilterValue(options, name);
+    return v ? v.toUpperCase() : null;
+  };
+  const filters = {
+    flightKey: historyFilterValue(options, 'flightKeyFilter'),
+    locationKey: historyFilterValue(options, 'locationKey'),
+    airline: upper('airline'),
+    origin: upper('origin'),
+    destination: upper('destination'),
+    type: historyFilterValue(options, 'type')
+  };
 
-function parseCsvLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
+  const dates = listFlightHistoryDates()
+    .filter((d) => (!fromDate || d >= fromDate) && (!toDate || d <= toDate))
+    .reverse();
 
-  for (let i = 0; i < line.length; i++) {
-    const c = line[i];
-    if (c === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
+  const results = [];
+  for (const dateStr of dates) {
+    if (isCachedHistoryDay(dateStr)) {
+      const entries = getFlightHistoryDay(dateStr);
+      for (let i = entries.length - 1; i >= 0; i--) {
+        const entry = entries[i];
+        if (!flightHistoryEntryMatches(entry, filters)) continue;
+
+        results.push(entry);
+        if (results.length >= limit) return results.reverse();
       }
-    } else if (c === ',' && !inQuotes) {
-      result.push(current);
-      current = '';
-    } else {
-      current += c;
+      continue;
     }
+
+    // Keep only the day's newest `remaining` matches while streaming
+    const remaining = limit - results.length;
+    let matches = [];
+    await forEachFlightHistoryEntry(dateStr, (entry) => {
+      if (!flightHistoryEntryMatches(entry, filters)) return;
+      matches.push(entry);
+      if (matches.length >= 2 * remaining) matches = matches.slice(-remaining);
+    });
+    results.push(...matches.slice(-remaining).reverse());
+    if (results.length >= limit) return results.reverse();
   }
-  result.push(current);
-  return result;
+  return results.reverse();
 }
 
 // ---------------------------------------------------------------------
-// Airport & Country DBs
+// Track recording
+//
+// Every aircraft fetch appends positions to NDJSON day files under
+// TRACKS_DIR, one compact point per line. Each aircraft is sampled at
+// most every TRACK_MIN_INTERVAL_MS, sooner when it turns. Day files older
+// than TRACK_RETENTION_DAYS are deleted. With TRACK_RECORD_INTERVAL_MS set,
+// all locations are also fetched in the background so tracks keep being
+// recorded while nobody has the page open.
 // ---------------------------------------------------------------------
 
-let airportsByIcao = null;
-let countryNameToIso2 = null;
-
-async function loadCountryDb() {
-  if (countryNameToIso2) return countryNameToIso2;
+const TRACKS_DIR = path.join(STORAGE_DIR, 'tracks');
+const TRACK_RETENTION_DAYS = Number(process.env.TRACK_RETENTION_DAYS) || 7;
+const TRACK_MIN_INTERVAL_MS = Number(process.env.TRACK_MIN_INTERVAL_MS) || 15000;
+const TRACK_TURN_DEG = 10;
+const TRACK_RECORD_INTERVAL_MS = Number(process.env.TRACK_RECORD_INTERVAL_MS) || 0;
+const TRACK_QUERY_DEFAULT_MS = 60 * 60 * 1000;
+const TRACK_QUERY_MAX_MS = 24 * 60 * 60 * 1000;
+// Multi-aircraft queries longer than this are thinned so the recorded
+// resolution scales down with the span (24 h -> one point per 2 min)
+const TRACK_DOWNSAMPLE_AFTER_MS = 3 * 60 * 60 * 1000;
+// Hard caps on one query's response; reading stops once either is hit
+const TRACK_QUERY_MAX_TRACKS = 5000;
+const TRACK_QUERY_MAX_POINTS = 200000;
+// Order of the values in each point of a /api/tracks response
+const TRACK_POINT_FIELDS = ['t', 'lat', 'lon', 'alt', 'gs', 'trk', 'vs'];
+
+const lastTrackPoints = new Map(); // icao24 -> last recorded point
+let lastTrackPointsSweptAt = Date.now();
+let currentTrackDate = null;
+
+function getTrackFile(dateStr) {
+  return path.join(TRACKS_DIR, `${dateStr}.ndjson`);
+}
 
+function listTrackDates() {
+  let names = [];
   try {
-    const resp = await axios.get(OURAIRPORTS_COUNTRIES_URL, {
-      timeout: 15000,
-      responseType: 'text'
-    });
-    const text = resp.data;
-    const lines = text.split(/\r?\n/);
-    const map = {};
+    names = fs.readdirSync(TRACKS_DIR);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[TRACKS] Failed to list tracks:', err.message);
+    }
+    return [];
+  }
 
-    const header = lines[0] || '';
-    const headerCols = parseCsvLine(header);
-    const codeIdx = headerCols.indexOf('code');
-    const nameIdx = headerCols.indexOf('name');
+  const dates = [];
+  for (const name of names) {
+    const m = name.match(FLIGHT_HISTORY_FILE_RE);
+    if (m) dates.push(m[1]);
+  }
+  return dates.sort();
+}
 
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      const cols = parseCsvLine(line);
-      const code = cols[codeIdx];
-      const name = cols[nameIdx];
-      if (!code || !name) continue;
-      map[name] = code;
+function pruneTracks() {
+  const cutoff = new Date(Date.now() - TRACK_RETENTION_DAYS * 86400000)
+    .toISOString()
+    .slice(0, 10);
+
+  for (const dateStr of listTrackDates()) {
+    if (dateStr >= cutoff) continue;
+    try {
+      fs.unlinkSync(getTrackFile(dateStr));
+      console.log('[TRACKS] Pruned', dateStr);
+    } catch (err) {
+      console.error('[TRACKS] Failed to prune', dateStr, ':', err.message);
     }
-    countryNameToIso2 = map;
-  } catch (err) {
-    console.error('[AIRPORTS] Failed to load countries:', err.message);
-    countryNameToIso2 = {};
   }
+}
+
+function ensureTrackState() {
+  const today = getTodayString();
+  if (today === currentTrackDate) return;
 
-  return countryNameToIso2;
+  currentTrackDate = today;
+  fs.mkdirSync(TRACKS_DIR, { recursive: true });
+  pruneTracks();
 }
 
-async function loadAirportDb() {
-  if (airportsByIcao) return airportsByIcao;
+// Forget aircraft that haven't been recorded for a while
+function sweepLastTrackPoints(now) {
+  if (now - lastTrackPointsSweptAt < 10 * 60 * 1000) return;
+  lastTrackPointsSweptAt = now;
 
-  try {
-    const resp = await axios.get(OPENFLIGHTS_AIRPORTS_URL, {
-      timeout: 20000,
-      responseType: 'text'
-    });
-    const text = resp.data;
-    const lines = text.split(/\r?\n/);
-    const map = {};
+  for (const [hex, point] of lastTrackPoints) {
+    if (now - point.t > 10 * 60 * 1000) lastTrackPoints.delete(hex);
+  }
+}
 
-    for (const line of lines) {
-      if (!line.trim()) continue;
-      const cols = parseCsvLine(line);
-      if (cols.length < 6) continue;
-      const city = cols[2];
-      const countryName = cols[3];
-      const icao = cols[5];
-      if (!icao) continue;
-      map[icao.toUpperCase()] = {
-        city,
-        countryName
-      };
+function recordTrackPoints(aircraftList) {
+  if (!Array.isArray(aircraftList) || aircraftList.length === 0) return;
+
+  const now = Date.now();
+  sweepLastTrackPoints(now);
+
+  const points = [];
+  for (const ac of aircraftList) {
+    if (!ac.icao24 || ac.lat == null || ac.lon == null) continue;
+
+    const hex = ac.icao24.toLowerCase();
+    // Time of the position itself, not of the fetch
+    const t = Math.round(now - (ac.seenPosSec || 0) * 1000);
+    const last = lastTrackPoints.get(hex);
+    if (last) {
+      if (t <= last.t) continue; // same position as last time
+      const turned =
+        ac.headingDeg != null &&
+        last.trk != null &&
+        angleDiffDeg(ac.headingDeg, last.trk) >= TRACK_TURN_DEG;
+      if (t - last.t < TRACK_MIN_INTERVAL_MS && !turned) continue;
     }
 
-    airportsByIcao = map;
-  } catch (err) {
-    console.error('[AIRPORTS] Failed to load airports:', err.message);
-    airportsByIcao = {};
+    const point = {
+      t,
+      hex,
+      cs: ac.callsign || null,
+      lat: Math.round(ac.lat * 1e5) / 1e5,
+      lon: Math.round(ac.lon * 1e5) / 1e5,
+      alt: ac.onGround ? 0 : ac.altitudeFt,
+      gs: ac.speedKt,
+      trk: ac.headingDeg,
+      vs: ac.verticalRateFpm
+    };
+    lastTrackPoints.set(hex, point);
+    points.push(point);
   }
 
-  return airportsByIcao;
-}
-
-async function getAirportDisplay(icaoCode) {
-  if (!icaoCode) return null;
-  const icao = icaoCode.toUpperCase();
+  if (points.length === 0) return;
 
-  const [airports, countries] = await Promise.all([
-    loadAirportDb(),
-    loadCountryDb()
-  ]);
+  ensureTrackState();
+  const text = points.map((p) => JSON.stringify(p)).join('\n') + '\n';
+  try {
+    fs.appendFileSync(getTrackFile(currentTrackDate), text);
+  } catch (err) {
+    console.error('[TRACKS] Failed to append:', err.message);
+  }
+}
 
-  const info = airports[icao];
-  if (!info) return null;
+// Options: fromMs, toMs, hex, and area { lat, lon, radiusKm } (points
+// outside it are dropped). Returns { tracks, stepMs, truncated }: tracks
+// are [{ hex, callsign, points }] with points as arrays in
+// TRACK_POINT_FIELDS order, oldest first; stepMs is the minimum spacing
+// kept per aircraft when downsampled (else null); truncated is set when a
+// TRACK_QUERY_MAX_* cap cut the result short.
+async function queryTracks(options) {
+  const { fromMs, toMs, hex, area } = options;
+  const fromDate = new Date(fromMs).toISOString().slice(0, 10);
+  const toDate = new Date(toMs).toISOString().slice(0, 10);
+  const dates = listTrackDates().filter((d) => d >= fromDate && d <= toDate);
+
+  const spanMs = toMs - fromMs;
+  const stepMs =
+    !hex && spanMs > TRACK_DOWNSAMPLE_AFTER_MS
+      ? Math.round((TRACK_MIN_INTERVAL_MS * spanMs) / TRACK_DOWNSAMPLE_AFTER_MS)
+      : null;
 
-  const city = info.city || '';
-  const countryName = info.countryName || '';
-  const iso2 = countries[countryName] || null;
+  const tracks = new Map(); // hex -> { hex, callsign, points, lastT }
+  let pointCount = 0;
+  let truncated = false;
+  for (const dateStr of dates) {
+    if (truncated) break;
+    const rl = readline.createInterface({
+      input: fs.createReadStream(getTrackFile(dateStr)),
+      crlfDelay: Infinity
+    });
+    try {
+      for await (const line of rl) {
+        // Cheap prefilters before parsing every line of a busy day; points
+        // are written with "t" first
+        const tm = line.match(/^\{"t":(\d+)/);
+        if (tm && (Number(tm[1]) < fromMs || Number(tm[1]) > toMs)) continue;
+        if (hex && !line.includes(`"hex":"${hex}"`)) continue;
+
+        let p;
+        try {
+          p = JSON.parse(line);
+        } catch (err) {
+          continue; // torn write
+        }
+        if (p.t < fromMs || p.t > toMs) continue;
+        if (hex && p.hex !== hex) continue;
+        if (area && distanceKm(area.lat, area.lon, p.lat, p.lon) > area.radiusKm) {
+          continue;
+        }
 
-  if (!city && !countryName) return null;
+        let track = tracks.get(p.hex);
+        if (!track) {
+          if (tracks.size >= TRACK_QUERY_MAX_TRACKS) {
+            truncated = true;
+            break;
+          }
+          track = { hex: p.hex, callsign: null, points: [], lastT: -Infinity };
+          tracks.set(p.hex, track);
+        }
+        if (p.cs) track.callsign = p.cs;
+        if (stepMs && Math.abs(p.t - track.lastT) < stepMs) continue;
+        if (pointCount >= TRACK_QUERY_MAX_POINTS) {
+          truncated = true;
+          break;
+        }
+        track.lastT = p.t;
+        track.points.push(TRACK_POINT_FIELDS.map((f) => (p[f] != null ? p[f] : null)));
+        pointCount++;
+      }
+    } catch (err) {
+      console.error('[TRACKS] Failed to read', dateStr, ':', err.message);
+    } finally {
+      rl.close();
+    }
+  }
 
-  if (city && iso2) {
-    return `${city}, ${iso2}`;
-  } else if (city && countryName) {
-    return `${city}, ${countryName}`;
-  } else if (city) {
-    return city;
-  } else if (countryName) {
-    return countryName;
+  const result = Array.from(tracks.values());
+  for (const track of result) {
+    delete track.lastT;
+    track.points.sort((a, b) => a[0] - b[0]);
   }
-  return null;
+  return { tracks: result, stepMs, truncated };
 }
 
-// ---------------------------------------------------------------------
-// ADSB.lol
-// ---------------------------------------------------------------------
+let trackRecorderRunning = false;
 
-async function fetchAircraftRaw(lat, lon, radiusNm) {
-  const url = ADSBLOL_URL_TEMPLATE
-    .replace('{lat}', String(lat))
-    .replace('{lon}', String(lon))
-    .replace('{radius}', String(radiusNm));
+async function runTrackRecorder() {
+  if (trackRecorderRunning) return;
+  trackRecorderRunning = true;
 
   try {
-    const resp = await axios.get(url, { timeout: 15000 });
-    return resp.data || {};
-  } catch (err) {
-    console.error('[ADSB] Error contacting ADSB.lol:', err.message);
-    return {};
+    for (const locationKey of Object.keys(LOCATIONS)) {
+      try {
+        // records as a side effect
+        await getAircraftForLocationKey(locationKey);
+      } catch (err) {
+        console.error('[TRACKS] Background fetch failed for', locationKey, ':', err.message);
+      }
+    }
+  } finally {
+    trackRecorderRunning = false;
   }
 }
 
+function startTrackRecorder() {
+  if (!TRACK_RECORD_INTERVAL_MS) return;
+  setInterval(runTrackRecorder, TRACK_RECORD_INTERVAL_MS).unref();
+}
+
 // ---------------------------------------------------------------------
-// Route lookup via adsbdb + AeroDataBox + AviationStack
+// Coverage (range outline)
+//
+// Farthest position seen in each 1° bearing sector from a location's
+// observer, split by altitude band and kept per receiver source and UTC
+// day: COVERAGE_DIR/YYYY-MM-DD.json holds { location: { source: { band:
+// [range km per sector] } } }. Everything the receiver reports counts, not
+// just the location's radius; aggregator sources only answer the radius
+// query and are not recorded. Today's file is rewritten every
+// COVERAGE_SAVE_INTERVAL_MS when it has changed. Queries merge days and sources by taking the
+// maximum, and can coarsen the sectors.
 // ---------------------------------------------------------------------
 
-const routeCache = {}; // callsign -> { originIcao, destinationIcao } or null
-const routeSourceStats = {}; // airlineKey -> { adsbdb, aerodatabox, aviationstack }
-
-function getAirlineKeyFromCallsign(callsignKey) {
-  if (!callsignKey) return 'DEFAULT';
-  const cs = callsignKey.trim().toUpperCase();
-  const m = cs.match(/^([A-Z]+)/);
-  return m ? m[1] : 'DEFAULT';
+const COVERAGE_DIR = path.join(STORAGE_DIR, 'coverage');
+const COVERAGE_RETENTION_DAYS = Number(process.env.COVERAGE_RETENTION_DAYS) || 90;
+const COVERAGE_SAVE_INTERVAL_MS = 60 * 1000;
+const COVERAGE_FILE_RE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+const COVERAGE_SECTORS = 360;
+const COVERAGE_SECTOR_CHOICES = [36, 72, 180, 360];
+const COVERAGE_ALT_BANDS = [
+  { key: 'below10k', label: '< 10,000 ft', maxFt: 10000 },
+  { key: '10k-20k', label: '10,000–20,000 ft', maxFt: 20000 },
+  { key: '20k-30k', label: '20,000–30,000 ft', maxFt: 30000 },
+  { key: 'above30k', label: '30,000 ft and above', maxFt: Infinity }
+];
+
+const coverageDays = new Map(); // date -> parsed day file
+let currentCoverageDate = null;
+let coverageDirty = false;
+
+function getCoverageFile(dateStr) {
+  return path.join(COVERAGE_DIR, `${dateStr}.json`);
 }
 
-function recordRouteSourceSuccess(airlineKey, sourceName) {
-  if (!routeSourceStats[airlineKey]) {
-    routeSourceStats[airlineKey] = {
-      adsbdb: 0,
-      aerodatabox: 0,
-      aviationstack: 0
-    };
+function listCoverageDates() {
+  let names = [];
+  try {
+    names = fs.readdirSync(COVERAGE_DIR);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[COVERAGE] Failed to list coverage:', err.message);
+    }
+    return [];
   }
-  if (routeSourceStats[airlineKey][sourceName] == null) {
-    routeSourceStats[airlineKey][sourceName] = 0;
+
+  const dates = [];
+  for (const name of names) {
+    const m = name.match(COVERAGE_FILE_RE);
+    if (m) dates.push(m[1]);
   }
-  routeSourceStats[airlineKey][sourceName] += 1;
+  return dates.sort();
 }
 
-function getRouteSourceOrderForAirline(airlineKey) {
-  const defaultOrder = ['adsbdb', 'aerodatabox', 'aviationstack'];
-  const stats = routeSourceStats[airlineKey];
-  if (!stats) return defaultOrder;
+function getCoverageDay(dateStr) {
+  if (coverageDays.has(dateStr)) return coverageDays.get(dateStr);
 
-  return [...defaultOrder].sort((a, b) => {
-    const sa = stats[a] || 0;
-    const sb = stats[b] || 0;
-    return sb - sa;
-  });
+  let day = {};
+  try {
+    day = JSON.parse(fs.readFileSync(getCoverageFile(dateStr), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[COVERAGE] Failed to read', dateStr, ':', err.message);
+    }
+  }
+  coverageDays.set(dateStr, day);
+  return day;
 }
 
-async function fetchRouteFromAdsbdb(callsignKey) {
-  const url = ADSBDB_ROUTE_URL + encodeURIComponent(callsignKey);
-
+// Day files are rewritten whole; a compact dump keeps them small
+function saveCoverage() {
+  if (!coverageDirty || !currentCoverageDate) return;
+  const filePath = getCoverageFile(currentCoverageDate);
   try {
-    const resp = await axios.get(url, { timeout: 8000 });
-    const data = resp.data || {};
+    fs.mkdirSync(COVERAGE_DIR, { recursive: true });
+    fs.writeFileSync(filePath + '.tmp', JSON.stringify(getCoverageDay(currentCoverageDate)));
+    fs.renameSync(filePath + '.tmp', filePath);
+    coverageDirty = false;
+  } catch (err) {
+    console.error('[COVERAGE] Failed to save:', err.message);
+  }
+}
 
-    let origin = data.origin;
+function pruneCoverage() {
+  const cutoff = new Date(Date.now() - COVERAGE_RETENTION_DAYS * 86400000)
+    .toISOString()
+    .slice(0, 10);
+
+  for (const dateStr of listCoverageDates()) {
+    if (dateStr >= cutoff) continue;
+    try {
+      fs.unlinkSync(getCoverageFile(dateStr));
+      coverageDays.delete(dateStr);
+      console.log('[COVERAGE] Pruned', dateStr);
+    } catch (err) {
+      console.error('[COVERAGE] Failed to prune', dateStr, ':', err.message);
+    }
+  }
+}
+
+function coverageBandFor(altitudeFt) {
+  const alt = altitudeFt != null ? altitudeFt : 0;
+  return COVERAGE_ALT_BANDS.find((b) => alt < b.maxFt).key;
+}
+
+// Widen the location's outline with a receiver source's positions
+// (readsb-style objects, unfiltered by radius)
+function updateCoverage(locationKey, loc, source, aircraftList) {
+  if (!source || !Array.isArray(aircraftList) || aircraftList.length === 0) return;
+
+  const today = getTodayString();
+  if (today !== currentCoverageDate) {
+    saveCoverage(); // finish the previous day
+    currentCoverageDate = today;
+    pruneCoverage();
+  }
+
+  const observer = resolveObserver(loc, null);
+  const day = getCoverageDay(today);
+  const bySource = day[locationKey] || (day[locationKey] = {});
+  const byBand = bySource[source] || (bySource[source] = {});
+
+  for (const ac of aircraftList) {
+    const lat = Number(ac.lat);
+    const lon = Number(ac.lon);
+    if (ac.lat == null || ac.lon == null || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+      continue;
+    }
+    const rangeKm = distanceKm(observer.lat, observer.lon, lat, lon);
+    // Beyond any receiver's reach: a bad position
+    if (!Number.isFinite(rangeKm) || rangeKm > MODES_MAX_RANGE_KM) continue;
+
+    const bearing = bearingDegrees(observer.lat, observer.lon, lat, lon);
+    const sector = Math.floor(bearing) % COVERAGE_SECTORS;
+    const altFt = ac.alt_baro === 'ground' ? 0 : Number(ac.alt_baro != null ? ac.alt_baro : ac.alt_geom);
+    const band = coverageBandFor(Number.isFinite(altFt) ? altFt : null);
+    const ranges =
+      byBand[band] || (byBand[band] = new Array(COVERAGE_SECTORS).fill(0));
+    const rounded = Math.round(rangeKm * 10) / 10;
+    if (rounded > ranges[sector]) {
+      ranges[sector] = rounded;
+      coverageDirty = true;
+    }
+  }
+}
+
+function startCoverageSaver() {
+  setInterval(saveCoverage, COVERAGE_SAVE_INTERVAL_MS).unref();
+}
+
+// Outline of `ranges` (one per sector) around the observer, as [lat, lon]
+// vertices at each sector's centre bearing
+function coveragePolygon(observer, ranges) {
+  const sectorDeg = 360 / ranges.length;
+  return ranges.map((rangeKm, i) => {
+    const p = destinationPoint(observer.lat, observer.lon, (i + 0.5) * sectorDeg, rangeKm);
+    return [Math.round(p.lat * 1e5) / 1e5, Math.round(p.lon * 1e5) / 1e5];
+  });
+}
+
+// Options: locationKey, source (null = all), fromDate/toDate (inclusive
+// YYYY-MM-DD, null = open), sectors (one of COVERAGE_SECTOR_CHOICES)
+function queryCoverage(options) {
+  const { locationKey, source, fromDate, toDate, sectors } = options;
+  const loc = getLocation(locationKey);
+  const observer = resolveObserver(loc, null);
+  const group = COVERAGE_SECTORS / sectors;
+
+  const sources = new Set();
+  const days = [];
+  const merged = {}; // band -> ranges at `sectors` resolution
+  for (const band of COVERAGE_ALT_BANDS) merged[band.key] = new Array(sectors).fill(0);
+
+  const dates = listCoverageDates();
+  if (currentCoverageDate && !dates.includes(currentCoverageDate)) {
+    dates.push(currentCoverageDate); // not saved yet
+  }
+  for (const dateStr of dates) {
+    if ((fromDate && dateStr < fromDate) || (toDate && dateStr > toDate)) continue;
+    const bySource = getCoverageDay(dateStr)[locationKey];
+    if (!bySource) continue;
+    days.push(dateStr);
+
+    for (const [sourceName, byBand] of Object.entries(bySource)) {
+      sources.add(sourceName);
+      if (source && sourceName !== source) continue;
+      for (const [band, ranges] of Object.entries(byBand)) {
+        const target = merged[band];
+        if (!target) continue;
+        ranges.forEach((km, i) => {
+          const s = Math.floor(i / group);
+          if (km > target[s]) target[s] = km;
+        });
+      }
+    }
+  }
+
+  const bandResult = (key, label, ranges) => ({
+    key,
+    label,
+    maxRangeKm: Math.max(...ranges),
+    ranges,
+    polygon: coveragePolygon(observer, ranges)
+  });
+  const all = new Array(sectors).fill(0).map((_, i) =>
+    Math.max(...COVERAGE_ALT_BANDS.map((b) => merged[b.key][i]))
+  );
+
+  return {
+    location: locationKey,
+    observer: { lat: observer.lat, lon: observer.lon },
+    source: source || null,
+    sources: Array.from(sources).sort(),
+    from: days[0] || null,
+    to: days[days.length - 1] || null,
+    sectorDeg: 360 / sectors,
+    bands: [
+      bandResult('all', 'All altitudes', all),
+      ...COVERAGE_ALT_BANDS.map((b) => bandResult(b.key, b.label, merged[b.key]))
+    ]
+  };
+}
+
+// ---------------------------------------------------------------------
+// Locations store
+//
+// User-managed locations live in LOCATIONS_FILE (JSON object keyed by
+// location id) and are edited through /api/locations. The file is seeded
+// from DEFAULT_LOCATIONS the first time the server runs. New ids come from
+// a counter in LOCATION_SEQ_FILE and are never reused: history, coverage,
+// zones and rules are keyed by location id.
+// ---------------------------------------------------------------------
+
+const LOCATIONS_FILE =
+  process.env.LOCATIONS_FILE || path.join(STORAGE_DIR, 'locations.json');
+const LOCATION_SEQ_FILE = path.join(path.dirname(LOCATIONS_FILE), 'location-seq.json');
+const PREFERRED_LOCATION_KEY = '2';
+
+let lastLocationKey = 0; // highest numeric id ever handed out
+
+// Null prototype, and every lookup goes through getLocation(), so keys such
+// as "constructor" or "__proto__" from a URL or query are just unknown ids.
+const LOCATIONS = Object.create(null);
+
+function getLocation(key) {
+  return key != null && Object.hasOwn(LOCATIONS, key) ? LOCATIONS[key] : null;
+}
+
+function writeJsonFileAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = filePath + '.tmp';
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tmpPath, filePath);
+}
+
+function loadLocations() {
+  let stored = null;
+  try {
+    stored = JSON.parse(fs.readFileSync(LOCATIONS_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[LOCATIONS] Failed to read', LOCATIONS_FILE, ':', err.message);
+    }
+  }
+
+  const source =
+    stored && typeof stored === 'object' && Object.keys(stored).length
+      ? stored
+      : DEFAULT_LOCATIONS;
+  for (const [key, loc] of Object.entries(source)) {
+    LOCATIONS[key] = loc;
+  }
+
+  let seq = {};
+  try {
+    seq = JSON.parse(fs.readFileSync(LOCATION_SEQ_FILE, 'utf8')) || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[LOCATIONS] Failed to read', LOCATION_SEQ_FILE, ':', err.message);
+    }
+  }
+  const numeric = Object.keys(LOCATIONS).map(Number).filter(Number.isInteger);
+  lastLocationKey = Math.max(0, Number(seq.lastKey) || 0, ...numeric);
+}
+
+function saveLocations() {
+  writeJsonFileAtomic(LOCATIONS_FILE, LOCATIONS);
+}
+
+function getDefaultLocationKey() {
+  if (getLocation(PREFERRED_LOCATION_KEY)) return PREFERRED_LOCATION_KEY;
+  return Object.keys(LOCATIONS)[0] || null;
+}
+
+// Claims the next id, persisting the counter before the id is used
+function nextLocationKey() {
+  const next = lastLocationKey + 1;
+  writeJsonFileAtomic(LOCATION_SEQ_FILE, { lastKey: next });
+  lastLocationKey = next;
+  return String(next);
+}
+
+function optionalString(value) {
+  if (value == null) return null;
+  const str = String(value).trim();
+  return str ? str : null;
+}
+
+// Validates a full location (after merging a PUT over the stored one).
+// Returns { location } or { error }.
+function validateLocationInput(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Location body must be a JSON object' };
+  }
+
+  const name = optionalString(input.name);
+  const lat = input.lat != null ? Number(input.lat) : NaN;
+  const lon = input.lon != null ? Number(input.lon) : NaN;
+  if (!name) return { error: 'name is required' };
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return { error: 'lat must be a latitude in degrees' };
+  }
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+    return { error: 'lon must be a longitude in degrees' };
+  }
+
+  const radiusKm = input.radiusKm != null ? Number(input.radiusKm) : DEFAULT_RADIUS_KM;
+  if (!Number.isFinite(radiusKm) || radiusKm < 1 || radiusKm > 2000) {
+    return { error: 'radiusKm must be between 1 and 2000' };
+  }
+
+  const obsIn = input.observer || {};
+  const observer = {
+    lat: obsIn.lat != null ? Number(obsIn.lat) : lat,
+    lon: obsIn.lon != null ? Number(obsIn.lon) : lon,
+    altM: obsIn.altM != null ? Number(obsIn.altM) : 0
+  };
+  if (
+    !Number.isFinite(observer.lat) ||
+    !Number.isFinite(observer.lon) ||
+    !Number.isFinite(observer.altM)
+  ) {
+    return { error: 'observer must have numeric lat, lon and altM' };
+  }
+
+  const metarStation = optionalString(input.metarStation);
+  if (metarStation && !/^[A-Za-z0-9]{4}$/.test(metarStation)) {
+    return { error: 'metarStation must be a 4-character ICAO station id' };
+  }
+
+  if (input.sources != null && !Array.isArray(input.sources)) {
+    return { error: 'sources must be an array' };
+  }
+
+  const location = {
+    name,
+    lat,
+    lon,
+    observer,
+    radiusKm,
+    metarStation: metarStation ? metarStation.toUpperCase() : null,
+    airspaceFile: optionalString(input.airspaceFile)
+  };
+  if (input.sources) location.sources = input.sources;
+
+  return { location };
+}
+
+loadLocations();
+
+// ---------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function toDeg(rad) {
+  return (rad * 180) / Math.PI;
+}
+
+function bearingDegrees(lat1, lon1, lat2, lon2) {
+  const phi1 = toRad(lat1);
+  const phi2 = toRad(lat2);
+  const dLon = toRad(lon2 - lon1);
+
+  const x = Math.sin(dLon) * Math.cos(phi2);
+  const y =
+    Math.cos(phi1) * Math.sin(phi2) -
+    Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+
+  const brng = toDeg(Math.atan2(x, y));
+  return (brng + 360) % 360;
+}
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) *
+      Math.cos(toRad(lat2)) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+}
+
+// Point reached from lat/lon after distKm on the initial bearing brngDeg
+function destinationPoint(lat, lon, brngDeg, distKm) {
+  const d = distKm / EARTH_RADIUS_KM;
+  const brng = toRad(brngDeg);
+  const lat1 = toRad(lat);
+  const lon1 = toRad(lon);
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brng)
+  );
+  const lon2 =
+    lon1 +
+    Math.atan2(
+      Math.sin(brng) * Math.sin(d) * Math.cos(lat1),
+      Math.cos(d) - Math.sin(lat1) * Math.sin(lat2)
+    );
+  return { lat: toDeg(lat2), lon: ((toDeg(lon2) + 540) % 360) - 180 };
+}
+
+function bearingToDirection(brng) {
+  const dirs = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+  const idx = Math.floor((brng + 22.5) / 45) % 8;
+  return dirs[idx];
+}
+
+// ---------------------------------------------------------------------
+// CSV utilities
+// ---------------------------------------------------------------------
+
+function parseCsvLine(line) {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (c === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (c === ',' && !inQuotes) {
+      result.push(current);
+      current = '';
+    } else {
+      current += c;
+    }
+  }
+  result.push(current);
+  return result;
+}
+
+// ---------------------------------------------------------------------
+// Airport DB
+//
+// OurAirports airports.csv format, loaded at startup from
+// storage/airports.csv (downloaded by a refresh) or the bundled
+// data/airports.csv. Keyed by ICAO code (falling back to the GPS code or
+// ident for airports without one).
+// ---------------------------------------------------------------------
+
+const BUNDLED_AIRPORTS_FILE = path.join(__dirname, 'data', 'airports.csv');
+const AIRPORTS_FILE = path.join(STORAGE_DIR, 'airports.csv');
+const AIRPORT_TYPES = ['large_airport', 'medium_airport', 'small_airport'];
+const DEFAULT_MAP_AIRPORT_TYPES = ['large_airport', 'medium_airport'];
+
+let airportsByIcao = {};
+let airportDbInfo = { source: null, count: 0, loadedAt: null };
+
+function parseAirportsCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const header = parseCsvLine(lines[0] || '');
+  const col = (name) => header.indexOf(name);
+  const idx = {
+    ident: col('ident'),
+    icao: col('icao_code'),
+    gps: col('gps_code'),
+    iata: col('iata_code'),
+    type: col('type'),
+    name: col('name'),
+    lat: col('latitude_deg'),
+    lon: col('longitude_deg'),
+    elevation: col('elevation_ft'),
+    country: col('iso_country'),
+    city: col('municipality'),
+    scheduled: col('scheduled_service')
+  };
+  if (idx.ident < 0 || idx.lat < 0 || idx.lon < 0) {
+    throw new Error('not an OurAirports airports.csv');
+  }
+
+  const value = (cols, i) => (i >= 0 && cols[i] ? cols[i].trim() : '');
+  const map = {};
+
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const cols = parseCsvLine(lines[i]);
+
+    const type = value(cols, idx.type);
+    if (!AIRPORT_TYPES.includes(type)) continue;
+
+    const icao = (
+      value(cols, idx.icao) || value(cols, idx.gps) || value(cols, idx.ident)
+    ).toUpperCase();
+    const lat = parseFloat(value(cols, idx.lat));
+    const lon = parseFloat(value(cols, idx.lon));
+    if (!icao || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+    const elevation = parseFloat(value(cols, idx.elevation));
+    map[icao] = {
+      icao,
+      iata: value(cols, idx.iata) || null,
+      name: value(cols, idx.name),
+      type,
+      lat,
+      lon,
+      elevationFt: Number.isFinite(elevation) ? elevation : null,
+      city: value(cols, idx.city) || null,
+      countryIso2: value(cols, idx.country) || null,
+      scheduled: value(cols, idx.scheduled) === 'yes'
+    };
+  }
+
+  return map;
+}
+
+function loadAirportDb() {
+  for (const file of [AIRPORTS_FILE, BUNDLED_AIRPORTS_FILE]) {
+    try {
+      airportsByIcao = parseAirportsCsv(fs.readFileSync(file, 'utf8'));
+      airportDbInfo = {
+        source: path.relative(__dirname, file),
+        count: Object.keys(airportsByIcao).length,
+        loadedAt: new Date().toISOString()
+      };
+      console.log(`[AIRPORTS] Loaded ${airportDbInfo.count} airports from ${airportDbInfo.source}`);
+      return;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('[AIRPORTS] Failed to read', file, ':', err.message);
+      }
+    }
+  }
+
+  airportsByIcao = {};
+  airportDbInfo = { source: null, count: 0, loadedAt: new Date().toISOString() };
+}
+
+// Download the full OurAirports list into storage/ and reload
+async function refreshAirportDb() {
+  const resp = await axios.get(OURAIRPORTS_AIRPORTS_URL, {
+    timeout: 60000,
+    responseType: 'text'
+  });
+
+  const parsed = parseAirportsCsv(resp.data || '');
+  if (Object.keys(parsed).length < 1000) {
+    throw new Error('downloaded airport list looks truncated');
+  }
+
+  fs.mkdirSync(STORAGE_DIR, { recursive: true });
+  const tmp = AIRPORTS_FILE + '.tmp';
+  fs.writeFileSync(tmp, resp.data);
+  fs.renameSync(tmp, AIRPORTS_FILE);
+
+  loadAirportDb();
+  return airportDbInfo;
+}
+
+function getAirport(icaoCode) {
+  if (!icaoCode) return null;
+  return airportsByIcao[icaoCode.toUpperCase()] || null;
+}
+
+// "City, CC" for route display
+function getAirportDisplay(icaoCode) {
+  const info = getAirport(icaoCode);
+  if (!info) return null;
+
+  const city = info.city || info.name || '';
+  const iso2 = info.countryIso2 || '';
+  if (city && iso2) return `${city}, ${iso2}`;
+  return city || iso2 || null;
+}
+
+// Airports of the given types within radiusKm, nearest first
+function airportsWithinRadius(lat, lon, radiusKm, types) {
+  const result = [];
+  for (const airport of Object.values(airportsByIcao)) {
+    if (types && !types.includes(airport.type)) continue;
+    const d = distanceKm(lat, lon, airport.lat, airport.lon);
+    if (d <= radiusKm) {
+      result.push({ ...airport, distanceKm: Math.round(d * 10) / 10 });
+    }
+  }
+  return result.sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+// The bundled list is a small sample; fetch the full OurAirports list in
+// the background on a fresh install and keep the bundle if that fails
+function loadAirportDbAtStartup() {
+  loadAirportDb();
+  if (fs.existsSync(AIRPORTS_FILE)) return;
+
+  refreshAirportDb()
+    .then((info) => console.log(`[AIRPORTS] Downloaded full list (${info.count} airports)`))
+    .catch((err) => {
+      console.error('[AIRPORTS] Full list download failed, using bundled list:', err.message);
+    });
+}
+
+loadAirportDbAtStartup();
+
+// ---------------------------------------------------------------------
+// Airline DB
+//
+// OpenFlights airlines.dat format:
+//   ID,"Name","Alias","IATA","ICAO","Callsign","Country","Active"
+// Loaded from storage/airlines.dat (downloaded by a refresh) or the
+// bundled data/airlines.dat, then patched with AIRLINE_OVERRIDES_FILE: a
+// JSON object keyed by ICAO code whose values are merged over the entry
+// ({ name, iata, callsign, country }) or null to drop it.
+// ---------------------------------------------------------------------
+
+const BUNDLED_AIRLINES_FILE = path.join(__dirname, 'data', 'airlines.dat');
+const AIRLINES_FILE = path.join(STORAGE_DIR, 'airlines.dat');
+const AIRLINE_OVERRIDES_FILE =
+  process.env.AIRLINE_OVERRIDES_FILE || path.join(STORAGE_DIR, 'airline-overrides.json');
+
+let airlinesByIcao = {};
+let airlineDbInfo = { source: null, count: 0, loadedAt: null };
+
+function openFlightsValue(value) {
+  if (value == null) return null;
+  const v = value.trim();
+  return v && v !== '\\N' && v !== '-' ? v : null;
+}
+
+function parseAirlinesDat(text) {
+  const map = {};
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const cols = parseCsvLine(line);
+    if (cols.length < 8) continue;
+
+    const icao = openFlightsValue(cols[4]);
+    const name = openFlightsValue(cols[1]);
+    if (!icao || !/^[A-Z]{3}$/i.test(icao) || !name) continue;
+
+    const entry = {
+      icao: icao.toUpperCase(),
+      iata: openFlightsValue(cols[3]),
+      name,
+      callsign: openFlightsValue(cols[5]),
+      country: openFlightsValue(cols[6]),
+      active: cols[7] === 'Y'
+    };
+
+    // ICAO codes get reassigned; prefer the active airline
+    const existing = map[entry.icao];
+    if (!existing || (!existing.active && entry.active)) {
+      map[entry.icao] = entry;
+    }
+  }
+
+  return map;
+}
+
+function applyAirlineOverrides(map) {
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(AIRLINE_OVERRIDES_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[AIRLINES] Failed to read overrides:', err.message);
+    }
+    return 0;
+  }
+
+  let applied = 0;
+  for (const [code, value] of Object.entries(overrides || {})) {
+    const icao = code.toUpperCase();
+    if (value === null) {
+      delete map[icao];
+    } else if (value && typeof value === 'object') {
+      map[icao] = { icao, active: true, ...map[icao], ...value, icao };
+    } else {
+      continue;
+    }
+    applied++;
+  }
+  return applied;
+}
+
+function loadAirlineDb() {
+  let map = {};
+  let source = null;
+
+  for (const file of [AIRLINES_FILE, BUNDLED_AIRLINES_FILE]) {
+    try {
+      map = parseAirlinesDat(fs.readFileSync(file, 'utf8'));
+      source = file;
+      break;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('[AIRLINES] Failed to read', file, ':', err.message);
+      }
+    }
+  }
+
+  const overrides = applyAirlineOverrides(map);
+  airlinesByIcao = map;
+  airlineDbInfo = {
+    source: source ? path.relative(__dirname, source) : null,
+    count: Object.keys(map).length,
+    overrides,
+    loadedAt: new Date().toISOString()
+  };
+  console.log(`[AIRLINES] Loaded ${airlineDbInfo.count} airlines from ${airlineDbInfo.source}`);
+}
+
+// Download the full OpenFlights list into storage/ and reload
+async function refreshAirlineDb() {
+  const resp = await axios.get(OPENFLIGHTS_AIRLINES_URL, {
+    timeout: 20000,
+    responseType: 'text'
+  });
+
+  const parsed = parseAirlinesDat(resp.data || '');
+  if (Object.keys(parsed).length < 100) {
+    throw new Error('downloaded airline list looks truncated');
+  }
+
+  fs.mkdirSync(STORAGE_DIR, { recursive: true });
+  const tmp = AIRLINES_FILE + '.tmp';
+  fs.writeFileSync(tmp, resp.data);
+  fs.renameSync(tmp, AIRLINES_FILE);
+
+  loadAirlineDb();
+  return airlineDbInfo;
+}
+
+function getAirlineByIcao(code) {
+  if (!code) return null;
+  return airlinesByIcao[code.toUpperCase()] || null;
+}
+
+// ICAO airline designator of a callsign ("ACA123" -> "ACA"), or null for
+// registrations and other non-airline callsigns
+function airlineIcaoFromCallsign(callsign) {
+  if (!callsign) return null;
+  const m = callsign.trim().toUpperCase().match(/^([A-Z]{3})\d/);
+  return m ? m[1] : null;
+}
+
+function searchAirlines(query, limit) {
+  const q = (query || '').trim().toUpperCase();
+  const results = [];
+
+  for (const airline of Object.values(airlinesByIcao)) {
+    if (
+      !q ||
+      airline.icao === q ||
+      airline.iata === q ||
+      airline.name.toUpperCase().includes(q) ||
+      (airline.callsign && airline.callsign.toUpperCase().includes(q))
+    ) {
+      results.push(airline);
+    }
+  }
+
+  // Exact code matches first, then by name
+  results.sort((a, b) => {
+    const ea = a.icao === q || a.iata === q ? 0 : 1;
+    const eb = b.icao === q || b.iata === q ? 0 : 1;
+    return ea - eb || a.name.localeCompare(b.name);
+  });
+  return results.slice(0, limit);
+}
+
+// The bundled list only covers the common carriers; fetch the full one in
+// the background on a fresh install and keep the bundle if that fails
+function loadAirlineDbAtStartup() {
+  loadAirlineDb();
+  if (fs.existsSync(AIRLINES_FILE)) return;
+
+  refreshAirlineDb()
+    .then((info) => console.log(`[AIRLINES] Downloaded full list (${info.count} airlines)`))
+    .catch((err) => {
+      console.error('[AIRLINES] Full list download failed, using bundled list:', err.message);
+    });
+}
+
+loadAirlineDbAtStartup();
+
+// ---------------------------------------------------------------------
+// Aircraft registry (ICAO24)
+//
+// AIRCRAFT_DB_FILE is an aircraft database dump, optionally gzipped:
+//  - JSON lines as in the basic-ac-db ({"icao","reg","icaotype",
+//    "manufacturer","model","ownop","year","mil"}), or
+//  - CSV with a header row, e.g. OpenSky's aircraftDatabase.csv
+//    (icao24, registration, typecode, manufacturername, model, operator).
+// Country of registration comes from the ICAO address block allocation
+// in data/icao-ranges.csv and works without a database.
+// ---------------------------------------------------------------------
+
+const AIRCRAFT_DB_FILE =
+  process.env.AIRCRAFT_DB_FILE || path.join(STORAGE_DIR, 'aircraft-db.csv.gz');
+const ICAO_RANGES_FILE = path.join(__dirname, 'data', 'icao-ranges.csv');
+
+// CSV header aliases for each registry field
+const AIRCRAFT_DB_COLUMNS = {
+  hex: ['icao24', 'icao', 'hex'],
+  registration: ['registration', 'reg', 'r'],
+  typeCode: ['typecode', 'icaotype', 'icaoaircrafttype_code', 't'],
+  manufacturer: ['manufacturername', 'manufacturer'],
+  model: ['model', 'mdl'],
+  operator: ['operator', 'ownop', 'owner'],
+  year: ['built', 'year'],
+  military: ['mil', 'military']
+};
+
+let aircraftDb = new Map(); // hex -> registry entry
+let aircraftDbInfo = { file: null, count: 0, loading: false, loadedAt: null, error: null };
+let icaoRanges = []; // sorted [{ start, end, country, iso2 }]
+
+function loadIcaoRanges() {
+  try {
+    const lines = fs.readFileSync(ICAO_RANGES_FILE, 'utf8').split(/\r?\n/);
+    const ranges = [];
+    for (const line of lines.slice(1)) {
+      if (!line.trim()) continue;
+      const [start, end, country, iso2] = parseCsvLine(line);
+      ranges.push({
+        start: parseInt(start, 16),
+        end: parseInt(end, 16),
+        country,
+        iso2: iso2 || null
+      });
+    }
+    icaoRanges = ranges.sort((a, b) => a.start - b.start);
+  } catch (err) {
+    console.error('[AIRCRAFT-DB] Failed to read ICAO ranges:', err.message);
+    icaoRanges = [];
+  }
+}
+
+// Country an ICAO24 address was allocated to, by binary search
+function countryForIcaoHex(hex) {
+  const addr = parseInt(hex, 16);
+  if (!Number.isFinite(addr)) return null;
+
+  let lo = 0;
+  let hi = icaoRanges.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const r = icaoRanges[mid];
+    if (addr < r.start) hi = mid - 1;
+    else if (addr > r.end) lo = mid + 1;
+    else return { country: r.country, iso2: r.iso2 };
+  }
+  return null;
+}
+
+function registryValue(value) {
+  if (value == null) return null;
+  // OpenSky's dump wraps values in single quotes
+  const v = String(value).trim().replace(/^'(.*)'$/, '$1').trim();
+  return v || null;
+}
+
+function registryEntry(fields) {
+  const hex = registryValue(fields.hex);
+  if (!hex || !/^[0-9a-f]{6}$/i.test(hex)) return null;
+
+  const entry = {
+    hex: hex.toLowerCase(),
+    registration: registryValue(fields.registration),
+    typeCode: registryValue(fields.typeCode),
+    manufacturer: registryValue(fields.manufacturer),
+    model: registryValue(fields.model),
+    operator: registryValue(fields.operator),
+    year: registryValue(fields.year),
+    military: fields.military === true || /^(true|1|y)$/i.test(String(fields.military || ''))
+  };
+  return entry.registration || entry.typeCode || entry.model || entry.operator
+    ? entry
+    : null;
+}
+
+function aircraftDbParserForHeader(firstLine) {
+  if (firstLine.trim().startsWith('{')) {
+    return (line) => {
+      const obj = JSON.parse(line);
+      return registryEntry({
+        hex: obj.icao,
+        registration: obj.reg,
+        typeCode: obj.icaotype,
+        manufacturer: obj.manufacturer,
+        model: obj.model,
+        operator: obj.ownop,
+        year: obj.year,
+        military: obj.mil
+      });
+    };
+  }
+
+  const header = parseCsvLine(firstLine).map((h) => registryValue(h) || '');
+  const index = {};
+  for (const [field, names] of Object.entries(AIRCRAFT_DB_COLUMNS)) {
+    index[field] = header.findIndex((h) => names.includes(h.toLowerCase()));
+  }
+  if (index.hex < 0) throw new Error('CSV has no icao24/icao/hex column');
+
+  return (line) => {
+    const cols = parseCsvLine(line);
+    const fields = {};
+    for (const [field, i] of Object.entries(index)) {
+      fields[field] = i >= 0 ? cols[i] : null;
+    }
+    return registryEntry(fields);
+  };
+}
+
+// Stream the dump into a new map and swap it in when complete, so
+// lookups keep working from the previous copy during a reload.
+async function loadAircraftDb() {
+  if (aircraftDbInfo.loading) return aircraftDbInfo;
+  if (!fs.existsSync(AIRCRAFT_DB_FILE)) {
+    aircraftDbInfo = { ...aircraftDbInfo, file: null, error: null };
+    return aircraftDbInfo;
+  }
+
+  aircraftDbInfo = { ...aircraftDbInfo, loading: true, error: null };
+  const map = new Map();
+  let parse = null;
+  let badLines = 0;
+
+  try {
+    let input = fs.createReadStream(AIRCRAFT_DB_FILE);
+    if (AIRCRAFT_DB_FILE.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      if (!parse) {
+        parse = aircraftDbParserForHeader(line);
+        // JSON lines have no header; the first line is data
+        if (!line.trim().startsWith('{')) continue;
+      }
+      try {
+        const entry = parse(line);
+        if (entry) map.set(entry.hex, entry);
+      } catch (err) {
+        badLines++;
+      }
+    }
+
+    aircraftDb = map;
+    aircraftDbInfo = {
+      file: AIRCRAFT_DB_FILE,
+      count: map.size,
+      loading: false,
+      loadedAt: new Date().toISOString(),
+      error: null
+    };
+    console.log(
+      `[AIRCRAFT-DB] Loaded ${map.size} aircraft from ${AIRCRAFT_DB_FILE}` +
+        (badLines ? ` (${badLines} unreadable lines skipped)` : '')
+    );
+  } catch (err) {
+    console.error('[AIRCRAFT-DB] Failed to load', AIRCRAFT_DB_FILE, ':', err.message);
+    aircraftDbInfo = { ...aircraftDbInfo, loading: false, error: err.message };
+  }
+
+  return aircraftDbInfo;
+}
+
+function fullModelName(entry) {
+  if (!entry || !entry.model) return null;
+  const mfr = entry.manufacturer;
+  if (!mfr || entry.model.toUpperCase().startsWith(mfr.toUpperCase())) {
+    return entry.model;
+  }
+  return `${mfr} ${entry.model}`;
+}
+
+// Registry entry plus country of registration for an ICAO24 address
+function lookupAircraftRegistry(hex) {
+  if (!hex) return null;
+  const key = hex.trim().toLowerCase().replace(/^~/, '');
+  if (!/^[0-9a-f]{6}$/.test(key)) return null;
+
+  const entry = aircraftDb.get(key) || null;
+  const country = countryForIcaoHex(key);
+
+  return {
+    hex: key,
+    registration: entry ? entry.registration : null,
+    typeCode: entry ? entry.typeCode : null,
+    manufacturer: entry ? entry.manufacturer : null,
+    model: fullModelName(entry),
+    operator: entry ? entry.operator : null,
+    year: entry ? entry.year : null,
+    military: entry ? entry.military : false,
+    country: country ? country.country : null,
+    countryIso2: country ? country.iso2 : null,
+    inDatabase: Boolean(entry)
+  };
+}
+
+loadIcaoRanges();
+
+// ---------------------------------------------------------------------
+// ADS-B data sources
+//
+// Every source resolves to an array of readsb-style aircraft objects
+// (hex, flight, alt_baro, gs, track, lat, lon, ...) so that
+// baseFormatAircraft does not care where the data came from. Sources
+// throw on failure; fetchAircraftRaw then fails over to the next one.
+// Receiver sources (RECEIVER_SOURCES) return everything the receiver
+// sees and fetchAircraftRaw trims that to the radius; aggregators are
+// queried by radius and return only that.
+// ---------------------------------------------------------------------
+
+function readsbRadiusFilter(list, lat, lon, radiusNm) {
+  const radiusKm = radiusNm / NM_PER_KM;
+  return list.filter((ac) => {
+    const aLat = Number(ac.lat);
+    const aLon = Number(ac.lon);
+    // Aircraft without a position cannot be placed in the radius
+    if (ac.lat == null || ac.lon == null) return false;
+    if (!Number.isFinite(aLat) || !Number.isFinite(aLon)) return false;
+    return distanceKm(lat, lon, aLat, aLon) <= radiusKm;
+  });
+}
+
+async function fetchFromAdsbLol(loc, radiusNm) {
+  const url = ADSBLOL_URL_TEMPLATE
+    .replace('{lat}', String(loc.lat))
+    .replace('{lon}', String(loc.lon))
+    .replace('{radius}', String(radiusNm));
+
+  const resp = await axios.get(url, { timeout: 15000 });
+  const data = resp.data || {};
+  return Array.isArray(data.ac) ? data.ac : [];
+}
+
+// readsb / dump1090-fa / tar1090 aircraft.json, either over HTTP or from
+// the local filesystem (e.g. /run/readsb/aircraft.json).
+async function fetchFromReadsb(loc, radiusNm, options) {
+  const target = (options && options.url) || READSB_AIRCRAFT_JSON;
+  if (!target) {
+    throw new Error('no aircraft.json URL or path configured');
+  }
+
+  let data;
+  if (/^https?:\/\//i.test(target)) {
+    const resp = await axios.get(target, { timeout: 5000 });
+    data = resp.data || {};
+  } else {
+    const filePath = target.replace(/^file:\/\//i, '');
+    data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  }
+
+  return Array.isArray(data.aircraft) ? data.aircraft : [];
+}
+
+const M_TO_FT = 3.28084;
+const MS_TO_KT = 1.94384;
+
+// OpenSky state vector -> readsb-style object
+function openSkyStateToReadsb(s, nowSec) {
+  const baroM = s[7];
+  const geoM = s[13];
+  const positionSources = ['adsb_icao', 'adsc', 'mlat', 'other'];
+
+  return {
+    hex: s[0],
+    flight: s[1] || '',
+    alt_baro: s[8] ? 'ground' : baroM != null ? Math.round(baroM * M_TO_FT) : null,
+    alt_geom: geoM != null ? Math.round(geoM * M_TO_FT) : null,
+    gs: s[9] != null ? s[9] * MS_TO_KT : null,
+    track: s[10],
+    baro_rate: s[11] != null ? Math.round(s[11] * M_TO_FT * 60) : null,
+    lat: s[6],
+    lon: s[5],
+    squawk: s[14] || null,
+    seen: s[4] != null ? Math.max(0, nowSec - s[4]) : null,
+    seen_pos: s[3] != null ? Math.max(0, nowSec - s[3]) : null,
+    type: positionSources[s[16]] || 'other'
+  };
+}
+
+async function fetchFromOpenSky(loc, radiusNm) {
+  // OpenSky takes a bounding box; trim it back to the radius afterwards
+  const radiusKm = radiusNm / NM_PER_KM;
+  const dLat = radiusKm / 111.32;
+  const dLon = radiusKm / (111.32 * Math.max(0.01, Math.cos(toRad(loc.lat))));
+
+  const config = {
+    timeout: 15000,
+    params: {
+      lamin: loc.lat - dLat,
+      lamax: loc.lat + dLat,
+      lomin: loc.lon - dLon,
+      lomax: loc.lon + dLon
+    }
+  };
+  if (OPENSKY_USERNAME && OPENSKY_PASSWORD) {
+    config.auth = { username: OPENSKY_USERNAME, password: OPENSKY_PASSWORD };
+  }
+
+  const resp = await axios.get(OPENSKY_STATES_URL, config);
+  const body = resp.data || {};
+  const nowSec = body.time || Math.floor(Date.now() / 1000);
+  const states = Array.isArray(body.states) ? body.states : [];
+  const list = states.map((s) => openSkyStateToReadsb(s, nowSec));
+  return readsbRadiusFilter(list, loc.lat, loc.lon, radiusNm);
+}
+
+const AIRCRAFT_SOURCES = {
+  adsblol: fetchFromAdsbLol,
+  feed: fetchFromLiveFeed,
+  readsb: fetchFromReadsb,
+  opensky: fetchFromOpenSky
+};
+const RECEIVER_SOURCES = ['feed', 'readsb'];
+
+// A location's `sources` entries are either a source name ('adsblol') or
+// an object with a `type` and source options ({ type: 'readsb', url }).
+function normalizeSourceSpec(spec) {
+  if (typeof spec === 'string') return { type: spec.trim() };
+  if (spec && typeof spec === 'object' && spec.type) return spec;
+  return null;
+}
+
+async function fetchAircraftRaw(loc, radiusNm) {
+  const specs = Array.isArray(loc.sources) && loc.sources.length
+    ? loc.sources
+    : DEFAULT_AIRCRAFT_SOURCES;
+
+  for (const rawSpec of specs) {
+    const spec = normalizeSourceSpec(rawSpec);
+    const fetchFn = spec && AIRCRAFT_SOURCES[spec.type];
+    if (!fetchFn) {
+      console.error('[ADSB] Unknown aircraft source:', JSON.stringify(rawSpec));
+      continue;
+    }
+
+    try {
+      const list = await fetchFn(loc, radiusNm, spec);
+      if (!RECEIVER_SOURCES.includes(spec.type)) {
+        return { ac: list, source: spec.type, receiverAc: null };
+      }
+      return {
+        ac: readsbRadiusFilter(list, loc.lat, loc.lon, radiusNm),
+        source: spec.type,
+        receiverAc: list
+      };
+    } catch (err) {
+      console.error(`[ADSB] Source ${spec.type} failed:`, err.message);
+    }
+  }
+
+  return { ac: [], source: null, receiverAc: null };
+}
+
+// ---------------------------------------------------------------------
+// Live receiver feeds (TCP)
+//
+// Feeds merge partial per-message updates into liveAircraft, keyed by
+// ICAO24 hex. The 'feed' aircraft source serves that state in readsb
+// shape; aircraft that go quiet are expired after LIVE_AIRCRAFT_EXPIRY_SEC.
+// ---------------------------------------------------------------------
+
+const liveAircraft = new Map(); // hex -> merged state
+const feedStatus = {}; // feed name -> { host, port, connected, ... }
+
+function updateLiveAircraft(hex, fields, feedName) {
+  if (!hex) return;
+  const key = hex.toLowerCase();
+  const now = Date.now();
+
+  let state = liveAircraft.get(key);
+  if (!state) {
+    state = { hex: key, firstSeen: now };
+    liveAircraft.set(key, state);
+  }
+
+  for (const [name, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) state[name] = value;
+  }
+  state.lastSeen = now;
+  state.feed = feedName;
+  if (fields.lat != null && fields.lon != null) {
+    state.lastPos = now;
+  }
+}
+
+function expireLiveAircraft() {
+  const cutoff = Date.now() - LIVE_AIRCRAFT_EXPIRY_SEC * 1000;
+  for (const [key, state] of liveAircraft) {
+    if (state.lastSeen < cutoff) liveAircraft.delete(key);
+  }
+}
+
+function liveAircraftToReadsb(state, now) {
+  const ac = {
+    hex: state.hex,
+    flight: state.flight || '',
+    alt_baro: state.onGround ? 'ground' : state.altBaro,
+    gs: state.gs,
+    track: state.track,
+    baro_rate: state.verticalRate,
+    geom_rate: state.geomRate,
+    alt_geom: state.altGeom,
+    mag_heading: state.magHeading,
+    ias: state.ias,
+    tas: state.tas,
+    squawk: state.squawk,
+    category: state.category,
+    rssi: state.rssi,
+    type: state.positionType,
+    seen: (now - state.lastSeen) / 1000
+  };
+  if (state.lastPos != null) {
+    ac.lat = state.lat;
+    ac.lon = state.lon;
+    ac.seen_pos = (now - state.lastPos) / 1000;
+  }
+  return ac;
+}
+
+async function fetchFromLiveFeed() {
+  const connected = Object.values(feedStatus).some((f) => f.connected);
+  if (!connected) {
+    throw new Error('no live feed connected');
+  }
+
+  expireLiveAircraft();
+  const now = Date.now();
+  const list = [];
+  for (const state of liveAircraft.values()) {
+    list.push(liveAircraftToReadsb(state, now));
+  }
+  return list;
+}
+
+// Keeps a TCP connection open to host:port, reconnecting with exponential
+// backoff. onData receives raw Buffers; onConnect resets parser state.
+function startTcpFeed({ name, host, port, onConnect, onData }) {
+  const status = {
+    host,
+    port,
+    connected: false,
+    reconnectAttempts: 0,
+    lastMessageAt: null,
+    lastError: null
+  };
+  feedStatus[name] = status;
+
+  function scheduleReconnect() {
+    const delayMs = Math.min(
+      FEED_RECONNECT_MAX_MS,
+      FEED_RECONNECT_BASE_MS * 2 ** status.reconnectAttempts
+    );
+    status.reconnectAttempts += 1;
+    console.log(`[FEED] ${name} reconnecting in ${delayMs} ms`);
+    setTimeout(connect, delayMs).unref();
+  }
+
+  function connect() {
+    const socket = net.connect({ host, port });
+    let closed = false;
+
+    socket.setKeepAlive(true);
+    socket.setTimeout(FEED_IDLE_TIMEOUT_MS);
+
+    socket.on('connect', () => {
+      console.log(`[FEED] ${name} connected to ${host}:${port}`);
+      status.connected = true;
+      status.reconnectAttempts = 0;
+      status.lastError = null;
+      if (onConnect) onConnect();
+    });
+
+    socket.on('data', (chunk) => {
+      status.lastMessageAt = new Date().toISOString();
+      try {
+        onData(chunk);
+      } catch (err) {
+        console.error(`[FEED] ${name} parse error:`, err.message);
+      }
+    });
+
+    socket.on('timeout', () => {
+      // A silent socket is usually a dead one
+      socket.destroy(new Error('idle timeout'));
+    });
+
+    socket.on('error', (err) => {
+      status.lastError = err.message;
+      console.error(`[FEED] ${name} error:`, err.message);
+    });
+
+    socket.on('close', () => {
+      if (closed) return;
+      closed = true;
+      status.connected = false;
+      scheduleReconnect();
+    });
+  }
+
+  connect();
+}
+
+// Splits a byte stream into text lines, keeping the partial tail
+function createLineSplitter(onLine) {
+  let buffer = '';
+  return {
+    reset() {
+      buffer = '';
+    },
+    push(chunk) {
+      buffer += chunk.toString('latin1');
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      if (buffer.length > 4096) buffer = ''; // not a line protocol
+      for (const line of lines) {
+        if (line) onLine(line);
+      }
+    }
+  };
+}
+
+// ---------------------------------------------------------------------
+// SBS-1 / BaseStation (port 30003)
+// ---------------------------------------------------------------------
+
+function sbsFlag(value) {
+  if (value === '' || value == null) return undefined;
+  return value === '-1' || value === '1';
+}
+
+function sbsNumber(value) {
+  if (value === '' || value == null) return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+// Parses one BaseStation line into { hex, fields } or null. Only the
+// fields carried by this MSG type are set; the rest stay undefined.
+function parseSbsLine(line) {
+  const cols = line.trim().split(',');
+  if (cols[0] !== 'MSG' || cols.length < 11) return null;
+
+  const msgType = Number(cols[1]);
+  if (!(msgType >= 1 && msgType <= 8)) return null;
+
+  const hex = (cols[4] || '').trim();
+  if (!/^[0-9A-Fa-f]{6}$/.test(hex)) return null;
+
+  const callsign = (cols[10] || '').trim();
+  const squawk = (cols[17] || '').trim();
+
+  return {
+    hex,
+    fields: {
+      flight: callsign || undefined,
+      altBaro: sbsNumber(cols[11]),
+      gs: sbsNumber(cols[12]),
+      track: sbsNumber(cols[13]),
+      lat: sbsNumber(cols[14]),
+      lon: sbsNumber(cols[15]),
+      verticalRate: sbsNumber(cols[16]),
+      squawk: squawk || undefined,
+      alert: sbsFlag(cols[18]),
+      emergency: sbsFlag(cols[19]),
+      spi: sbsFlag(cols[20]),
+      onGround: sbsFlag(cols[21])
+    }
+  };
+}
+
+function startSbsFeed() {
+  const splitter = createLineSplitter((line) => {
+    const msg = parseSbsLine(line);
+    if (msg) updateLiveAircraft(msg.hex, msg.fields, 'sbs');
+  });
+
+  startTcpFeed({
+    name: 'sbs',
+    host: SBS_HOST,
+    port: SBS_PORT,
+    onConnect: () => splitter.reset(),
+    onData: (chunk) => splitter.push(chunk)
+  });
+}
+
+// ---------------------------------------------------------------------
+// Mode S / ADS-B decoding (raw AVR port 30002, Beast port 30005)
+//
+// Decodes DF17/18 extended squitter (identification, airborne position,
+// velocity), DF4/20 altitude and DF5/21 identity replies, and DF11
+// all-call replies. Bit positions follow the ICAO Annex 10 numbering
+// (first bit = 1).
+// ---------------------------------------------------------------------
+
+const MODES_GENERATOR_POLY = 0x1fff409;
+const MODES_SHORT_BYTES = 7;
+const MODES_LONG_BYTES = 14;
+const MODES_CALLSIGN_CHARS =
+  '#ABCDEFGHIJKLMNOPQRSTUVWXYZ##### ###############0123456789######';
+
+// Even/odd CPR frames further apart than this are not paired
+const CPR_PAIR_MAX_AGE_MS = 10000;
+// Local CPR decoding is unambiguous within half a latitude zone (~333 km)
+const CPR_LOCAL_MAX_RANGE_KM = 300;
+// A recent position of the same aircraft is a better local reference
+// than the receiver
+const CPR_REFERENCE_MAX_AGE_MS = 60000;
+// Address/parity replies are only trusted for recently heard aircraft
+const MODES_KNOWN_ADDRESS_MAX_AGE_MS = 60000;
+
+// 24-bit CRC over everything except the trailing parity field, XORed
+// with that field. Zero for a clean DF17/18; the transponder address for
+// DF4/5/20/21.
+function modesCrcResidual(bytes) {
+  const dataLen = bytes.length - 3;
+  let crc = 0;
+  for (let i = 0; i < dataLen; i++) {
+    crc ^= bytes[i] << 16;
+    for (let b = 0; b < 8; b++) {
+      crc <<= 1;
+      if (crc & 0x1000000) crc ^= MODES_GENERATOR_POLY;
+    }
+  }
+  const parity =
+    (bytes[dataLen] << 16) | (bytes[dataLen + 1] << 8) | bytes[dataLen + 2];
+  return (crc ^ parity) & 0xffffff;
+}
+
+// Bits first..last (1-based, inclusive, at most 32 wide) as an integer
+function modesBits(bytes, first, last) {
+  let value = 0;
+  for (let bit = first; bit <= last; bit++) {
+    const byte = bytes[(bit - 1) >> 3];
+    const set = (byte >> (7 - ((bit - 1) & 7))) & 1;
+    value = value * 2 + set;
+  }
+  return value;
+}
+
+function hex24(value) {
+  return value.toString(16).padStart(6, '0');
+}
+
+// 13-bit identity/altitude field -> Gillham "hex" layout 0xABCD, where each
+// nibble holds the 4/2/1 bits of that Mode A digit (D1 in bit 0).
+function modesId13ToGillham(id13) {
+  let g = 0;
+  if (id13 & 0x1000) g |= 0x0010; // C1
+  if (id13 & 0x0800) g |= 0x1000; // A1
+  if (id13 & 0x0400) g |= 0x0020; // C2
+  if (id13 & 0x0200) g |= 0x2000; // A2
+  if (id13 & 0x0100) g |= 0x0040; // C4
+  if (id13 & 0x0080) g |= 0x4000; // A4
+  if (id13 & 0x0020) g |= 0x0100; // B1
+  if (id13 & 0x0010) g |= 0x0001; // D1 (or Q)
+  if (id13 & 0x0008) g |= 0x0200; // B2
+  if (id13 & 0x0004) g |= 0x0002; // D2
+  if (id13 & 0x0002) g |= 0x0400; // B4
+  if (id13 & 0x0001) g |= 0x0004; // D4
+  return g;
+}
+
+function modesSquawk(id13) {
+  return modesId13ToGillham(id13).toString(16).padStart(4, '0');
+}
+
+// Gillham (100 ft) Mode C altitude in feet, or null when illegal
+function modesGillhamAltitude(gillham) {
+  if ((gillham & 0xffff8889) !== 0 || (gillham & 0x00f0) === 0) return null;
+
+  let hundreds = 0;
+  if (gillham & 0x0010) hundreds ^= 7; // C1
+  if (gillham & 0x0020) hundreds ^= 3; // C2
+  if (gillham & 0x0040) hundreds ^= 1; // C4
+  if ((hundreds & 5) === 5) hundreds ^= 2;
+  if (hundreds > 5) return null;
+
+  let fiveHundreds = 0;
+  if (gillham & 0x0002) fiveHundreds ^= 0xff; // D2
+  if (gillham & 0x0004) fiveHundreds ^= 0x7f; // D4
+  if (gillham & 0x1000) fiveHundreds ^= 0x3f; // A1
+  if (gillham & 0x2000) fiveHundreds ^= 0x1f; // A2
+  if (gillham & 0x4000) fiveHundreds ^= 0x0f; // A4
+  if (gillham & 0x0100) fiveHundreds ^= 0x07; // B1
+  if (gillham & 0x0200) fiveHundreds ^= 0x03; // B2
+  if (gillham & 0x0400) fiveHundreds ^= 0x01; // B4
+  if (fiveHundreds & 1) hundreds = 6 - hundreds;
+
+  const n = fiveHundreds * 5 + hundreds - 13;
+  return n < -12 ? null : n * 100;
+}
+
+// 13-bit AC field (DF4/20) -> feet
+function modesAc13Altitude(ac13) {
+  if (!ac13) return null;
+  if (ac13 & 0x0040) return null; // M bit: metric altitude, not in use
+  if (ac13 & 0x0010) {
+    // Q bit: 25 ft increments
+    const n = ((ac13 & 0x1f80) >> 2) | ((ac13 & 0x0020) >> 1) | (ac13 & 0x000f);
+    return n * 25 - 1000;
+  }
+  return modesGillhamAltitude(modesId13ToGillham(ac13));
+}
+
+// 12-bit altitude field of airborne position (no M bit)
+function modesAc12Altitude(ac12) {
+  return modesAc13Altitude(((ac12 & 0x0fc0) << 1) | (ac12 & 0x003f));
+}
+
+// Number of CPR longitude zones at a latitude (NZ = 15)
+function cprNL(lat) {
+  const absLat = Math.abs(lat);
+  if (absLat === 0) return 59;
+  if (absLat === 87) return 2;
+  if (absLat > 87) return 1;
+  const a = 1 - Math.cos(Math.PI / 30);
+  const b = Math.cos(toRad(absLat)) ** 2;
+  return Math.floor((2 * Math.PI) / Math.acos(1 - a / b));
+}
+
+function cprMod(a, b) {
+  const r = a % b;
+  return r < 0 ? r + b : r;
+}
+
+function normalizeLon(lon) {
+  return lon >= 180 ? lon - 360 : lon;
+}
+
+// Airborne global decode from an even/odd pair. `newest` is the frame
+// (even or odd) the resulting position belongs to.
+function cprGlobalDecode(even, odd, newestIsOdd) {
+  const latE = even.lat / 131072;
+  const lonE = even.lon / 131072;
+  const latO = odd.lat / 131072;
+  const lonO = odd.lon / 131072;
+
+  const j = Math.floor(59 * latE - 60 * latO + 0.5);
+  let rlatE = (360 / 60) * (cprMod(j, 60) + latE);
+  let rlatO = (360 / 59) * (cprMod(j, 59) + latO);
+  if (rlatE >= 270) rlatE -= 360;
+  if (rlatO >= 270) rlatO -= 360;
+  if (Math.abs(rlatE) > 90 || Math.abs(rlatO) > 90) return null;
+
+  // Both frames must be in the same longitude zone band
+  if (cprNL(rlatE) !== cprNL(rlatO)) return null;
+
+  const lat = newestIsOdd ? rlatO : rlatE;
+  const nl = cprNL(lat);
+  const ni = Math.max(nl - (newestIsOdd ? 1 : 0), 1);
+  const m = Math.floor(lonE * (nl - 1) - lonO * nl + 0.5);
+  const lon = (360 / ni) * (cprMod(m, ni) + (newestIsOdd ? lonO : lonE));
+
+  return { lat, lon: normalizeLon(lon) };
+}
+
+// Airborne local decode of a single frame against a nearby reference
+function cprLocalDecode(frame, isOdd, refLat, refLon) {
+  const latCpr = frame.lat / 131072;
+  const lonCpr = frame.lon / 131072;
+
+  const dLat = 360 / (isOdd ? 59 : 60);
+  const j =
+    Math.floor(refLat / dLat) +
+    Math.floor(cprMod(refLat, dLat) / dLat - latCpr + 0.5);
+  const lat = dLat * (j + latCpr);
+  if (Math.abs(lat) > 90) return null;
+
+  const dLon = 360 / Math.max(cprNL(lat) - (isOdd ? 1 : 0), 1);
+  const m =
+    Math.floor(refLon / dLon) +
+    Math.floor(cprMod(refLon, dLon) / dLon - lonCpr + 0.5);
+  const lon = dLon * (m + lonCpr);
+
+  return { lat, lon: normalizeLon(lon) };
+}
+
+function decodeIdentification(me) {
+  const tc = modesBits(me, 1, 5);
+  let flight = '';
+  for (let i = 0; i < 8; i++) {
+    const first = 9 + i * 6;
+    flight += MODES_CALLSIGN_CHARS[modesBits(me, first, first + 5)];
+  }
+  // Emitter category set A (TC 4) .. D (TC 1), e.g. 'A3'
+  const category = 'DCBA'[tc - 1] + String(modesBits(me, 6, 8));
+
+  return {
+    flight: flight.replace(/#/g, '').trim() || undefined,
+    category
+  };
+}
+
+function decodeAirbornePosition(me, tc) {
+  const alt = modesBits(me, 9, 20);
+  const fields = {};
+  if (tc >= 20) {
+    // GNSS height in metres
+    if (alt) fields.altGeom = Math.round(alt * M_TO_FT);
+  } else {
+    const altFt = modesAc12Altitude(alt);
+    if (altFt != null) fields.altBaro = altFt;
+  }
+  fields.onGround = false;
+
+  return {
+    fields,
+    cpr: {
+      odd: modesBits(me, 22, 22) === 1,
+      lat: modesBits(me, 23, 39),
+      lon: modesBits(me, 40, 56)
+    }
+  };
+}
+
+function decodeVelocity(me) {
+  const subtype = modesBits(me, 6, 8);
+  const fields = {};
+
+  if (subtype === 1 || subtype === 2) {
+    const scale = subtype === 2 ? 4 : 1; // supersonic
+    const vEw = modesBits(me, 15, 24);
+    const vNs = modesBits(me, 26, 35);
+    if (vEw && vNs) {
+      const vx = (vEw - 1) * scale * (modesBits(me, 14, 14) ? -1 : 1);
+      const vy = (vNs - 1) * scale * (modesBits(me, 25, 25) ? -1 : 1);
+      fields.gs = Math.sqrt(vx * vx + vy * vy);
+      fields.track = (toDeg(Math.atan2(vx, vy)) + 360) % 360;
+    }
+  } else if (subtype === 3 || subtype === 4) {
+    if (modesBits(me, 14, 14)) {
+      fields.magHeading = (modesBits(me, 15, 24) * 360) / 1024;
+    }
+    const airspeed = modesBits(me, 26, 35);
+    if (airspeed) {
+      const kt = (airspeed - 1) * (subtype === 4 ? 4 : 1);
+      if (modesBits(me, 25, 25)) fields.tas = kt;
+      else fields.ias = kt;
+    }
+  } else {
+    return { fields };
+  }
+
+  const vr = modesBits(me, 38, 46);
+  if (vr) {
+    const fpm = (vr - 1) * 64 * (modesBits(me, 37, 37) ? -1 : 1);
+    // bit 36: 0 = GNSS, 1 = barometric source
+    if (modesBits(me, 36, 36)) fields.verticalRate = fpm;
+    else fields.geomRate = fpm;
+  }
+  return { fields };
+}
+
+function decodeExtendedSquitter(me) {
+  const tc = modesBits(me, 1, 5);
+
+  if (tc >= 1 && tc <= 4) {
+    return { fields: decodeIdentification(me) };
+  }
+  if (tc >= 5 && tc <= 8) {
+    // Surface position; only the ground state is used
+    return { fields: { onGround: true } };
+  }
+  if ((tc >= 9 && tc <= 18) || (tc >= 20 && tc <= 22)) {
+    return decodeAirbornePosition(me, tc);
+  }
+  if (tc === 19) {
+    return decodeVelocity(me);
+  }
+  if (tc === 28 && modesBits(me, 6, 8) === 1) {
+    // Emergency/priority status carries Mode A
+    const squawk = modesSquawk(modesBits(me, 12, 24));
+    return { fields: { squawk, emergency: modesBits(me, 9, 11) !== 0 } };
+  }
+  return { fields: {} };
+}
+
+// Flight status of surveillance replies -> ground/alert/SPI flags
+function decodeFlightStatus(fs) {
+  return {
+    onGround: fs === 1 || fs === 3 ? true : fs === 0 || fs === 2 ? false : undefined,
+    alert: fs >= 2 && fs <= 4,
+    spi: fs === 4 || fs === 5
+  };
+}
+
+// Decodes one Mode S frame (7 or 14 bytes). Returns null when the CRC
+// or format is not usable, otherwise { df, hex, addressVerified, fields,
+// cpr? }. Address/parity replies come back unverified.
+function decodeModeS(bytes) {
+  if (bytes.length !== MODES_SHORT_BYTES && bytes.length !== MODES_LONG_BYTES) {
+    return null;
+  }
+
+  const df = bytes[0] >> 3;
+  const expectedLen = df >= 16 ? MODES_LONG_BYTES : MODES_SHORT_BYTES;
+  if (bytes.length !== expectedLen) return null;
+
+  const residual = modesCrcResidual(bytes);
+
+  if (df === 17 || df === 18) {
+    if (residual !== 0) return null;
+
+    let hex = hex24(modesBits(bytes, 9, 32));
+    let type = 'adsb_icao';
+    if (df === 18) {
+      // Control field: 0/1 ADS-B (non-transponder), 2/5 TIS-B, 6 ADS-R
+      const cf = bytes[0] & 7;
+      const cfTypes = { 0: 'adsb_icao', 1: 'adsb_other', 2: 'tisb_icao', 5: 'tisb_other', 6: 'adsr_icao' };
+      type = cfTypes[cf];
+      if (!type) return null;
+      if (cf === 1 || cf === 5) hex = '~' + hex; // not an ICAO address
+    }
+
+    const decoded = decodeExtendedSquitter(bytes.subarray(4, 11));
+    decoded.fields.positionType = type;
+    return { df, hex, addressVerified: true, ...decoded };
+  }
+
+  if (df === 11) {
+    // All-call reply: parity is overlaid with the interrogator ID only
+    if (residual >= 0x80) return null;
+    return {
+      df,
+      hex: hex24(modesBits(bytes, 9, 32)),
+      addressVerified: true,
+      fields: {}
+    };
+  }
+
+  if (df === 4 || df === 5 || df === 20 || df === 21) {
+    const fields = decodeFlightStatus(modesBits(bytes, 6, 8));
+    const code = modesBits(bytes, 20, 32);
+    if (df === 4 || df === 20) {
+      const altFt = modesAc13Altitude(code);
+      if (altFt != null) fields.altBaro = altFt;
+    } else {
+      fields.squawk = modesSquawk(code);
+    }
+    return { df, hex: hex24(residual), addressVerified: false, fields };
+  }
+
+  return null;
+}
+
+function isKnownModeSAddress(hex) {
+  const state = liveAircraft.get(hex);
+  return (
+    !!state && Date.now() - state.lastSeen <= MODES_KNOWN_ADDRESS_MAX_AGE_MS
+  );
+}
+
+// Resolves a CPR frame against stored frames / references for one aircraft
+function resolveCprPosition(state, cpr, now) {
+  const frameKey = cpr.odd ? 'cprOdd' : 'cprEven';
+  const otherKey = cpr.odd ? 'cprEven' : 'cprOdd';
+  const frame = { lat: cpr.lat, lon: cpr.lon, at: now };
+  state[frameKey] = frame;
+
+  const other = state[otherKey];
+  if (other && now - other.at <= CPR_PAIR_MAX_AGE_MS) {
+    const pos = cpr.odd
+      ? cprGlobalDecode(other, frame, true)
+      : cprGlobalDecode(frame, other, false);
+    if (pos && distanceKm(RECEIVER_LAT, RECEIVER_LON, pos.lat, pos.lon) <= MODES_MAX_RANGE_KM) {
+      return pos;
+    }
+  }
+
+  // Single frame: decode against the aircraft's last position, else the
+  // receiver location.
+  let refLat = RECEIVER_LAT;
+  let refLon = RECEIVER_LON;
+  if (state.lastPos != null && now - state.lastPos <= CPR_REFERENCE_MAX_AGE_MS) {
+    refLat = state.lat;
+    refLon = state.lon;
+  }
+  const pos = cprLocalDecode(frame, cpr.odd, refLat, refLon);
+  if (pos && distanceKm(refLat, refLon, pos.lat, pos.lon) <= CPR_LOCAL_MAX_RANGE_KM) {
+    return pos;
+  }
+  return null;
+}
+
+function applyModeSFrame(bytes, feedName, rssi) {
+  const msg = decodeModeS(bytes);
+  if (!msg) return;
+  if (!msg.addressVerified && !isKnownModeSAddress(msg.hex)) return;
+
+  const fields = { ...msg.fields };
+  if (rssi != null) fields.rssi = rssi;
+
+  if (msg.cpr) {
+    let state = liveAircraft.get(msg.hex);
+    if (!state) {
+      updateLiveAircraft(msg.hex, {}, feedName);
+      state = liveAircraft.get(msg.hex);
+    }
+    const pos = resolveCprPosition(state, msg.cpr, Date.now());
+    if (pos) {
+      fields.lat = Math.round(pos.lat * 1e6) / 1e6;
+      fields.lon = Math.round(pos.lon * 1e6) / 1e6;
+    }
+  }
+
+  updateLiveAircraft(msg.hex, fields, feedName);
+}
+
+function hexToBytes(hex) {
+  if (hex.length % 2 !== 0 || !/^[0-9A-Fa-f]*$/.test(hex)) return null;
+  return Buffer.from(hex, 'hex');
+}
+
+// AVR text frames: "*8D4840D6202CC371C32CE0576098;" optionally prefixed
+// with a 12-digit MLAT timestamp ("@") or timestamp + signal ("<").
+function parseAvrLine(line) {
+  const trimmed = line.trim().replace(/;$/, '');
+  let payload = null;
+  let rssi = null;
+
+  if (trimmed[0] === '*') {
+    payload = trimmed.slice(1);
+  } else if (trimmed[0] === '@') {
+    payload = trimmed.slice(13);
+  } else if (trimmed[0] === '<') {
+    const level = parseInt(trimmed.slice(13, 15), 16);
+    if (level > 0) rssi = Math.round(20 * Math.log10(level / 255) * 10) / 10;
+    payload = trimmed.slice(15);
+  } else {
+    return null;
+  }
+
+  const bytes = hexToBytes(payload);
+  if (!bytes) return null;
+  return { bytes, rssi };
+}
+
+function startAvrFeed() {
+  const splitter = createLineSplitter((line) => {
+    const frame = parseAvrLine(line);
+    if (frame) applyModeSFrame(frame.bytes, 'avr', frame.rssi);
+  });
+
+  startTcpFeed({
+    name: 'avr',
+    host: AVR_HOST,
+    port: AVR_PORT,
+    onConnect: () => splitter.reset(),
+    onData: (chunk) => splitter.push(chunk)
+  });
+}
+
+const BEAST_ESCAPE = 0x1a;
+// Beast frame type -> payload length (after 6-byte timestamp + signal)
+const BEAST_PAYLOAD_BYTES = { 0x31: 2, 0x32: MODES_SHORT_BYTES, 0x33: MODES_LONG_BYTES };
+
+// Beast binary: <1a> <type> <6 byte timestamp> <signal> <payload>, with
+// any 0x1a inside the frame doubled. Calls onFrame(type, payload, signal)
+// and returns the unconsumed tail of `buf`.
+function parseBeastBuffer(buf, onFrame) {
+  let pos = 0;
+
+  while (pos < buf.length) {
+    const start = buf.indexOf(BEAST_ESCAPE, pos);
+    if (start === -1) return buf.subarray(buf.length);
+    if (start + 1 >= buf.length) return buf.subarray(start);
+
+    const type = buf[start + 1];
+    const payloadLen = BEAST_PAYLOAD_BYTES[type];
+    if (payloadLen == null) {
+      // Not a frame start (or an escaped 0x1a seen out of sync)
+      pos = start + 1;
+      continue;
+    }
+
+    const frameLen = 7 + payloadLen;
+    const frame = Buffer.alloc(frameLen);
+    let n = 0;
+    let i = start + 2;
+    let broken = false;
+    while (n < frameLen && i < buf.length) {
+      const b = buf[i];
+      if (b === BEAST_ESCAPE) {
+        if (i + 1 >= buf.length) break;
+        if (buf[i + 1] !== BEAST_ESCAPE) {
+          broken = true; // a new frame started mid-frame
+          break;
+        }
+        i += 1;
+      }
+      frame[n++] = b;
+      i += 1;
+    }
+
+    if (broken) {
+      pos = i;
+      continue;
+    }
+    if (n < frameLen) {
+      return buf.subarray(start); // wait for more data
+    }
+
+    onFrame(type, frame.subarray(7), frame[6]);
+    pos = i;
+  }
+
+  return buf.subarray(buf.length);
+}
+
+function startBeastFeed() {
+  let pending = Buffer.alloc(0);
+
+  const onFrame = (type, payload, signal) => {
+    if (type === 0x31) return; // Mode A/C
+    let rssi = null;
+    if (signal > 0) {
+      rssi = Math.round(20 * Math.log10(signal / 255) * 10) / 10;
+    }
+    applyModeSFrame(payload, 'beast', rssi);
+  };
+
+  startTcpFeed({
+    name: 'beast',
+    host: BEAST_HOST,
+    port: BEAST_PORT,
+    onConnect: () => {
+      pending = Buffer.alloc(0);
+    },
+    onData: (chunk) => {
+      const buf = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      pending = Buffer.from(parseBeastBuffer(buf, onFrame));
+    }
+  });
+}
+
+function startLiveFeeds() {
+  if (SBS_HOST) startSbsFeed();
+  if (AVR_HOST) startAvrFeed();
+  if (BEAST_HOST) startBeastFeed();
+
+  setInterval(expireLiveAircraft, 5000).unref();
+}
+
+// ---------------------------------------------------------------------
+// Route lookup via adsbdb + AeroDataBox + AviationStack
+// ---------------------------------------------------------------------
+
+// callsign -> { sourceName: { route, expiresAt } }, where route is
+// { originIcao, destinationIcao } or null for "source had no route"
+const routeCache = {};
+let routeCacheSweptAt = Date.now();
+const routeSourceStats = {}; // airlineKey -> { adsbdb, aerodatabox, aviationstack }
+
+function getAirlineKeyFromCallsign(callsignKey) {
+  if (!callsignKey) return 'DEFAULT';
+  const cs = callsignKey.trim().toUpperCase();
+  const m = cs.match(/^([A-Z]+)/);
+  return m ? m[1] : 'DEFAULT';
+}
+
+function recordRouteSourceSuccess(airlineKey, sourceName) {
+  if (!routeSourceStats[airlineKey]) {
+    routeSourceStats[airlineKey] = {
+      adsbdb: 0,
+      aerodatabox: 0,
+      aviationstack: 0
+    };
+  }
+  if (routeSourceStats[airlineKey][sourceName] == null) {
+    routeSourceStats[airlineKey][sourceName] = 0;
+  }
+  routeSourceStats[airlineKey][sourceName] += 1;
+}
+
+function getRouteSourceOrderForAirline(airlineKey) {
+  const defaultOrder = ['adsbdb', 'aerodatabox', 'aviationstack'];
+  const stats = routeSourceStats[airlineKey];
+  if (!stats) return defaultOrder;
+
+  return [...defaultOrder].sort((a, b) => {
+    const sa = stats[a] || 0;
+    const sb = stats[b] || 0;
+    return sb - sa;
+  });
+}
+
+async function fetchRouteFromAdsbdb(callsignKey) {
+  const url = ADSBDB_ROUTE_URL + encodeURIComponent(callsignKey);
+
+  recordRouteProviderRequest('adsbdb');
+
+  try {
+    const resp = await axios.get(url, { timeout: 8000 });
+    const data = resp.data || {};
+
+    let origin = data.origin;
     let destination = data.destination;
 
-    if ((!origin || !destination) && data.route) {
-      origin = origin || data.route.origin;
-      destination = destination || data.route.destination;
+    if ((!origin || !destination) && data.route) {
+      origin = origin || data.route.origin;
+      destination = destination || data.route.destination;
+    }
+
+    if (!origin || !destination) {
+      return null;
+    }
+
+    return {
+      originIcao: String(origin).toUpperCase(),
+      destinationIcao: String(destination).toUpperCase()
+    };
+  } catch (err) {
+    if (isRateLimitError(err)) throw err;
+    console.error('[ROUTE] adsbdb error for', callsignKey, ':', err.message);
+    return null;
+  }
+}
+
+function parseFlightNumberFromCallsign(callsignKey) {
+  if (!callsignKey) return null;
+  const cs = callsignKey.trim().toUpperCase();
+  const m = cs.match(/^([A-Z]{2,3})(\d{1,4})$/);
+  if (!m) return null;
+  return {
+    icaoCode: m[1],
+    flightNumber: m[2]
+  };
+}
+
+function buildFlightNumberCandidates(callsignKey) {
+  const parsed = parseFlightNumberFromCallsign(callsignKey);
+  if (!parsed) return [];
+
+  const candidates = new Set();
+  const { icaoCode, flightNumber } = parsed;
+
+  candidates.add(`${icaoCode}${flightNumber}`);
+
+  const airline = getAirlineByIcao(icaoCode);
+  const iata = airline && airline.iata;
+  if (iata) {
+    candidates.add(`${iata}${flightNumber}`);
+  }
+
+  return Array.from(candidates);
+}
+
+async function fetchRouteFromAeroDataBox(callsignKey) {
+  if (!AERODATABOX_API_KEY) return null;
+
+  const candidates = buildFlightNumberCandidates(callsignKey);
+  if (!candidates.length) return null;
+
+  for (const flightNumber of candidates) {
+    if (!routeProviderHasBudget('aerodatabox')) break;
+    recordRouteProviderRequest('aerodatabox');
+
+    const url = AERODATABOX_FLIGHT_URL_TEMPLATE.replace(
+      '{flightNumber}',
+      encodeURIComponent(flightNumber)
+    );
+
+    try {
+      const resp = await axios.get(url, {
+        timeout: 8000,
+        headers: {
+          'X-RapidAPI-Key': AERODATABOX_API_KEY,
+          'X-RapidAPI-Host': AERODATABOX_HOST
+        }
+      });
+
+      const body = resp.data;
+      const flights = Array.isArray(body) ? body : body.flights || body.data || [];
+      if (!Array.isArray(flights) || flights.length === 0) continue;
+
+      const f = flights[0];
+      const dep = f.departure || f.dep || {};
+      const arr = f.arrival || f.arr || {};
+
+      const originIcao =
+        dep.icao || dep.icaoCode || dep.icao_code || dep.airportIcao || null;
+      const destinationIcao =
+        arr.icao || arr.icaoCode || arr.icao_code || arr.airportIcao || null;
+
+      if (!originIcao || !destinationIcao) {
+        continue;
+      }
+
+      return {
+        originIcao: String(originIcao).toUpperCase(),
+        destinationIcao: String(destinationIcao).toUpperCase()
+      };
+    } catch (err) {
+      if (isRateLimitError(err)) throw err;
+      if (err.response) {
+        console.error(
+          '[ROUTE] AeroDataBox error for',
+          callsignKey,
+          'candidate=',
+          flightNumber,
+          'status=',
+          err.response.status,
+          'data=',
+          JSON.stringify(err.response.data)
+        );
+      } else {
+        console.error(
+          '[ROUTE] AeroDataBox request failed for',
+          callsignKey,
+          'candidate=',
+          flightNumber,
+          ':',
+          err.message
+        );
+      }
+    }
+  }
+
+  return null;
+}
+
+async function fetchRouteFromAviationStack(callsignKey) {
+  if (!AVIATIONSTACK_API_KEY) return null;
+
+  const parsed = parseFlightNumberFromCallsign(callsignKey);
+  let flightIata = null;
+  if (parsed) {
+    const airline = getAirlineByIcao(parsed.icaoCode);
+    const iata = airline && airline.iata;
+    if (iata) {
+      flightIata = `${iata}${parsed.flightNumber}`;
+    }
+  }
+
+  const params = {
+    access_key: AVIATIONSTACK_API_KEY,
+    flight_icao: callsignKey
+  };
+  if (flightIata) {
+    params.flight_iata = flightIata;
+  }
+
+  recordRouteProviderRequest('aviationstack');
+
+  try {
+    const resp = await axios.get(AVIATIONSTACK_FLIGHTS_URL, {
+      timeout: 8000,
+      params
+    });
+
+    const body = resp.data || {};
+    const flights = Array.isArray(body.data) ? body.data : [];
+    if (!flights.length) return null;
+
+    const f = flights[0] || {};
+    const dep = f.departure || {};
+    const arr = f.arrival || {};
+
+    const originIcao = dep.icao || dep.icao_code || null;
+    const destinationIcao = arr.icao || arr.icao_code || null;
+
+    if (!originIcao || !destinationIcao) {
+      return null;
+    }
+
+    return {
+      originIcao: String(originIcao).toUpperCase(),
+      destinationIcao: String(destinationIcao).toUpperCase()
+    };
+  } catch (err) {
+    if (isRateLimitError(err)) throw err;
+    if (err.response) {
+      console.error(
+        '[ROUTE] AviationStack error for',
+        callsignKey,
+        'status=',
+        err.response.status,
+        'data=',
+        JSON.stringify(err.response.data)
+      );
+      if (err.response.status === 404) {
+        return null;
+      }
+    } else {
+      console.error('[ROUTE] AviationStack request failed:', err.message);
+    }
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------
+// Route lookup scheduler
+//
+// Lookups go through a per-provider priority queue (closest aircraft
+// first) with a concurrency cap, daily/monthly request budgets persisted
+// in storage/route-usage.json, and exponential backoff after HTTP 429.
+// ---------------------------------------------------------------------
+
+const ROUTE_USAGE_FILE = path.join(STORAGE_DIR, 'route-usage.json');
+const ROUTE_USAGE_SAVE_INTERVAL_MS = 30 * 1000;
+
+const routeProviders = {}; // provider -> scheduler state
+let routeUsageDirty = false;
+const routeLookupsInFlight = new Map(); // "provider|callsign" -> job
+
+function loadRouteUsage() {
+  let saved = {};
+  try {
+    saved = JSON.parse(fs.readFileSync(ROUTE_USAGE_FILE, 'utf8')) || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[ROUTE] Failed to read route usage:', err.message);
+    }
+  }
+
+  for (const name of Object.keys(ROUTE_PROVIDER_LIMITS)) {
+    const usage = saved[name] || {};
+    routeProviders[name] = {
+      active: 0,
+      queue: [],
+      backoffUntil: 0,
+      backoffMs: 0,
+      rateLimited: 0,
+      day: usage.day || null,
+      dayCount: usage.dayCount || 0,
+      month: usage.month || null,
+      monthCount: usage.monthCount || 0
+    };
+  }
+}
+
+function routeProviderIsBudgeted(name) {
+  const limits = ROUTE_PROVIDER_LIMITS[name];
+  return Boolean(limits && (limits.daily != null || limits.monthly != null));
+}
+
+// Only budgeted providers' counters need to survive a restart
+function saveRouteUsage() {
+  if (!routeUsageDirty) return;
+  const data = {};
+  for (const [name, p] of Object.entries(routeProviders)) {
+    if (!routeProviderIsBudgeted(name)) continue;
+    data[name] = {
+      day: p.day,
+      dayCount: p.dayCount,
+      month: p.month,
+      monthCount: p.monthCount
+    };
+  }
+  try {
+    writeJsonFileAtomic(ROUTE_USAGE_FILE, data);
+    routeUsageDirty = false;
+  } catch (err) {
+    console.error('[ROUTE] Failed to save route usage:', err.message);
+  }
+}
+
+function startRouteUsageSaver() {
+  setInterval(saveRouteUsage, ROUTE_USAGE_SAVE_INTERVAL_MS).unref();
+}
+
+// Reset counters that belong to a previous UTC day / month
+function rollRouteUsage(p) {
+  const today = getTodayString();
+  const month = today.slice(0, 7);
+  if (p.day !== today) {
+    p.day = today;
+    p.dayCount = 0;
+  }
+  if (p.month !== month) {
+    p.month = month;
+    p.monthCount = 0;
+  }
+}
+
+function routeProviderHasBudget(name) {
+  const p = routeProviders[name];
+  const limits = ROUTE_PROVIDER_LIMITS[name];
+  if (!p || !limits) return true;
+
+  rollRouteUsage(p);
+  if (limits.daily != null && p.dayCount >= limits.daily) return false;
+  if (limits.monthly != null && p.monthCount >= limits.monthly) return false;
+  return true;
+}
+
+function recordRouteProviderRequest(name) {
+  const p = routeProviders[name];
+  if (!p) return;
+
+  rollRouteUsage(p);
+  p.dayCount += 1;
+  p.monthCount += 1;
+  if (routeProviderIsBudgeted(name)) routeUsageDirty = true;
+}
+
+function isRateLimitError(err) {
+  return Boolean(err && err.response && err.response.status === 429);
+}
+
+function backOffRouteProvider(name, err) {
+  const p = routeProviders[name];
+  const retryAfterSec = Number(err.response.headers && err.response.headers['retry-after']);
+
+  p.backoffMs = p.backoffMs
+    ? Math.min(p.backoffMs * 2, ROUTE_BACKOFF_MAX_MS)
+    : ROUTE_BACKOFF_BASE_MS;
+  const waitMs = Number.isFinite(retryAfterSec) && retryAfterSec > 0
+    ? Math.max(retryAfterSec * 1000, p.backoffMs)
+    : p.backoffMs;
+
+  p.backoffUntil = Date.now() + waitMs;
+  p.rateLimited += 1;
+  console.error(
+    `[ROUTE] ${name} rate limited (429), backing off ${Math.round(waitMs / 1000)} s`
+  );
+}
+
+// Why a provider can't take a lookup right now, or null if it can
+function routeProviderUnavailableReason(name) {
+  const p = routeProviders[name];
+  if (Date.now() < p.backoffUntil) return 'backoff';
+  if (!routeProviderHasBudget(name)) return 'budget';
+  return null;
+}
+
+function finishRouteLookup(job, outcome) {
+  routeLookupsInFlight.delete(`${job.provider}|${job.key}`);
+  job.resolve(outcome);
+}
+
+function drainRouteQueue(name) {
+  const p = routeProviders[name];
+  const limits = ROUTE_PROVIDER_LIMITS[name];
+
+  while (p.queue.length && p.active < limits.concurrency) {
+    p.queue.sort((a, b) => a.priority - b.priority);
+    const job = p.queue.shift();
+
+    if (Date.now() - job.queuedAt > ROUTE_QUEUE_MAX_WAIT_MS) {
+      finishRouteLookup(job, { available: false, reason: 'queue timeout' });
+      continue;
+    }
+    const reason = routeProviderUnavailableReason(name);
+    if (reason) {
+      finishRouteLookup(job, { available: false, reason });
+      continue;
+    }
+
+    p.active += 1;
+    fetchRouteFromSource(name, job.key)
+      .then((route) => {
+        p.backoffMs = 0;
+        finishRouteLookup(job, { available: true, route });
+      })
+      .catch((err) => {
+        if (isRateLimitError(err)) {
+          backOffRouteProvider(name, err);
+        } else {
+          console.error(`[ROUTE] ${name} lookup failed for`, job.key, ':', err.message);
+        }
+        finishRouteLookup(job, { available: false, reason: 'error' });
+      })
+      .finally(() => {
+        p.active -= 1;
+        drainRouteQueue(name);
+      });
+  }
+}
+
+// Queue a lookup of `key` on provider `name`. Lower priority values run
+// first. Resolves to { available: true, route } once the provider has
+// answered, or { available: false, reason } if it was skipped (backoff,
+// budget, queue timeout, error) — skipped lookups must not be cached.
+function scheduleRouteLookup(name, key, priority) {
+  if (!routeProviders[name]) {
+    return fetchRouteFromSource(name, key).then((route) => ({ available: true, route }));
+  }
+
+  const reason = routeProviderUnavailableReason(name);
+  if (reason) return Promise.resolve({ available: false, reason });
+
+  const inFlightKey = `${name}|${key}`;
+  const existing = routeLookupsInFlight.get(inFlightKey);
+  if (existing) {
+    existing.priority = Math.min(existing.priority, priority);
+    return existing.promise;
+  }
+
+  const job = { provider: name, key, priority, queuedAt: Date.now() };
+  job.promise = new Promise((resolve) => {
+    job.resolve = resolve;
+  });
+  routeLookupsInFlight.set(inFlightKey, job);
+  routeProviders[name].queue.push(job);
+  // Drain on the next turn so a whole refresh's lookups are queued (and
+  // sorted by distance) before any of them start.
+  setImmediate(drainRouteQueue, name);
+
+  return job.promise;
+}
+
+function routeProviderEnabled(name) {
+  if (name === 'aerodatabox') return Boolean(AERODATABOX_API_KEY);
+  if (name === 'aviationstack') return Boolean(AVIATIONSTACK_API_KEY);
+  return true;
+}
+
+function getRouteProviderStatus() {
+  const now = Date.now();
+  const providers = {};
+
+  for (const [name, p] of Object.entries(routeProviders)) {
+    const limits = ROUTE_PROVIDER_LIMITS[name];
+    rollRouteUsage(p);
+
+    const budget = (limit, used) => ({
+      limit,
+      used,
+      remaining: limit != null ? Math.max(0, limit - used) : null
+    });
+
+    providers[name] = {
+      enabled: routeProviderEnabled(name),
+      concurrency: limits.concurrency,
+      active: p.active,
+      queued: p.queue.length,
+      daily: { day: p.day, ...budget(limits.daily, p.dayCount) },
+      monthly: { month: p.month, ...budget(limits.monthly, p.monthCount) },
+      rateLimited: p.rateLimited,
+      backoffUntil:
+        p.backoffUntil > now ? new Date(p.backoffUntil).toISOString() : null
+    };
+  }
+
+  return providers;
+}
+
+loadRouteUsage();
+
+function fetchRouteFromSource(source, key) {
+  if (source === 'adsbdb') return fetchRouteFromAdsbdb(key);
+  if (source === 'aerodatabox') return fetchRouteFromAeroDataBox(key);
+  if (source === 'aviationstack') return fetchRouteFromAviationStack(key);
+  return Promise.resolve(null);
+}
+
+function sweepRouteCache(now) {
+  if (now - routeCacheSweptAt < ROUTE_NEGATIVE_TTL_MS) return;
+  routeCacheSweptAt = now;
+
+  for (const [key, bySource] of Object.entries(routeCache)) {
+    for (const [source, entry] of Object.entries(bySource)) {
+      if (entry.expiresAt <= now) delete bySource[source];
+    }
+    if (Object.keys(bySource).length === 0) delete routeCache[key];
+  }
+}
+
+// One source's answer for a callsign, from cache while it's fresh.
+// Returns undefined when the source was skipped by the scheduler, or
+// wasn't cached and `cachedOnly` is set.
+async function getRouteFromSource(source, key, priority, cachedOnly) {
+  const bySource = routeCache[key] || (routeCache[key] = {});
+  const cached = bySource[source];
+  if (cached && cached.expiresAt > Date.now()) return cached.route;
+  if (cachedOnly) return undefined;
+
+  const outcome = await scheduleRouteLookup(source, key, priority);
+  if (!outcome.available) return undefined;
+
+  const result = outcome.route;
+  const route =
+    result && result.originIcao && result.destinationIcao ? result : null;
+
+  (routeCache[key] || (routeCache[key] = {}))[source] = {
+    route,
+    expiresAt: Date.now() + (route ? ROUTE_CACHE_TTL_MS : ROUTE_NEGATIVE_TTL_MS)
+  };
+  return route;
+}
+
+// Cross-track distance (km) of point 3 from the great circle 1 -> 2, and
+// the along-track distance of its foot point from point 1.
+function crossTrackKm(lat1, lon1, lat2, lon2, lat3, lon3) {
+  const d13 = distanceKm(lat1, lon1, lat3, lon3) / EARTH_RADIUS_KM;
+  const brng13 = toRad(bearingDegrees(lat1, lon1, lat3, lon3));
+  const brng12 = toRad(bearingDegrees(lat1, lon1, lat2, lon2));
+
+  const xt = Math.asin(Math.sin(d13) * Math.sin(brng13 - brng12));
+  const at = Math.acos(Math.max(-1, Math.min(1, Math.cos(d13) / Math.cos(xt))));
+
+  return {
+    crossTrackKm: Math.abs(xt) * EARTH_RADIUS_KM,
+    alongTrackKm:
+      (Math.cos(brng13 - brng12) < 0 ? -at : at) * EARTH_RADIUS_KM
+  };
+}
+
+function angleDiffDeg(a, b) {
+  const d = Math.abs((((a - b) % 360) + 360) % 360);
+  return d > 180 ? 360 - d : d;
+}
+
+// Check a route against where the aircraft is and where it's heading.
+// Returns { plausible, crossTrackKm, headingOffDeg, reason }, where
+// plausible is null when there isn't enough data to judge.
+function scoreRoutePlausibility(route, ac, airports) {
+  const result = {
+    plausible: null,
+    crossTrackKm: null,
+    headingOffDeg: null,
+    reason: null
+  };
+
+  const origin = airports[route.originIcao];
+  const dest = airports[route.destinationIcao];
+  if (
+    !origin || origin.lat == null ||
+    !dest || dest.lat == null ||
+    ac.lat == null || ac.lon == null ||
+    ac.onGround
+  ) {
+    return result;
+  }
+
+  const routeKm = distanceKm(origin.lat, origin.lon, dest.lat, dest.lon);
+  const fromOriginKm = distanceKm(origin.lat, origin.lon, ac.lat, ac.lon);
+  const toDestKm = distanceKm(ac.lat, ac.lon, dest.lat, dest.lon);
+
+  // Off the ends of the route, the distance to the nearer airport is
+  // what matters rather than the distance to the extended great circle.
+  const track = crossTrackKm(origin.lat, origin.lon, dest.lat, dest.lon, ac.lat, ac.lon);
+  let offRouteKm = track.crossTrackKm;
+  if (track.alongTrackKm < 0 || track.alongTrackKm > routeKm) {
+    offRouteKm = Math.min(fromOriginKm, toDestKm);
+  }
+  result.crossTrackKm = Math.round(offRouteKm);
+
+  const allowedKm = Math.max(
+    ROUTE_MAX_CROSS_TRACK_KM,
+    routeKm * ROUTE_CROSS_TRACK_FRACTION
+  );
+  if (offRouteKm > allowedKm) {
+    result.plausible = false;
+    result.reason = `${Math.round(offRouteKm)} km off route`;
+    return result;
+  }
+
+  // Departures and arrivals can point anywhere, so only check heading
+  // en route.
+  const inTerminalArea =
+    fromOriginKm < ROUTE_TERMINAL_AREA_KM || toDestKm < ROUTE_TERMINAL_AREA_KM;
+  if (ac.headingDeg != null && !inTerminalArea) {
+    const toDest = bearingDegrees(ac.lat, ac.lon, dest.lat, dest.lon);
+    result.headingOffDeg = Math.round(angleDiffDeg(ac.headingDeg, toDest));
+    if (result.headingOffDeg > ROUTE_MAX_HEADING_OFF_DEG) {
+      result.plausible = false;
+      result.reason = `heading ${result.headingOffDeg}° away from destination`;
+      return result;
+    }
+  }
+
+  result.plausible = true;
+  return result;
+}
+
+// Look up a callsign's route, trying sources in order. When `ac` (a
+// formatted aircraft) is given, routes that don't fit its position and
+// track are skipped in favour of the next source; if no source has a
+// plausible route, the first one found is returned flagged implausible.
+// With `cachedOnly`, no provider is asked (and no budget spent).
+async function fetchRouteForCallsign(callsign, ac, cachedOnly) {
+  if (!callsign) return null;
+  const key = callsign.trim().toUpperCase();
+  if (!key) return null;
+
+  sweepRouteCache(Date.now());
+
+  const airlineKey = getAirlineKeyFromCallsign(key);
+  const sourceOrder = getRouteSourceOrderForAirline(airlineKey);
+  const airports = ac ? airportsByIcao : null;
+  const priority = ac && ac.distanceKm != null ? ac.distanceKm : Infinity;
+  let fallback = null;
+
+  for (const source of sourceOrder) {
+    const route = await getRouteFromSource(source, key, priority, cachedOnly);
+    if (!route) continue;
+
+    const check = ac
+      ? scoreRoutePlausibility(route, ac, airports)
+      : { plausible: null, reason: null };
+    const candidate = {
+      originIcao: route.originIcao,
+      destinationIcao: route.destinationIcao,
+      source,
+      plausible: check.plausible,
+      reason: check.reason
+    };
+
+    if (check.plausible === false) {
+      fallback = fallback || candidate;
+      continue;
+    }
+
+    recordRouteSourceSuccess(airlineKey, source);
+    return candidate;
+  }
+
+  return fallback;
+}
+
+// ---------------------------------------------------------------------
+// Aircraft formatting
+// ---------------------------------------------------------------------
+
+// Observer for a location, optionally overridden per request
+// ({ lat, lon, altM } from ?obsLat=&obsLon=&obsAltM= or geolocation)
+function resolveObserver(loc, override) {
+  const base = loc.observer || { lat: loc.lat, lon: loc.lon, altM: 0 };
+  if (!override) {
+    return { lat: base.lat, lon: base.lon, altM: base.altM || 0, source: 'location' };
+  }
+  return {
+    lat: override.lat,
+    lon: override.lon,
+    altM: override.altM != null ? override.altM : 0,
+    source: 'request'
+  };
+}
+
+// readsb `type` (how the position was obtained) -> short source name
+function positionSourceFromType(type) {
+  if (!type) return null;
+  if (/^(adsb|adsr)_/.test(type)) return 'adsb';
+  if (type === 'mlat') return 'mlat';
+  if (/^tisb_/.test(type)) return 'tisb';
+  if (type === 'mode_s') return 'modes';
+  if (type === 'adsc') return 'adsc';
+  return 'other';
+}
+
+function optionalNumber(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function baseFormatAircraft(ac, observer) {
+  const callsign = (ac.flight || ac.Call || '').trim();
+  const icao24 = (ac.hex || ac.Icao || '').trim();
+
+  // Upstream fields win; the local registry fills the gaps
+  const registry = lookupAircraftRegistry(icao24);
+  const mdl = ac.mdl || ac.Mdl || (registry && registry.model) || '';
+  const t = ac.t || ac.Type || (registry && registry.typeCode) || '';
+  let model = '';
+  if (mdl && t) model = `${mdl} (${t})`;
+  else model = mdl || t || '';
+
+  const airlineInfo = getAirlineByIcao(airlineIcaoFromCallsign(callsign));
+  let airline = (ac.Op || ac.op || ac.operator || '').trim();
+  const operator = airline || (registry && registry.operator) || null;
+  if (!airline) {
+    airline = airlineInfo ? airlineInfo.name : '';
+  }
+
+  const alt =
+    ac.alt_baro != null
+      ? Number(ac.alt_baro)
+      : ac.Alt != null
+      ? Number(ac.Alt)
+      : null;
+  const gs =
+    ac.gs != null ? Number(ac.gs) : ac.Spd != null ? Number(ac.Spd) : null;
+
+  const lat = ac.lat != null ? Number(ac.lat) : null;
+  const lon = ac.lon != null ? Number(ac.lon) : null;
+
+  const trackRaw =
+    ac.track != null
+      ? Number(ac.track)
+      : ac.trak != null
+      ? Number(ac.trak)
+      : ac.Trak != null
+      ? Number(ac.Trak)
+      : null;
+  const headingDeg = Number.isFinite(trackRaw) ? trackRaw : null;
+
+  const baroRate = optionalNumber(ac.baro_rate != null ? ac.baro_rate : ac.Vsi);
+  const geomRate = optionalNumber(ac.geom_rate);
+  const emergency = ac.emergency && ac.emergency !== 'none' ? ac.emergency : null;
+
+  let positionSource = positionSourceFromType(ac.type);
+  if (!positionSource && ac.Mlat) positionSource = 'mlat';
+  if (!positionSource && ac.Tisb) positionSource = 'tisb';
+
+  let bearingDeg = null;
+  let lookDirection = null;
+  let distanceFromObserverKm = null;
+
+  if (lat != null && lon != null && !Number.isNaN(lat) && !Number.isNaN(lon)) {
+    const br = bearingDegrees(observer.lat, observer.lon, lat, lon);
+    bearingDeg = Math.round(br * 10) / 10;
+    lookDirection = bearingToDirection(br);
+
+    const dist = distanceKm(observer.lat, observer.lon, lat, lon);
+    if (Number.isFinite(dist)) {
+      distanceFromObserverKm = dist;
+    }
+  }
+
+  return {
+    callsign,
+    icao24,
+    model,
+    typeCode: t || null,
+    registration:
+      (ac.r || ac.Reg || '').trim() || (registry && registry.registration) || null,
+    operator,
+    country: registry ? registry.country : null,
+    countryIso2: registry ? registry.countryIso2 : null,
+    military: Boolean((registry && registry.military) || (ac.dbFlags & 1)),
+    category: ac.category || null,
+    airline,
+    airlineIcao: airlineInfo ? airlineInfo.icao : null,
+    airlineIata: airlineInfo ? airlineInfo.iata : null,
+    airlineCountry: airlineInfo ? airlineInfo.country : null,
+    squawk: ac.squawk || ac.Sqk || null,
+    emergency,
+    altitudeFt: Number.isFinite(alt) ? alt : null,
+    altGeomFt: optionalNumber(ac.alt_geom),
+    onGround: ac.alt_baro === 'ground' || ac.Gnd === true,
+    verticalRateFpm: baroRate != null ? baroRate : geomRate,
+    baroRateFpm: baroRate,
+    geomRateFpm: geomRate,
+    navAltitudeFt: optionalNumber(
+      ac.nav_altitude_mcp != null ? ac.nav_altitude_mcp : ac.nav_altitude_fms
+    ),
+    navHeadingDeg: optionalNumber(ac.nav_heading),
+    speedKt: Number.isFinite(gs) ? gs : null,
+    lookDirection,
+    bearingDeg,
+    lat: Number.isFinite(lat) ? lat : null,
+    lon: Number.isFinite(lon) ? lon : null,
+    headingDeg,
+    distanceKm: distanceFromObserverKm,
+
+    seenSec: optionalNumber(ac.seen),
+    seenPosSec: optionalNumber(ac.seen_pos),
+    rssi: optionalNumber(ac.rssi),
+    positionSource,
+
+    originIcao: null,
+    destinationIcao: null,
+    originIata: null,
+    destinationIata: null,
+    originDisplay: null,
+    destinationDisplay: null,
+    routeSource: null,
+    routePlausible: null,
+    routeWarning: null,
+    phase: null
+  };
+}
+
+// Earth radius scaled for standard atmospheric refraction (k = 4/3);
+// used for the line-of-sight test only.
+const REFRACTION_EARTH_RADIUS_KM = EARTH_RADIUS_KM * (4 / 3);
+
+// Elevation angle (deg) of a target seen from the observer, on a sphere
+// of the given radius. Distances in km, heights in km above sea level.
+function elevationAngleDeg(groundKm, observerHeightKm, targetHeightKm, radiusKm) {
+  const theta = groundKm / radiusKm;
+  const r1 = radiusKm + observerHeightKm;
+  const r2 = radiusKm + targetHeightKm;
+  return toDeg(Math.atan2(r2 * Math.cos(theta) - r1, r2 * Math.sin(theta)));
+}
+
+// Straight-line distance (km) between observer and target
+function slantRangeKm(groundKm, observerHeightKm, targetHeightKm) {
+  const theta = groundKm / EARTH_RADIUS_KM;
+  const r1 = EARTH_RADIUS_KM + observerHeightKm;
+  const r2 = EARTH_RADIUS_KM + targetHeightKm;
+  return Math.sqrt(r1 * r1 + r2 * r2 - 2 * r1 * r2 * Math.cos(theta));
+}
+
+// Adds spotter fields: elevationDeg, slantRangeKm, lineOfSight (above the
+// refracted horizon), aboveClouds and visible. The ceiling is AGL at the
+// METAR station, taken to be at the observer's elevation.
+function addSpotterVisibility(ac, observer, cloudCeilingFt) {
+  ac.elevationDeg = null;
+  ac.slantRangeKm = null;
+  ac.lineOfSight = null;
+  ac.aboveClouds = null;
+  ac.visible = null;
+
+  if (ac.distanceKm == null || ac.altitudeFt == null) return ac;
+
+  const observerKm = (observer.altM || 0) / 1000;
+  const targetKm = ac.altitudeFt / M_TO_FT / 1000;
+
+  const elevation = elevationAngleDeg(ac.distanceKm, observerKm, targetKm, EARTH_RADIUS_KM);
+  const refracted = elevationAngleDeg(
+    ac.distanceKm,
+    observerKm,
+    targetKm,
+    REFRACTION_EARTH_RADIUS_KM
+  );
+
+  ac.elevationDeg = Math.round(elevation * 10) / 10;
+  ac.slantRangeKm = Math.round(slantRangeKm(ac.distanceKm, observerKm, targetKm) * 10) / 10;
+  ac.lineOfSight = refracted >= 0;
+
+  if (cloudCeilingFt != null) {
+    const ceilingMslFt = cloudCeilingFt + (observer.altM || 0) * M_TO_FT;
+    ac.aboveClouds = ac.altitudeFt > ceilingMslFt;
+  }
+  ac.visible = ac.lineOfSight && ac.aboveClouds !== true;
+
+  return ac;
+}
+
+// ---------------------------------------------------------------------
+// Pass prediction (closest point of approach)
+//
+// Dead-reckons each airborne aircraft along its current track, speed and
+// vertical rate on a flat plane around the observer (fine for the few
+// hundred km and minutes involved) and finds the closest point of
+// approach. Only passes within PASS_HORIZON_SEC are predicted.
+// ---------------------------------------------------------------------
+
+const PASS_HORIZON_SEC = 15 * 60;
+const PASS_PATH_STEP_SEC = 60;
+const PASS_MIN_SPEED_KT = 30;
+// Elevation at CPA from which a pass counts as overhead
+const PASS_OVERHEAD_MIN_ELEVATION_DEG = 60;
+
+// Offset (km east, km north) from the observer -> [lat, lon]
+function planeToLatLon(observer, px, py) {
+  const p = destinationPoint(
+    observer.lat,
+    observer.lon,
+    (toDeg(Math.atan2(px, py)) + 360) % 360,
+    Math.hypot(px, py)
+  );
+  return [Math.round(p.lat * 1e5) / 1e5, Math.round(p.lon * 1e5) / 1e5];
+}
+
+// Motion of an airborne aircraft relative to the observer: position
+// (x, y) and velocity (vx, vy) in km and km/s east/north, plus its
+// altitude t seconds ahead. Null when it isn't moving along a track.
+function deadReckoning(ac) {
+  if (ac.onGround || ac.distanceKm == null || ac.bearingDeg == null) return null;
+  if (ac.speedKt == null || ac.speedKt < PASS_MIN_SPEED_KT || ac.headingDeg == null) {
+    return null;
+  }
+
+  const brg = toRad(ac.bearingDeg);
+  const speedKmS = ac.speedKt / NM_PER_KM / 3600;
+  return {
+    x: ac.distanceKm * Math.sin(brg),
+    y: ac.distanceKm * Math.cos(brg),
+    vx: speedKmS * Math.sin(toRad(ac.headingDeg)),
+    vy: speedKmS * Math.cos(toRad(ac.headingDeg)),
+    altitudeAt(t) {
+      if (ac.altitudeFt == null || ac.verticalRateFpm == null) return ac.altitudeFt;
+      return Math.max(0, ac.altitudeFt + (ac.verticalRateFpm * t) / 60);
+    }
+  };
+}
+
+// Adds `pass`: { cpaKm, timeToCpaSec, cpaAt, lat, lon, altitudeFt,
+// bearingDeg, lookDirection, elevationDeg, overhead, path } for an
+// aircraft approaching its CPA within the horizon, else null. `path` is
+// the projected position every PASS_PATH_STEP_SEC up to the horizon.
+function addPassPrediction(ac, observer) {
+  ac.pass = null;
+  const dr = deadReckoning(ac);
+  if (!dr) return ac;
+
+  const { x, y, vx, vy } = dr;
+  const tCpa = -(x * vx + y * vy) / (vx * vx + vy * vy);
+  if (!(tCpa > 0) || tCpa > PASS_HORIZON_SEC) return ac;
+
+  const cx = x + vx * tCpa;
+  const cy = y + vy * tCpa;
+  const cpaKm = Math.hypot(cx, cy);
+  const cpaBearing = (toDeg(Math.atan2(cx, cy)) + 360) % 360;
+  const altitudeFt = dr.altitudeAt(tCpa);
+
+  let elevationDeg = null;
+  if (altitudeFt != null) {
+    elevationDeg = elevationAngleDeg(
+      cpaKm,
+      (observer.altM || 0) / 1000,
+      altitudeFt / M_TO_FT / 1000,
+      EARTH_RADIUS_KM
+    );
+  }
+
+  const [lat, lon] = planeToLatLon(observer, cx, cy);
+  const path = [];
+  for (let t = 0; t < PASS_HORIZON_SEC; t += PASS_PATH_STEP_SEC) {
+    path.push(planeToLatLon(observer, x + vx * t, y + vy * t));
+  }
+  path.push(planeToLatLon(observer, x + vx * PASS_HORIZON_SEC, y + vy * PASS_HORIZON_SEC));
+
+  ac.pass = {
+    cpaKm: Math.round(cpaKm * 10) / 10,
+    timeToCpaSec: Math.round(tCpa),
+    cpaAt: new Date(Date.now() + tCpa * 1000).toISOString(),
+    lat,
+    lon,
+    altitudeFt: altitudeFt != null ? Math.round(altitudeFt) : null,
+    bearingDeg: Math.round(cpaBearing * 10) / 10,
+    lookDirection: bearingToDirection(cpaBearing),
+    elevationDeg: elevationDeg != null ? Math.round(elevationDeg * 10) / 10 : null,
+    overhead: elevationDeg != null && elevationDeg >= PASS_OVERHEAD_MIN_ELEVATION_DEG,
+    path
+  };
+  return ac;
+}
+
+// ---------------------------------------------------------------------
+// Sun & moon ephemeris and transit prediction
+//
+// Low-precision offline ephemeris after Paul Schlyter's "How to compute
+// planetary positions" (Sun ~1', Moon ~2' with the main perturbation
+// terms), topocentric for the moon. Positions are geometric, without
+// refraction. A transit is predicted by stepping each aircraft's
+// dead-reckoned path (see deadReckoning) against the sun and moon tracks
+// and refining every local minimum of the angular separation.
+// ---------------------------------------------------------------------
+
+const SKY_TRACK_STEP_SEC = 30;
+const TRANSIT_SCAN_STEP_SEC = 5;
+// Bodies lower than this are skipped: shadows are too long to be useful
+const TRANSIT_MIN_BODY_ELEVATION_DEG = 3;
+// Close approaches up to this separation are reported as (near) transits
+const TRANSIT_REPORT_MAX_DEG = 2;
+const MOON_RADIUS_EARTH_RADII = 0.272493;
+const EARTH_RADII_PER_AU = 23454.8;
+
+function normDeg(a) {
+  return ((a % 360) + 360) % 360;
+}
+
+function sinD(a) {
+  return Math.sin(toRad(a));
+}
+
+function cosD(a) {
+  return Math.cos(toRad(a));
+}
+
+// Days since 1999-12-31 0:00 UT (Schlyter's epoch)
+function ephemerisDay(ms) {
+  return ms / 86400000 - 10956;
+}
+
+function solveKepler(M, e) {
+  let E = M + toDeg(e * sinD(M) * (1 + e * cosD(M)));
+  for (let i = 0; i < 10; i++) {
+    const dE = (E - toDeg(e * sinD(E)) - M) / (1 - e * cosD(E));
+    E -= dE;
+    if (Math.abs(dE) < 1e-6) break;
+  }
+  return E;
+}
+
+// Ecliptic longitude (deg) and distance (AU) of the sun, plus the mean
+// anomaly and perihelion argument the moon's perturbations need
+function sunEcliptic(d) {
+  const w = 282.9404 + 4.70935e-5 * d;
+  const e = 0.016709 - 1.151e-9 * d;
+  const M = normDeg(356.047 + 0.9856002585 * d);
+  const E = solveKepler(M, e);
+  const xv = cosD(E) - e;
+  const yv = Math.sqrt(1 - e * e) * sinD(E);
+  return {
+    lon: normDeg(toDeg(Math.atan2(yv, xv)) + w),
+    lat: 0,
+    r: Math.hypot(xv, yv),
+    M,
+    w
+  };
+}
+
+// Geocentric ecliptic longitude/latitude (deg) and distance (Earth radii)
+function moonEcliptic(d, sun) {
+  const N = 125.1228 - 0.0529538083 * d;
+  const i = 5.1454;
+  const w = 318.0634 + 0.1643573223 * d;
+  const a = 60.2666;
+  const e = 0.0549;
+  const M = normDeg(115.3654 + 13.0649929509 * d);
+  const E = solveKepler(M, e);
+
+  const xv = a * (cosD(E) - e);
+  const yv = a * Math.sqrt(1 - e * e) * sinD(E);
+  const v = toDeg(Math.atan2(yv, xv));
+  let r = Math.hypot(xv, yv);
+
+  const xh = r * (cosD(N) * cosD(v + w) - sinD(N) * sinD(v + w) * cosD(i));
+  const yh = r * (sinD(N) * cosD(v + w) + cosD(N) * sinD(v + w) * cosD(i));
+  const zh = r * sinD(v + w) * sinD(i);
+  let lon = toDeg(Math.atan2(yh, xh));
+  let lat = toDeg(Math.atan2(zh, Math.hypot(xh, yh)));
+
+  const Ms = sun.M;
+  const Ls = sun.M + sun.w;
+  const Lm = N + w + M;
+  const D = Lm - Ls;
+  const F = Lm - N;
+  lon +=
+    -1.274 * sinD(M - 2 * D) +
+    0.658 * sinD(2 * D) -
+    0.186 * sinD(Ms) -
+    0.059 * sinD(2 * M - 2 * D) -
+    0.057 * sinD(M - 2 * D + Ms) +
+    0.053 * sinD(M + 2 * D) +
+    0.046 * sinD(2 * D - Ms) +
+    0.041 * sinD(M - Ms) -
+    0.035 * sinD(D) -
+    0.031 * sinD(M + Ms) -
+    0.015 * sinD(2 * F - 2 * D) +
+    0.011 * sinD(M - 4 * D);
+  lat +=
+    -0.173 * sinD(F - 2 * D) -
+    0.055 * sinD(M - F - 2 * D) -
+    0.046 * sinD(M + F - 2 * D) +
+    0.033 * sinD(F + 2 * D) +
+    0.017 * sinD(2 * M + F);
+  r += -0.58 * cosD(M - 2 * D) - 0.46 * cosD(2 * D);
+
+  return { lon: normDeg(lon), lat, r };
+}
+
+// Ecliptic spherical -> equatorial rectangular, same distance unit
+function eclipticToEquatorial(pos, d) {
+  const ecl = 23.4393 - 3.563e-7 * d;
+  const x = pos.r * cosD(pos.lon) * cosD(pos.lat);
+  const y = pos.r * sinD(pos.lon) * cosD(pos.lat);
+  const z = pos.r * sinD(pos.lat);
+  return {
+    x,
+    y: y * cosD(ecl) - z * sinD(ecl),
+    z: y * sinD(ecl) + z * cosD(ecl)
+  };
+}
+
+function localSiderealDeg(ms, lonDeg) {
+  const jd = ms / 86400000 + 2440587.5;
+  return normDeg(280.46061837 + 360.98564736629 * (jd - 2451545) + lonDeg);
+}
+
+// Topocentric azimuth/elevation (deg) and distance of an equatorial
+// position given in units of `unitEarthRadii` Earth radii
+function equatorialToHorizontal(eq, observer, ms, unitEarthRadii) {
+  const lst = localSiderealDeg(ms, observer.lon);
+  const obsR = (EARTH_RADIUS_KM + (observer.altM || 0) / 1000) / EARTH_RADIUS_KM / unitEarthRadii;
+  const x = eq.x - obsR * cosD(observer.lat) * cosD(lst);
+  const y = eq.y - obsR * cosD(observer.lat) * sinD(lst);
+  const z = eq.z - obsR * sinD(observer.lat);
+
+  const ra = toDeg(Math.atan2(y, x));
+  const dist = Math.sqrt(x * x + y * y + z * z);
+  const dec = toDeg(Math.asin(z / dist));
+  const ha = lst - ra;
+
+  const elevation = toDeg(
+    Math.asin(sinD(observer.lat) * sinD(dec) + cosD(observer.lat) * cosD(dec) * cosD(ha))
+  );
+  const azimuth = normDeg(
+    toDeg(
+      Math.atan2(-sinD(ha), Math.tan(toRad(dec)) * cosD(observer.lat) - sinD(observer.lat) * cosD(ha))
+    )
+  );
+  return { azimuthDeg: azimuth, elevationDeg: elevation, distance: dist };
+}
+
+// Sun and moon as seen by the observer at time ms: azimuth, elevation and
+// angular radius (deg); the moon also gets its illuminated fraction
+function sunMoonPositions(observer, ms) {
+  const d = ephemerisDay(ms);
+  const sunEcl = sunEcliptic(d);
+  const moonEcl = moonEcliptic(d, sunEcl);
+
+  const sun = equatorialToHorizontal(
+    eclipticToEquatorial(sunEcl, d),
+    observer,
+    ms,
+    EARTH_RADII_PER_AU
+  );
+  const moon = equatorialToHorizontal(eclipticToEquatorial(moonEcl, d), observer, ms, 1);
+
+  const elongation = Math.acos(cosD(moonEcl.lat) * cosD(moonEcl.lon - sunEcl.lon));
+  return {
+    sun: {
+      azimuthDeg: sun.azimuthDeg,
+      elevationDeg: sun.elevationDeg,
+      radiusDeg: 0.2666 / sun.distance
+    },
+    moon: {
+      azimuthDeg: moon.azimuthDeg,
+      elevationDeg: moon.elevationDeg,
+      radiusDeg: toDeg(Math.asin(MOON_RADIUS_EARTH_RADII / moon.distance)),
+      illumination: (1 - Math.cos(elongation)) / 2
+    }
+  };
+}
+
+function angularSeparationDeg(az1, el1, az2, el2) {
+  const c = sinD(el1) * sinD(el2) + cosD(el1) * cosD(el2) * cosD(az1 - az2);
+  return toDeg(Math.acos(Math.min(1, Math.max(-1, c))));
+}
+
+// Sun and moon positions every SKY_TRACK_STEP_SEC over the pass horizon,
+// for interpolation while scanning aircraft paths
+function computeSkyTracks(observer, nowMs) {
+  const tracks = { sun: [], moon: [] };
+  for (let t = 0; t <= PASS_HORIZON_SEC; t += SKY_TRACK_STEP_SEC) {
+    const pos = sunMoonPositions(observer, nowMs + t * 1000);
+    tracks.sun.push(pos.sun);
+    tracks.moon.push(pos.moon);
+  }
+  return { nowMs, observer, tracks };
+}
+
+function skyTrackAt(track, t) {
+  const f = Math.min(t / SKY_TRACK_STEP_SEC, track.length - 1);
+  const i = Math.min(Math.floor(f), track.length - 2);
+  const a = track[i];
+  const b = track[i + 1];
+  const k = f - i;
+  // interpolate azimuth the short way round north
+  const dAz = ((b.azimuthDeg - a.azimuthDeg + 540) % 360) - 180;
+  return {
+    azimuthDeg: normDeg(a.azimuthDeg + dAz * k),
+    elevationDeg: a.elevationDeg + (b.elevationDeg - a.elevationDeg) * k,
+    radiusDeg: a.radiusDeg
+  };
+}
+
+// Current sun/moon for the response meta
+function skySummary(sky) {
+  const round = (v, n) => Math.round(v * 10 ** n) / 10 ** n;
+  const summary = {};
+  for (const [body, track] of Object.entries(sky.tracks)) {
+    const p = track[0];
+    summary[body] = {
+      azimuthDeg: round(p.azimuthDeg, 2),
+      elevationDeg: round(p.elevationDeg, 2),
+      radiusDeg: round(p.radiusDeg, 3),
+      lookDirection: bearingToDirection(p.azimuthDeg),
+      aboveHorizon: p.elevationDeg > 0
+    };
+    if (p.illumination != null) summary[body].illumination = round(p.illumination, 3);
+  }
+  return summary;
+}
+
+// Adds `transits`: predicted crossings of the sun/moon disc (or near
+// misses up to TRANSIT_REPORT_MAX_DEG), soonest first. Each has the time,
+// angular separation, the body's position and `centreLine`: the nearest
+// point to the observer on the ground track along which the aircraft
+// passes dead centre, with when it does so there.
+function addTransitPredictions(ac, observer, sky) {
+  ac.transits = [];
+  const dr = deadReckoning(ac);
+  if (!dr || ac.altitudeFt == null) return ac;
+
+  const obsKm = (observer.altM || 0) / 1000;
+  const aircraftAt = (t) => {
+    const px = dr.x + dr.vx * t;
+    const py = dr.y + dr.vy * t;
+    return {
+      azimuthDeg: normDeg(toDeg(Math.atan2(px, py))),
+      elevationDeg: elevationAngleDeg(
+        Math.hypot(px, py),
+        obsKm,
+        dr.altitudeAt(t) / M_TO_FT / 1000,
+        EARTH_RADIUS_KM
+      )
+    };
+  };
+
+  for (const [body, track] of Object.entries(sky.tracks)) {
+    if (!track.some((p) => p.elevationDeg >= TRANSIT_MIN_BODY_ELEVATION_DEG)) continue;
+
+    const separationAt = (t) => {
+      const b = skyTrackAt(track, t);
+      const a = aircraftAt(t);
+      return angularSeparationDeg(a.azimuthDeg, a.elevationDeg, b.azimuthDeg, b.elevationDeg);
+    };
+
+    const seps = [];
+    for (let t = 0; t <= PASS_HORIZON_SEC; t += TRANSIT_SCAN_STEP_SEC) {
+      seps.push(separationAt(t));
+    }
+
+    for (let i = 0; i < seps.length; i++) {
+      const prev = i > 0 ? seps[i - 1] : Infinity;
+      const next = i < seps.length - 1 ? seps[i + 1] : Infinity;
+      if (seps[i] > prev || seps[i] > next) continue;
+
+      // Ternary search for the minimum between the neighbouring samples
+      let lo = Math.max(0, (i - 1) * TRANSIT_SCAN_STEP_SEC);
+      let hi = Math.min(PASS_HORIZON_SEC, (i + 1) * TRANSIT_SCAN_STEP_SEC);
+      while (hi - lo > 0.05) {
+        const m1 = lo + (hi - lo) / 3;
+        const m2 = hi - (hi - lo) / 3;
+        if (separationAt(m1) < separationAt(m2)) hi = m2;
+        else lo = m1;
+      }
+      const t = (lo + hi) / 2;
+      const separationDeg = separationAt(t);
+      if (separationDeg > TRANSIT_REPORT_MAX_DEG) continue;
+
+      const b = skyTrackAt(track, t);
+      if (b.elevationDeg < TRANSIT_MIN_BODY_ELEVATION_DEG) continue;
+      if (aircraftAt(t).elevationDeg <= 0) continue;
+
+      // The aircraft's "shadow" towards the body: directly below it, moved
+      // away from the body by height / tan(elevation)
+      const heightKm = dr.altitudeAt(t) / M_TO_FT / 1000 - obsKm;
+      const shadowKm = heightKm / Math.tan(toRad(b.elevationDeg));
+      const sx = dr.x - shadowKm * sinD(b.azimuthDeg);
+      const sy = dr.y - shadowKm * cosD(b.azimuthDeg);
+      const ts = -(sx * dr.vx + sy * dr.vy) / (dr.vx * dr.vx + dr.vy * dr.vy);
+      const cx = sx + dr.vx * ts;
+      const cy = sy + dr.vy * ts;
+      const [lat, lon] = planeToLatLon(observer, cx, cy);
+
+      ac.transits.push({
+        body,
+        at: new Date(sky.nowMs + t * 1000).toISOString(),
+        timeToTransitSec: Math.round(t),
+        separationDeg: Math.round(separationDeg * 1000) / 1000,
+        bodyRadiusDeg: Math.round(b.radiusDeg * 1000) / 1000,
+        centred: separationDeg <= b.radiusDeg,
+        bodyAzimuthDeg: Math.round(b.azimuthDeg * 10) / 10,
+        bodyElevationDeg: Math.round(b.elevationDeg * 10) / 10,
+        centreLine: {
+          lat,
+          lon,
+          distanceKm: Math.round(Math.hypot(cx, cy) * 100) / 100,
+          bearingDeg: Math.round(normDeg(toDeg(Math.atan2(cx, cy))) * 10) / 10,
+          at: new Date(sky.nowMs + ts * 1000).toISOString()
+        }
+      });
+    }
+  }
+
+  ac.transits.sort((a, b) => a.timeToTransitSec - b.timeToTransitSec);
+  return ac;
+}
+
+// Lookups still queued when ROUTE_ENRICH_WAIT_MS runs out carry on in the
+// background, so their routes show up on a later refresh.
+async function enrichAircraftWithRoutes(aircraftList, cachedOnly) {
+  let deadlineTimer = null;
+  const deadline = new Promise((resolve) => {
+    deadlineTimer = setTimeout(resolve, ROUTE_ENRICH_WAIT_MS, null);
+  });
+
+  const tasks = aircraftList.map(async (ac) => {
+    if (!ac.callsign) return ac;
+
+    try {
+      const lookup = fetchRouteForCallsign(ac.callsign, ac, cachedOnly).catch((err) => {
+        console.error('[ROUTE] Lookup failed for', ac.callsign, err.message);
+        return null;
+      });
+      const route = await Promise.race([lookup, deadline]);
+      if (!route) return ac;
+
+      ac.originIcao = route.originIcao;
+      ac.destinationIcao = route.destinationIcao;
+      ac.routeSource = route.source;
+      ac.routePlausible = route.plausible;
+      ac.routeWarning = route.reason;
+
+      const origin = getAirport(route.originIcao);
+      const destination = getAirport(route.destinationIcao);
+      ac.originIata = origin ? origin.iata : null;
+      ac.destinationIata = destination ? destination.iata : null;
+      ac.originDisplay = getAirportDisplay(route.originIcao);
+      ac.destinationDisplay = getAirportDisplay(route.destinationIcao);
+    } catch (err) {
+      console.error('[ROUTE] Error enriching aircraft', ac.callsign, err.message);
+    }
+
+    return ac;
+  });
+
+  const result = await Promise.all(tasks);
+  clearTimeout(deadlineTimer);
+  return result;
+}
+
+// ---------------------------------------------------------------------
+// Flight phase
+//
+// Each poll adds a sample per aircraft to a short rolling history, from
+// which the phase is classified: ground, takeoff, climb, cruise, descent,
+// approach, landing, go-around or holding. Heights near an airport are
+// taken above that airport's elevation. Holding patterns and go-arounds
+// are also written to the flight history as events.
+// ---------------------------------------------------------------------
+
+const PHASE_HISTORY_MS = 10 * 60 * 1000;
+const PHASE_STATE_EXPIRY_MS = 15 * 60 * 1000;
+const PHASE_AIRPORT_RADIUS_KM = 40;
+const PHASE_RUNWAY_AREA_KM = 10;
+const HOLDING_WINDOW_MS = 8 * 60 * 1000;
+const HOLDING_MIN_TURN_DEG = 300;
+const HOLDING_MAX_EXTENT_KM = 30;
+const HOLDING_MAX_ALT_BAND_FT = 600;
+const GO_AROUND_WINDOW_MS = 4 * 60 * 1000;
+const GO_AROUND_LABEL_MS = 2 * 60 * 1000;
+const PHASE_EVENT_COOLDOWN_MS = 15 * 60 * 1000;
+
+const phaseStates = new Map(); // icao24 (or callsign) -> { samples, ... }
+
+// Nearest airport within maxKm (lat/lon box check before the haversine)
+function nearestAirport(lat, lon, maxKm) {
+  const dLat = maxKm / 111;
+  const dLon = maxKm / (111 * Math.max(Math.cos(toRad(lat)), 0.01));
+  let best = null;
+  let bestKm = maxKm;
+
+  for (const airport of Object.values(airportsByIcao)) {
+    if (Math.abs(airport.lat - lat) > dLat || Math.abs(airport.lon - lon) > dLon) continue;
+    const d = distanceKm(lat, lon, airport.lat, airport.lon);
+    if (d <= bestKm) {
+      best = airport;
+      bestKm = d;
+    }
+  }
+  return best ? { airport: best, distanceKm: bestKm } : null;
+}
+
+function signedTurnDeg(from, to) {
+  return ((((to - from) % 360) + 540) % 360) - 180;
+}
+
+// Vertical rate from the feed, else from the altitude change over the
+// last minute of samples
+function phaseVerticalRate(ac, samples) {
+  if (ac.verticalRateFpm != null) return ac.verticalRateFpm;
+
+  const last = samples[samples.length - 1];
+  const earlier = samples.find((p) => last.t - p.t <= 60000 && last.t - p.t >= 10000);
+  if (!earlier || last.altFt == null || earlier.altFt == null) return null;
+  return ((last.altFt - earlier.altFt) / (last.t - earlier.t)) * 60000;
+}
+
+function detectHolding(samples, now) {
+  const recent = samples.filter((p) => now - p.t <= HOLDING_WINDOW_MS);
+  if (recent.length < 6 || recent[recent.length - 1].t - recent[0].t < 3 * 60000) {
+    return false;
+  }
+
+  let turn = 0;
+  let minAlt = Infinity;
+  let maxAlt = -Infinity;
+  for (let i = 0; i < recent.length; i++) {
+    const p = recent[i];
+    if (p.onGround || p.altFt == null) return false;
+    minAlt = Math.min(minAlt, p.altFt);
+    maxAlt = Math.max(maxAlt, p.altFt);
+    if (distanceKm(recent[0].lat, recent[0].lon, p.lat, p.lon) > HOLDING_MAX_EXTENT_KM) {
+      return false;
+    }
+    if (i > 0 && p.track != null && recent[i - 1].track != null) {
+      turn += signedTurnDeg(recent[i - 1].track, p.track);
+    }
+  }
+
+  return Math.abs(turn) >= HOLDING_MIN_TURN_DEG && maxAlt - minAlt <= HOLDING_MAX_ALT_BAND_FT;
+}
+
+// A descent to low height near an airport followed by a climb, without
+// touching down in between
+function detectGoAround(samples, now, elevationFt) {
+  const recent = samples.filter((p) => now - p.t <= GO_AROUND_WINDOW_MS && p.altFt != null);
+  if (recent.length < 3) return false;
+
+  let lowest = 0;
+  for (let i = 1; i < recent.length; i++) {
+    if (recent[i].altFt < recent[lowest].altFt) lowest = i;
+  }
+  const low = recent[lowest];
+  const last = recent[recent.length - 1];
+  if (lowest === 0 || lowest === recent.length - 1) return false;
+  if (low.altFt - elevationFt > 1200) return false;
+  if (recent.slice(lowest).some((p) => p.onGround)) return false;
+
+  const descendedIn = recent[0].altFt - low.altFt >= 300;
+  const climbedOut = last.altFt - low.altFt >= 400 && (last.vs == null || last.vs > 300);
+  return descendedIn && climbedOut;
+}
+
+function classifyPhase(ac, state, vs, near, now) {
+  const heightFt =
+    ac.altitudeFt != null ? ac.altitudeFt - (near ? near.airport.elevationFt || 0 : 0) : null;
+  const nearKm = near ? near.distanceKm : Infinity;
+
+  if (ac.onGround || (ac.speedKt != null && ac.speedKt < 40 && heightFt != null && heightFt < 300)) {
+    return 'ground';
+  }
+  if (state.goAroundAt && now - state.goAroundAt < GO_AROUND_LABEL_MS && !(vs < -300)) {
+    return 'go-around';
+  }
+  if (state.holding) return 'holding';
+
+  if (nearKm <= PHASE_RUNWAY_AREA_KM && heightFt != null && heightFt < 1500) {
+    if (vs != null && vs > 300) return 'takeoff';
+    if (vs != null && vs < -200) return 'landing';
+  }
+  if (vs != null && vs > 500) return 'climb';
+  if (vs != null && vs < -500) {
+    return nearKm <= PHASE_AIRPORT_RADIUS_KM && heightFt != null && heightFt < 5000
+      ? 'approach'
+      : 'descent';
+  }
+  if (nearKm <= 25 && heightFt != null && heightFt < 3000) return 'approach';
+  return 'cruise';
+}
+
+function updateFlightPhases(aircraftList, context) {
+  const now = Date.now();
+
+  for (const [key, state] of phaseStates) {
+    if (now - state.lastSeen > PHASE_STATE_EXPIRY_MS) phaseStates.delete(key);
+  }
+
+  for (const ac of aircraftList) {
+    const key = ac.icao24 || ac.callsign;
+    if (!key) continue;
+
+    let state = phaseStates.get(key);
+    if (!state) {
+      state = { samples: [], holding: false, goAroundAt: null, lastEventAt: {} };
+      phaseStates.set(key, state);
+    }
+    state.lastSeen = now;
+
+    // Several locations may report the same aircraft; keep one sample
+    // per position update
+    const t = now - (ac.seenPosSec || 0) * 1000;
+    const lastSample = state.samples[state.samples.length - 1];
+    if (ac.lat != null && ac.lon != null && (!lastSample || t - lastSample.t >= 2000)) {
+      state.samples.push({
+        t,
+        lat: ac.lat,
+        lon: ac.lon,
+        altFt: ac.altitudeFt,
+        vs: ac.verticalRateFpm,
+        gs: ac.speedKt,
+        track: ac.headingDeg,
+        onGround: ac.onGround
+      });
+      while (state.samples.length && now - state.samples[0].t > PHASE_HISTORY_MS) {
+        state.samples.shift();
+      }
+    }
+
+    if (!state.samples.length) {
+      ac.phase = ac.onGround ? 'ground' : null;
+      continue;
+    }
+
+    const near = nearestAirport(ac.lat != null ? ac.lat : lastSample.lat,
+      ac.lon != null ? ac.lon : lastSample.lon, PHASE_AIRPORT_RADIUS_KM);
+    const vs = phaseVerticalRate(ac, state.samples);
+    const nearRunway = near && near.distanceKm <= PHASE_RUNWAY_AREA_KM;
+
+    const wasHolding = state.holding;
+    state.holding = detectHolding(state.samples, now);
+    if (
+      nearRunway &&
+      detectGoAround(state.samples, now, near.airport.elevationFt || 0) &&
+      !(state.goAroundAt && now - state.goAroundAt < GO_AROUND_WINDOW_MS)
+    ) {
+      state.goAroundAt = now;
+      raisePhaseEvent(ac, state, 'go-around', context, {
+        airportIcao: near.airport.icao
+      });
+    }
+    if (state.holding && !wasHolding) {
+      raisePhaseEvent(ac, state, 'holding', context, {
+        airportIcao: near ? near.airport.icao : null
+      });
+    }
+
+    ac.phase = classifyPhase(ac, state, vs, near, now);
+  }
+}
+
+// Phase from the samples recorded so far, without adding a sample or
+// raising events (read-only fetches)
+function annotateFlightPhases(aircraftList) {
+  const now = Date.now();
+  for (const ac of aircraftList) {
+    const state = phaseStates.get(ac.icao24 || ac.callsign);
+    if (!state || !state.samples.length) {
+      ac.phase = ac.onGround ? 'ground' : null;
+      continue;
+    }
+    const lastSample = state.samples[state.samples.length - 1];
+    const near = nearestAirport(ac.lat != null ? ac.lat : lastSample.lat,
+      ac.lon != null ? ac.lon : lastSample.lon, PHASE_AIRPORT_RADIUS_KM);
+    ac.phase = classifyPhase(ac, state, phaseVerticalRate(ac, state.samples), near, now);
+  }
+}
+
+function raisePhaseEvent(ac, state, type, context, details) {
+  const now = Date.now();
+  const last = state.lastEventAt[type];
+  if (last && now - last < PHASE_EVENT_COOLDOWN_MS) return;
+  state.lastEventAt[type] = now;
+  logFlightEvent(ac, type, context, details);
+}
+
+// ---------------------------------------------------------------------
+// Weather via AviationWeather (METAR + TAF)
+//
+// Each location uses its configured metarStation, or the nearest station
+// reporting METARs. Decoded METAR/TAF and station lookups are cached.
+// ---------------------------------------------------------------------
+
+const weatherCache = new Map(); // key -> { value, expiresAt, promise }
+
+// Memoizes loader() under key for ttlMs; concurrent callers share one
+// request. Failures are cached for WEATHER_ERROR_TTL_MS as null.
+async function cachedWeather(key, ttlMs, loader) {
+  const now = Date.now();
+  const entry = weatherCache.get(key);
+  if (entry && entry.promise) return entry.promise;
+  if (entry && entry.expiresAt > now) return entry.value;
+
+  const promise = (async () => {
+    try {
+      const value = await loader();
+      weatherCache.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return value;
+    } catch (err) {
+      console.error('[WEATHER] Error fetching', key, ':', err.message);
+      weatherCache.set(key, { value: null, expiresAt: Date.now() + WEATHER_ERROR_TTL_MS });
+      return null;
+    }
+  })();
+  weatherCache.set(key, { promise });
+  return promise;
+}
+
+async function fetchAviationWeather(endpoint, params) {
+  const resp = await axios.get(`${AVIATIONWEATHER_BASE_URL}/${endpoint}`, {
+    timeout: 10000,
+    params: { format: 'json', ...params },
+    headers: {
+      'User-Agent': 'adsbviewer-node (example@example.com)'
+    }
+  });
+  return Array.isArray(resp.data) ? resp.data : [];
+}
+
+// Nearest station with a current METAR, searched in a widening box
+async function findNearestMetarStation(lat, lon) {
+  const key = `station:${lat.toFixed(2)},${lon.toFixed(2)}`;
+
+  return cachedWeather(key, WEATHER_STATION_TTL_MS, async () => {
+    for (const spanDeg of [1, 3]) {
+      const bbox = [lat - spanDeg, lon - spanDeg, lat + spanDeg, lon + spanDeg]
+        .map((v) => v.toFixed(3))
+        .join(',');
+      const reports = await fetchAviationWeather('metar', { bbox });
+
+      let best = null;
+      for (const r of reports) {
+        const sLat = Number(r.lat);
+        const sLon = Number(r.lon);
+        if (!r.icaoId || !Number.isFinite(sLat) || !Number.isFinite(sLon)) continue;
+        const dist = distanceKm(lat, lon, sLat, sLon);
+        if (!best || dist < best.distanceKm) {
+          best = { station: r.icaoId, name: r.name || null, distanceKm: dist };
+        }
+      }
+      if (best) return best;
+    }
+    return null;
+  });
+}
+
+// Visibility in statute miles; AWC reports e.g. 10, "10+", "1/2", "P6SM"
+function parseVisibilitySm(visib) {
+  if (visib == null || visib === '') return null;
+  if (typeof visib === 'number') return visib;
+  const str = String(visib).replace(/SM$/, '').replace(/^P/, '').replace(/\+$/, '');
+  const mixed = str.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  const frac = str.match(/^M?(\d+)\/(\d+)$/);
+  if (frac) return Number(frac[1]) / Number(frac[2]);
+  const n = Number(str);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Cloud layers from structured AWC fields, falling back to the raw text
+function decodeCloudLayers(report, rawText) {
+  const layers = [];
+
+  if (Array.isArray(report.clouds)) {
+    for (const layer of report.clouds) {
+      if (!layer.cover) continue;
+      const base = layer.base != null ? Number(layer.base) : null;
+      layers.push({ cover: layer.cover, baseFt: Number.isFinite(base) ? base : null });
+    }
+  } else if (Array.isArray(report.skyCondition)) {
+    // legacy format: base in hundreds of feet
+    for (const layer of report.skyCondition) {
+      if (!layer.cover) continue;
+      const baseFt =
+        layer.cloudBaseFtAgl != null
+          ? Number(layer.cloudBaseFtAgl)
+          : layer.base != null
+          ? Number(layer.base) * 100
+          : null;
+      layers.push({ cover: layer.cover, baseFt: Number.isFinite(baseFt) ? baseFt : null });
+    }
+  } else if (rawText) {
+    const re = /\b(FEW|SCT|BKN|OVC|VV)(\d{3}|\/\/\/)(CB|TCU)?\b/g;
+    let m;
+    while ((m = re.exec(rawText))) {
+      const baseFt = m[2] === '///' ? null : Number(m[2]) * 100;
+      layers.push({ cover: m[1] + (m[3] || ''), baseFt });
+    }
+    if (/\b(SKC|CLR|NSC|NCD|CAVOK)\b/.test(rawText) && layers.length === 0) {
+      layers.push({ cover: 'CLR', baseFt: null });
+    }
+  }
+
+  return layers;
+}
+
+// Lowest broken, overcast or vertical-visibility layer
+function ceilingFromLayers(layers) {
+  let ceiling = null;
+  for (const layer of layers) {
+    if (!/^(BKN|OVC|OVX|VV)/.test(layer.cover) || layer.baseFt == null) continue;
+    if (ceiling == null || layer.baseFt < ceiling) ceiling = layer.baseFt;
+  }
+  return ceiling;
+}
+
+// FAA flight category from ceiling (ft AGL) and visibility (SM)
+function flightCategory(ceilingFt, visibilitySm) {
+  const ceil = ceilingFt != null ? ceilingFt : Infinity;
+  const vis = visibilitySm != null ? visibilitySm : Infinity;
+  if (ceil < 500 || vis < 1) return 'LIFR';
+  if (ceil < 1000 || vis < 3) return 'IFR';
+  if (ceil <= 3000 || vis <= 5) return 'MVFR';
+  return 'VFR';
+}
+
+function decodeWind(wdir, wspd, wgst) {
+  if (wspd == null && wdir == null) return null;
+  const variable = wdir === 'VRB';
+  const dir = variable ? null : Number(wdir);
+  return {
+    directionDeg: Number.isFinite(dir) ? dir : null,
+    variable,
+    speedKt: wspd != null ? Number(wspd) : null,
+    gustKt: wgst != null ? Number(wgst) : null
+  };
+}
+
+function epochToIso(value) {
+  if (value == null) return null;
+  const ms = typeof value === 'number' ? value * 1000 : Date.parse(value);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function decodeMetar(report) {
+  const raw = report.rawOb || null;
+  const clouds = decodeCloudLayers(report, raw);
+  const ceilingFt = ceilingFromLayers(clouds);
+  const visibilitySm = parseVisibilitySm(report.visib);
+  const altimHpa = report.altim != null ? Number(report.altim) : null;
+
+  return {
+    station: report.icaoId,
+    name: report.name || null,
+    observedAt: epochToIso(report.obsTime || report.reportTime),
+    raw,
+    wind: decodeWind(report.wdir, report.wspd, report.wgst),
+    visibilitySm,
+    temperatureC: report.temp != null ? Number(report.temp) : null,
+    dewpointC: report.dewp != null ? Number(report.dewp) : null,
+    altimeterHpa: Number.isFinite(altimHpa) ? altimHpa : null,
+    altimeterInHg: Number.isFinite(altimHpa)
+      ? Math.round((altimHpa / 33.8639) * 100) / 100
+      : null,
+    weather: report.wxString || null,
+    clouds,
+    ceilingFt,
+    flightCategory: flightCategory(ceilingFt, visibilitySm)
+  };
+}
+
+function decodeTaf(report) {
+  const periods = (Array.isArray(report.fcsts) ? report.fcsts : []).map((f) => {
+    const clouds = decodeCloudLayers(f, null);
+    const ceilingFt = ceilingFromLayers(clouds);
+    const visibilitySm = parseVisibilitySm(f.visib);
+    return {
+      from: epochToIso(f.timeFrom),
+      to: epochToIso(f.timeTo),
+      change: f.fcstChange || null,
+      probability: f.probability != null ? Number(f.probability) : null,
+      wind: decodeWind(f.wdir, f.wspd, f.wgst),
+      visibilitySm,
+      weather: f.wxString || null,
+      clouds,
+      ceilingFt,
+      flightCategory: flightCategory(ceilingFt, visibilitySm)
+    };
+  });
+
+  return {
+    station: report.icaoId,
+    raw: report.rawTAF || null,
+    issuedAt: epochToIso(report.issueTime),
+    validFrom: epochToIso(report.validTimeFrom),
+    validTo: epochToIso(report.validTimeTo),
+    periods
+  };
+}
+
+async function fetchMetar(station) {
+  return cachedWeather(`metar:${station}`, WEATHER_CACHE_TTL_MS, async () => {
+    const reports = await fetchAviationWeather('metar', { ids: station });
+    return reports.length ? decodeMetar(reports[0]) : null;
+  });
+}
+
+async function fetchTaf(station) {
+  return cachedWeather(`taf:${station}`, TAF_CACHE_TTL_MS, async () => {
+    const reports = await fetchAviationWeather('taf', { ids: station });
+    return reports.length ? decodeTaf(reports[0]) : null;
+  });
+}
+
+// { station, stationName, distanceKm, metar, taf } for a location
+async function getWeatherForLocation(loc, options) {
+  const includeTaf = !options || options.includeTaf !== false;
+  const observer = loc.observer || loc;
+
+  let station = loc.metarStation || null;
+  let stationName = null;
+  let stationDistanceKm = null;
+  if (!station) {
+    const nearest = await findNearestMetarStation(observer.lat, observer.lon);
+    if (nearest) {
+      station = nearest.station;
+      stationName = nearest.name;
+      stationDistanceKm = nearest.distanceKm;
+    }
+  }
+  if (!station) {
+    return { station: null, stationName: null, distanceKm: null, metar: null, taf: null };
+  }
+
+  const [metar, taf] = await Promise.all([
+    fetchMetar(station),
+    includeTaf ? fetchTaf(station) : null
+  ]);
+
+  return {
+    station,
+    stationName: stationName || (metar && metar.name) || null,
+    distanceKm: stationDistanceKm,
+    metar,
+    taf
+  };
+}
+
+// ---------------------------------------------------------------------
+// Combined fetch
+//
+// Page requests and streams record what they see (flight history,
+// phases, tracks, coverage, zone events) and look up missing routes.
+// Background and derived consumers (alerts, boards, exports) pass
+// { record: false }: nothing is written and routes come from cache only.
+// ---------------------------------------------------------------------
+
+// Latest recorded result per location (location's own observer only), for
+// read-only consumers that can use a recent snapshot instead of fetching
+const recordedSnapshots = new Map(); // locationKey -> { at, result }
+
+async function getAircraftForLocationKey(locationKey, radiusKmRaw, observerOverride, options) {
+  const record = !options || options.record !== false;
+  const loc = getLocation(locationKey);
+  if (!loc) {
+    throw new Error(`Unknown location ${locationKey}`);
+  }
+  const observer = resolveObserver(loc, observerOverride);
+
+  let radiusKm = Number(radiusKmRaw);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+    radiusKm = loc.radiusKm || DEFAULT_RADIUS_KM;
+  }
+  if (radiusKm < 1) radiusKm = 1;
+  if (radiusKm > 2000) radiusKm = 2000;
+
+  const radiusNm = Math.round(radiusKm * NM_PER_KM);
+
+  const data = await fetchAircraftRaw(loc, radiusNm);
+  const rawList = data.ac;
+
+  const baseAircraft = rawList.map((ac) => baseFormatAircraft(ac, observer));
+  const aircraft = await enrichAircraftWithRoutes(baseAircraft, !record);
+
+  const weather = await getWeatherForLocation(loc, { includeTaf: false });
+  const cloudCeilingFt = weather.metar ? weather.metar.ceilingFt : null;
+
+  const sky = computeSkyTracks(observer, Date.now());
+  for (const ac of aircraft) {
+    addSpotterVisibility(ac, observer, cloudCeilingFt);
+    addPassPrediction(ac, observer);
+    addTransitPredictions(ac, observer, sky);
+  }
+
+  if (record) {
+    const historyContext = {
+      locationKey,
+      locationName: loc.name,
+      radiusKm
+    };
+    logFlightHistory(aircraft, historyContext);
+    updateFlightPhases(aircraft, historyContext);
+    recordTrackPoints(aircraft);
+    if (data.receiverAc) updateCoverage(locationKey, loc, data.source, data.receiverAc);
+    updateZoneOccupancy(locationKey, aircraft);
+  } else {
+    annotateFlightPhases(aircraft);
+  }
+
+  const result = {
+    locationKey,
+    location: loc.name,
+    centerLat: loc.lat,
+    centerLon: loc.lon,
+    observer,
+    radiusKm,
+    source: data.source,
+    metarStation: weather.station,
+    flightCategory: weather.metar ? weather.metar.flightCategory : null,
+    cloudCeilingFt,
+    sky: skySummary(sky),
+    aircraft
+  };
+  if (record && !observerOverride) {
+    recordedSnapshots.set(locationKey, { at: Date.now(), result });
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------
+// Airport arrivals / departures boards
+//
+// Aircraft are matched to an airport from their route (origin /
+// destination) and from what they're doing near it: height above the
+// field, climb or descent, and whether the track points at or away from
+// the airport. Each piece of evidence scores a point (a route match two);
+// three points put an aircraft on the board.
+// ---------------------------------------------------------------------
+
+// Reuse one aircraft fetch for all boards of a location for this long
+const BOARD_SNAPSHOT_TTL_MS = STREAM_INTERVAL_MS;
+// Without route data, only aircraft this close are considered
+const BOARD_TRACK_ONLY_MAX_KM = 60;
+// Ground proximity for the "on ground" list
+const BOARD_ON_GROUND_KM = 5;
+// Height above the field that still counts as "low" near an airport:
+// BOARD_LOW_BASE_FT plus a generous approach gradient per km out
+const BOARD_LOW_BASE_FT = 2000;
+const BOARD_LOW_FT_PER_KM = 300;
+const BOARD_VS_THRESHOLD_FPM = 300;
+
+const boardSnapshots = new Map(); // 'location|radiusKm' -> { at, promise }
+
+function getBoardSnapshot(locationKey, radiusKm) {
+  const key = `${locationKey}|${radiusKm || ''}`;
+  const cached = boardSnapshots.get(key);
+  if (cached && Date.now() - cached.at < BOARD_SNAPSHOT_TTL_MS) {
+    return cached.promise;
+  }
+
+  const promise = getAircraftForLocationKey(locationKey, radiusKm, null, { record: false });
+  boardSnapshots.set(key, { at: Date.now(), promise });
+  promise.catch(() => boardSnapshots.delete(key));
+  return promise;
+}
+
+function classifyForAirport(ac, airport) {
+  if (ac.lat == null || ac.lon == null) return null;
+
+  const distKm = distanceKm(ac.lat, ac.lon, airport.lat, airport.lon);
+  const heightAglFt =
+    ac.altitudeFt != null ? ac.altitudeFt - (airport.elevationFt || 0) : null;
+  const vs = ac.verticalRateFpm;
+
+  if (ac.onGround) {
+    return distKm <= BOARD_ON_GROUND_KM
+      ? { kind: 'onGround', distKm, heightAglFt: 0, reasons: ['on ground'] }
+      : null;
+  }
+
+  const routeArrival = ac.destinationIcao === airport.icao && ac.routePlausible !== false;
+  const routeDeparture = ac.originIcao === airport.icao && ac.routePlausible !== false;
+  if (!routeArrival && !routeDeparture && distKm > BOARD_TRACK_ONLY_MAX_KM) {
+    return null;
+  }
+
+  let arrival = 0;
+  let departure = 0;
+  const arrivalReasons = [];
+  const departureReasons = [];
+
+  if (routeArrival) {
+    arrival += 2;
+    arrivalReasons.push('route');
+  }
+  if (routeDeparture) {
+    departure += 2;
+    departureReasons.push('route');
+  }
+
+  if (vs != null && vs <= -BOARD_VS_THRESHOLD_FPM) {
+    arrival++;
+    arrivalReasons.push('descending');
+  } else if (vs != null && vs >= BOARD_VS_THRESHOLD_FPM) {
+    departure++;
+    departureReasons.push('climbing');
+  }
+
+  if (ac.headingDeg != null && distKm > 1) {
+    const toAirport = bearingDegrees(ac.lat, ac.lon, airport.lat, airport.lon);
+    const off = angleDiffDeg(ac.headingDeg, toAirport);
+    if (off <= 45) {
+      arrival++;
+      arrivalReasons.push('heading in');
+    } else if (off >= 135) {
+      departure++;
+      departureReasons.push('heading away');
+    }
+  }
+
+  if (
+    heightAglFt != null &&
+    heightAglFt <= BOARD_LOW_BASE_FT + distKm * BOARD_LOW_FT_PER_KM
+  ) {
+    arrival++;
+    departure++;
+    arrivalReasons.push('low');
+    departureReasons.push('low');
+  }
+
+  if (arrival >= 3 && arrival > departure) {
+    return { kind: 'arrival', distKm, heightAglFt, reasons: arrivalReasons };
+  }
+  if (departure >= 3 && departure > arrival) {
+    return { kind: 'departure', distKm, heightAglFt, reasons: departureReasons };
+  }
+  return null;
+}
+
+function boardStatus(kind, distKm, heightAglFt) {
+  if (kind === 'onGround') return 'On ground';
+  if (kind === 'arrival') {
+    if (distKm < 15 && heightAglFt != null && heightAglFt < 3000) return 'Final';
+    if (heightAglFt != null && heightAglFt < 10000) return 'Approach';
+    return 'Inbound';
+  }
+  return distKm < 15 ? 'Departing' : 'Climbing out';
+}
+
+function boardEntry(ac, match, now) {
+  const distKm = Math.round(match.distKm * 10) / 10;
+  const entry = {
+    callsign: ac.callsign,
+    icao24: ac.icao24,
+    airline: ac.airline,
+    model: ac.model,
+    registration: ac.registration,
+    originIcao: ac.originIcao,
+    originIata: ac.originIata,
+    originDisplay: ac.originDisplay,
+    destinationIcao: ac.destinationIcao,
+    destinationIata: ac.destinationIata,
+    destinationDisplay: ac.destinationDisplay,
+    altitudeFt: ac.altitudeFt,
+    heightAglFt: match.heightAglFt,
+    verticalRateFpm: ac.verticalRateFpm,
+    speedKt: ac.speedKt,
+    distanceKm: distKm,
+    status: boardStatus(match.kind, match.distKm, match.heightAglFt),
+    basis: match.reasons,
+    etaMin: null,
+    eta: null
+  };
+
+  // Straight-line time to the field at current groundspeed
+  if (match.kind === 'arrival' && ac.speedKt > 30) {
+    const minutes = (match.distKm / (ac.speedKt * 1.852)) * 60;
+    entry.etaMin = Math.round(minutes);
+    entry.eta = new Date(now + minutes * 60000).toISOString();
+  }
+
+  return entry;
+}
+
+async function getAirportBoard(icao, locationKey, radiusKm) {
+  const airport = getAirport(icao);
+  if (!airport) return null;
+
+  const snapshot = await getBoardSnapshot(locationKey, radiusKm);
+  const now = Date.now();
+  const arrivals = [];
+  const departures = [];
+  const onGround = [];
+
+  for (const ac of snapshot.aircraft) {
+    const match = classifyForAirport(ac, airport);
+    if (!match) continue;
+    const entry = boardEntry(ac, match, now);
+    if (match.kind === 'arrival') arrivals.push(entry);
+    else if (match.kind === 'departure') departures.push(entry);
+    else onGround.push(entry);
+  }
+
+  arrivals.sort(
+    (a, b) => (a.etaMin != null ? a.etaMin : Infinity) - (b.etaMin != null ? b.etaMin : Infinity)
+  );
+  departures.sort((a, b) => a.distanceKm - b.distanceKm);
+  onGround.sort((a, b) => a.distanceKm - b.distanceKm);
+
+  return {
+    airport,
+    locationKey: snapshot.locationKey,
+    radiusKm: snapshot.radiusKm,
+    distanceFromCenterKm:
+      Math.round(distanceKm(snapshot.centerLat, snapshot.centerLon, airport.lat, airport.lon) * 10) / 10,
+    generatedAt: new Date(now).toISOString(),
+    arrivals,
+    departures,
+    onGround
+  };
+}
+
+// ---------------------------------------------------------------------
+// Live update stream (Server-Sent Events)
+//
+// Clients subscribed to the same location + radius share one channel.
+// A channel polls getAircraftForLocationKey while it has clients and
+// pushes a full `snapshot` on subscribe, then `diff` events with the
+// added, updated and removed aircraft.
+// ---------------------------------------------------------------------
+
+const streamChannels = new Map(); // 'location|radiusKm|observer' -> channel
+
+function getAircraftStreamKey(ac) {
+  return ac.icao24 || ac.callsign || null;
+}
+
+function splitSnapshotMeta(result) {
+  const { aircraft, ...meta } = result;
+  return meta;
+}
+
+function diffAircraftSnapshots(prevByKey, aircraft) {
+  const nextByKey = new Map();
+  const added = [];
+  const updated = [];
+
+  for (const ac of aircraft) {
+    const key = getAircraftStreamKey(ac);
+    if (!key) continue;
+    const json = JSON.stringify(ac);
+    nextByKey.set(key, json);
+
+    const prevJson = prevByKey.get(key);
+    if (prevJson == null) added.push(ac);
+    else if (prevJson !== json) updated.push(ac);
+  }
+
+  const removed = [];
+  for (const key of prevByKey.keys()) {
+    if (!nextByKey.has(key)) removed.push(key);
+  }
+
+  return { nextByKey, added, updated, removed };
+}
+
+function sendStreamEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function pollStreamChannel(channel) {
+  channel.timer = null;
+  if (channel.clients.size === 0) return;
+  channel.polling = true;
+
+  try {
+    const result = await getAircraftForLocationKey(
+      channel.locationKey,
+      channel.radiusKm,
+      channel.observer
+    );
+    const meta = splitSnapshotMeta(result);
+    const diff = diffAircraftSnapshots(channel.lastByKey, result.aircraft);
+    channel.lastByKey = diff.nextByKey;
+    channel.lastResult = result;
+
+    for (const res of channel.clients) {
+      if (!channel.primed.has(res)) {
+        sendStreamEvent(res, 'snapshot', result);
+        channel.primed.add(res);
+      } else if (diff.added.length || diff.updated.length || diff.removed.length) {
+        sendStreamEvent(res, 'diff', {
+          meta,
+          added: diff.added,
+          updated: diff.updated,
+          removed: diff.removed
+        });
+      } else {
+        res.write(': no change\n\n'); // keeps proxies from timing out
+      }
+    }
+  } catch (err) {
+    console.error('[STREAM] Poll failed for', channel.key, ':', err.message);
+    for (const res of channel.clients) {
+      // Not 'error': EventSource treats that name as a transport failure
+      sendStreamEvent(res, 'upstream-error', { message: 'Upstream fetch failed' });
+    }
+  }
+  channel.polling = false;
+
+  if (channel.clients.size > 0) {
+    channel.timer = setTimeout(() => pollStreamChannel(channel), STREAM_INTERVAL_MS);
+  } else {
+    streamChannels.delete(channel.key);
+  }
+}
+
+function subscribeAircraftStream(locationKey, radiusKm, observer, res) {
+  const obsKey = observer ? `${observer.lat},${observer.lon},${observer.altM}` : '';
+  const key = `${locationKey}|${radiusKm || ''}|${obsKey}`;
+  let channel = streamChannels.get(key);
+
+  if (!channel) {
+    channel = {
+      key,
+      locationKey,
+      radiusKm,
+      observer,
+      clients: new Set(),
+      primed: new WeakSet(),
+      lastByKey: new Map(),
+      lastResult: null,
+      timer: null,
+      polling: false
+    };
+    streamChannels.set(key, channel);
+  }
+
+  channel.clients.add(res);
+
+  if (channel.lastResult) {
+    sendStreamEvent(res, 'snapshot', channel.lastResult);
+    channel.primed.add(res);
+  }
+  if (!channel.timer && !channel.polling) {
+    pollStreamChannel(channel);
+  }
+
+  return () => {
+    channel.clients.delete(res);
+    if (channel.clients.size === 0 && channel.timer) {
+      clearTimeout(channel.timer);
+      streamChannels.delete(key);
+    }
+  };
+}
+
+// ---------------------------------------------------------------------
+// Watchlist & alerts
+//
+// Watch rules live in WATCH_RULES_FILE. A background loop checks every
+// location that has enabled rules (using a page's recent snapshot, or a
+// read-only fetch) and raises an alert when a matching aircraft enters
+// the location's radius. Alerts are appended to
+// ALERTS_FILE, pushed to /api/alerts/stream subscribers (browser
+// notifications) and POSTed to the rule's or the global webhook.
+// ---------------------------------------------------------------------
+
+const WATCH_RULES_FILE = path.join(STORAGE_DIR, 'watch-rules.json');
+const ALERTS_FILE = path.join(STORAGE_DIR, 'alerts.ndjson');
+const RECENT_ALERTS_MAX = 1000;
+const EMERGENCY_SQUAWKS = ['7500', '7600', '7700'];
+// Callsigns are at most 8 characters; longer patterns only cost match time
+const CALLSIGN_PATTERN_MAX_LENGTH = 16;
+
+let watchRules = []; // [{ id, name, enabled, locationKey, match, ... }]
+let recentAlerts = []; // newest last
+const alertStreamClients = new Set();
+const watchMatchState = new Map(); // 'ruleId|locationKey' -> Set of aircraft keys
+const alertCooldowns = new Map(); // 'ruleId|aircraftKey' -> last alert ms
+
+function loadWatchRules() {
+  try {
+    const data = JSON.parse(fs.readFileSync(WATCH_RULES_FILE, 'utf8'));
+    watchRules = Array.isArray(data) ? data.map(withCompiledPattern) : [];
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[ALERTS] Failed to read watch rules:', err.message);
+    }
+    watchRules = [];
+  }
+}
+
+function saveWatchRules() {
+  writeJsonFileAtomic(WATCH_RULES_FILE, watchRules);
+}
+
+function loadRecentAlerts() {
+  let text = '';
+  try {
+    text = fs.readFileSync(ALERTS_FILE, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[ALERTS] Failed to read alert log:', err.message);
+    }
+    return;
+  }
+
+  const lines = text.split('\n').filter((l) => l.trim());
+  recentAlerts = [];
+  for (const line of lines.slice(-RECENT_ALERTS_MAX)) {
+    try {
+      recentAlerts.push(JSON.parse(line));
+    } catch (err) {
+      // skip torn line
+    }
+  }
+
+  // Restore cooldowns so a restart does not re-fire recent alerts
+  for (const alert of recentAlerts) {
+    const key = `${alert.ruleId}|${alert.aircraftKey}`;
+    const at = Date.parse(alert.at);
+    if (!(alertCooldowns.get(key) >= at)) alertCooldowns.set(key, at);
+  }
+}
+
+// Letters and digits with '*' and '?' wildcards; case-insensitive. Throws
+// on anything else, so user input never reaches RegExp unescaped.
+function compileCallsignPattern(pattern) {
+  if (pattern.length > CALLSIGN_PATTERN_MAX_LENGTH) {
+    throw new Error(`at most ${CALLSIGN_PATTERN_MAX_LENGTH} characters`);
+  }
+  if (!/^[A-Z0-9*?]+$/i.test(pattern)) {
+    throw new Error("only letters, digits, '*' and '?'");
+  }
+  const source = pattern.replace(/\*+/g, '.*').replace(/\?/g, '.');
+  return new RegExp('^' + source + '$', 'i');
+}
+
+// Attaches the compiled callsign pattern as a non-enumerable property, so
+// it is built once per save/load and never written to WATCH_RULES_FILE.
+// A stored pattern that no longer compiles leaves the rule matching nothing.
+function withCompiledPattern(rule) {
+  let callsignRe = null;
+  if (rule.match && rule.match.callsign != null) {
+    try {
+      callsignRe = compileCallsignPattern(rule.match.callsign);
+    } catch (err) {
+      console.error(`[ALERTS] Rule ${rule.id} callsign pattern ignored:`, err.message);
+    }
+  }
+  Object.defineProperty(rule, 'callsignRe', { value: callsignRe, configurable: true });
+  return rule;
+}
+
+const WATCH_MATCH_FIELDS = [
+  'callsign',
+  'icao24',
+  'aircraftType',
+  'airline',
+  'altitudeBelowFt',
+  'passWithinKm',
+  'emergency',
+  'origin',
+  'destination'
+];
+
+// Validates a rule (after merging a PUT over the stored one).
+// Returns { rule } or { error }.
+function validateWatchRuleInput(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Rule body must be a JSON object' };
+  }
+
+  const matchIn = input.match || {};
+  const match = {};
+  for (const field of WATCH_MATCH_FIELDS) {
+    const value = matchIn[field];
+    if (value == null || value === '' || value === false) continue;
+    match[field] = value;
+  }
+  if (Object.keys(match).length === 0) {
+    return { error: 'match needs at least one criterion' };
+  }
+
+  if (match.callsign != null) {
+    match.callsign = String(match.callsign).trim();
+    try {
+      compileCallsignPattern(match.callsign);
+    } catch (err) {
+      return { error: `match.callsign: ${err.message}` };
+    }
+  }
+  if (match.icao24 != null) {
+    const hexes = String(match.icao24)
+      .split(/[\s,]+/)
+      .map((h) => h.toLowerCase())
+      .filter(Boolean);
+    if (!hexes.every((h) => /^~?[0-9a-f]{6}$/.test(h))) {
+      return { error: 'match.icao24 must be 6-digit hex codes' };
+    }
+    match.icao24 = hexes;
+  }
+  if (match.altitudeBelowFt != null) {
+    match.altitudeBelowFt = Number(match.altitudeBelowFt);
+    if (!Number.isFinite(match.altitudeBelowFt)) {
+      return { error: 'match.altitudeBelowFt must be a number' };
+    }
+  }
+  if (match.passWithinKm != null) {
+    match.passWithinKm = Number(match.passWithinKm);
+    if (!Number.isFinite(match.passWithinKm) || match.passWithinKm <= 0) {
+      return { error: 'match.passWithinKm must be a positive number' };
+    }
+  }
+  // false was dropped above; anything else but true is a mistake
+  if (match.emergency != null && match.emergency !== true) {
+    return { error: 'match.emergency must be a boolean' };
+  }
+  for (const field of ['aircraftType', 'airline', 'origin', 'destination']) {
+    if (match[field] != null) match[field] = String(match[field]).trim().toUpperCase();
+  }
+
+  const locationKey = optionalString(input.locationKey);
+  if (locationKey && !getLocation(locationKey)) {
+    return { error: 'locationKey does not name a location' };
+  }
+
+  const cooldownMin = input.cooldownMin != null ? Number(input.cooldownMin) : 30;
+  if (!Number.isFinite(cooldownMin) || cooldownMin < 0) {
+    return { error: 'cooldownMin must be a non-negative number' };
+  }
+
+  const webhookUrl = optionalString(input.webhookUrl);
+  if (webhookUrl && !/^https?:\/\//i.test(webhookUrl)) {
+    return { error: 'webhookUrl must be an http(s) URL' };
+  }
+
+  return {
+    rule: {
+      name: optionalString(input.name) || 'Unnamed rule',
+      enabled: input.enabled !== false,
+      locationKey,
+      match,
+      cooldownMin,
+      webhookUrl
+    }
+  };
+}
+
+function nextWatchRuleId() {
+  const ids = watchRules.map((r) => Number(r.id)).filter(Number.isInteger);
+  return String(ids.length ? Math.max(...ids) + 1 : 1);
+}
+
+// Returns a reason string when the aircraft matches every criterion
+function matchWatchRule(rule, ac) {
+  const m = rule.match;
+  const reasons = [];
+
+  if (m.callsign != null) {
+    if (!ac.callsign || !rule.callsignRe || !rule.callsignRe.test(ac.callsign)) return null;
+    reasons.push(`callsign ${ac.callsign}`);
+  }
+  if (m.icao24 != null) {
+    if (!m.icao24.includes((ac.icao24 || '').toLowerCase())) return null;
+    reasons.push(`hex ${ac.icao24}`);
+  }
+  if (m.aircraftType != null) {
+    const type = (ac.typeCode || ac.model || '').toUpperCase();
+    if (!type.includes(m.aircraftType)) return null;
+    reasons.push(`type ${m.aircraftType}`);
+  }
+  if (m.airline != null) {
+    const airline = (ac.airline || '').toUpperCase();
+    const prefix = (ac.callsign || '').slice(0, 3).toUpperCase();
+    if (!airline.includes(m.airline) && prefix !== m.airline) return null;
+    reasons.push(`airline ${ac.airline || prefix}`);
+  }
+  if (m.altitudeBelowFt != null) {
+    if (ac.altitudeFt == null || ac.altitudeFt >= m.altitudeBelowFt) return null;
+    reasons.push(`altitude ${Math.round(ac.altitudeFt)} ft`);
+  }
+  if (m.passWithinKm != null) {
+    if (!ac.pass || ac.pass.cpaKm > m.passWithinKm) return null;
+    reasons.push(
+      `passing ${ac.pass.cpaKm} km ${ac.pass.lookDirection} in ${Math.ceil(
+        ac.pass.timeToCpaSec / 60
+      )} min`
+    );
+  }
+  if (m.emergency) {
+    if (!EMERGENCY_SQUAWKS.includes(ac.squawk)) return null;
+    reasons.push(`squawk ${ac.squawk}`);
+  }
+  if (m.origin != null) {
+    if (ac.originIcao !== m.origin) return null;
+    reasons.push(`from ${m.origin}`);
+  }
+  if (m.destination != null) {
+    if (ac.destinationIcao !== m.destination) return null;
+    reasons.push(`to ${m.destination}`);
+  }
+
+  return reasons.join(', ');
+}
+
+function alertAircraftSummary(ac) {
+  return {
+    callsign: ac.callsign || null,
+    icao24: ac.icao24 || null,
+    typeCode: ac.typeCode || null,
+    model: ac.model || null,
+    airline: ac.airline || null,
+    altitudeFt: ac.altitudeFt,
+    squawk: ac.squawk || null,
+    lat: ac.lat,
+    lon: ac.lon,
+    distanceKm: ac.distanceKm,
+    bearingDeg: ac.bearingDeg,
+    originIcao: ac.originIcao,
+    destinationIcao: ac.destinationIcao
+  };
+}
+
+async function deliverAlertWebhook(url, alert) {
+  try {
+    await axios.post(url, alert, { timeout: 5000 });
+  } catch (err) {
+    console.error('[ALERTS] Webhook to', url, 'failed:', err.message);
+  }
+}
+
+function raiseAlert(rule, ac, reason, context) {
+  const aircraftKey = getFlightKey(ac) || ac.icao24;
+  const alert = {
+    id: `${Date.now().toString(36)}-${rule.id}`,
+    at: new Date().toISOString(),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    aircraftKey,
+    reason,
+    locationKey: context.locationKey,
+    locationName: context.locationName,
+    aircraft: alertAircraftSummary(ac)
+  };
+
+  recentAlerts.push(alert);
+  if (recentAlerts.length > RECENT_ALERTS_MAX) recentAlerts.shift();
+
+  try {
+    fs.mkdirSync(path.dirname(ALERTS_FILE), { recursive: true });
+    fs.appendFileSync(ALERTS_FILE, JSON.stringify(alert) + '\n');
+  } catch (err) {
+    console.error('[ALERTS] Failed to append alert log:', err.message);
+  }
+
+  for (const res of alertStreamClients) {
+    sendStreamEvent(res, 'alert', alert);
+  }
+
+  const webhookUrl = rule.webhookUrl || ALERT_WEBHOOK_URL;
+  if (webhookUrl) deliverAlertWebhook(webhookUrl, alert);
+
+  console.log(`[ALERTS] ${rule.name}: ${aircraftKey} (${reason})`);
+}
+
+// Alerts on aircraft that newly match a rule at a location, subject to
+// the rule's per-aircraft cooldown.
+function evaluateWatchRules(rules, result) {
+  const now = Date.now();
+  const context = { locationKey: result.locationKey, locationName: result.location };
+
+  for (const rule of rules) {
+    const stateKey = `${rule.id}|${result.locationKey}`;
+    const previous = watchMatchState.get(stateKey) || new Set();
+    const current = new Set();
+
+    for (const ac of result.aircraft) {
+      const aircraftKey = getFlightKey(ac) || ac.icao24;
+      if (!aircraftKey) continue;
+      const reason = matchWatchRule(rule, ac);
+      if (!reason) continue;
+
+      current.add(aircraftKey);
+      if (previous.has(aircraftKey)) continue; // still inside, already handled
+
+      const cooldownKey = `${rule.id}|${aircraftKey}`;
+      const lastAt = alertCooldowns.get(cooldownKey);
+      if (lastAt != null && now - lastAt < rule.cooldownMin * 60000) continue;
+
+      alertCooldowns.set(cooldownKey, now);
+      raiseAlert(rule, ac, reason, context);
+    }
+
+    watchMatchState.set(stateKey, current);
+  }
+}
+
+// Drops match state for rules/locations no longer evaluated and cooldowns
+// that have expired or whose rule is gone, so neither map grows with
+// every aircraft and rule ever seen.
+function pruneWatchState(rulesByLocation, now) {
+  const activeStateKeys = new Set();
+  for (const [locationKey, rules] of rulesByLocation) {
+    for (const rule of rules) activeStateKeys.add(`${rule.id}|${locationKey}`);
+  }
+  for (const stateKey of watchMatchState.keys()) {
+    if (!activeStateKeys.has(stateKey)) watchMatchState.delete(stateKey);
+  }
+
+  const rulesById = new Map(watchRules.map((r) => [r.id, r]));
+  for (const [cooldownKey, lastAt] of alertCooldowns) {
+    const rule = rulesById.get(cooldownKey.slice(0, cooldownKey.indexOf('|')));
+    if (!rule || now - lastAt >= rule.cooldownMin * 60000) {
+      alertCooldowns.delete(cooldownKey);
+    }
+  }
+}
+
+// The location's aircraft for rule evaluation: a page or stream's recent
+// snapshot when one covers the location's radius, else a read-only fetch
+async function getAlertSnapshot(locationKey) {
+  const loc = getLocation(locationKey);
+  const radiusKm = loc.radiusKm || DEFAULT_RADIUS_KM;
+  const recent = recordedSnapshots.get(locationKey);
+  if (
+    recent &&
+    Date.now() - recent.at < ALERT_EVAL_INTERVAL_MS &&
+    recent.result.radiusKm >= radiusKm
+  ) {
+    const aircraft = recent.result.aircraft.filter(
+      (ac) => ac.lat != null && distanceKm(loc.lat, loc.lon, ac.lat, ac.lon) <= radiusKm
+    );
+    return { ...recent.result, aircraft };
+  }
+  return getAircraftForLocationKey(locationKey, null, null, { record: false });
+}
+
+let alertLoopRunning = false;
+
+async function runAlertEvaluation() {
+  if (alertLoopRunning) return;
+  alertLoopRunning = true;
+
+  try {
+    const enabled = watchRules.filter((r) => r.enabled);
+    const rulesByLocation = new Map();
+    for (const rule of enabled) {
+      const keys = rule.locationKey ? [rule.locationKey] : Object.keys(LOCATIONS);
+      for (const key of keys) {
+        if (!getLocation(key)) continue;
+        if (!rulesByLocation.has(key)) rulesByLocation.set(key, []);
+        rulesByLocation.get(key).push(rule);
+      }
+    }
+
+    for (const [locationKey, rules] of rulesByLocation) {
+      try {
+        evaluateWatchRules(rules, await getAlertSnapshot(locationKey));
+      } catch (err) {
+        console.error('[ALERTS] Evaluation failed for', locationKey, ':', err.message);
+      }
+    }
+    pruneWatchState(rulesByLocation, Date.now());
+  } finally {
+    alertLoopRunning = false;
+  }
+}
+
+function startAlertLoop() {
+  loadWatchRules();
+  loadRecentAlerts();
+  setInterval(runAlertEvaluation, ALERT_EVAL_INTERVAL_MS).unref();
+
+  // Alert streams can stay silent for hours; keep proxies from closing them
+  setInterval(() => {
+    for (const res of alertStreamClients) res.write(': keepalive\n\n');
+  }, 30000).unref();
+}
+
+// ---------------------------------------------------------------------
+// Geofence zones
+//
+// Zones are polygons with an optional altitude floor and ceiling (ft,
+// inclusive; null = open). They come from two places: user zones in
+// ZONES_FILE, edited through /api/zones, and the features of each
+// location's airspace GeoJSON (its `airspaceFile`, resolved under
+// public/), which are read-only here and reloaded when the file changes.
+// Every aircraft fetch tags each aircraft with the zones it is inside and
+// appends enter/exit events to NDJSON day files under ZONE_EVENTS_DIR. An
+// aircraft not reported for ZONE_LOST_AFTER_MS is logged as having left.
+// ---------------------------------------------------------------------
+
+const ZONES_FILE = path.join(STORAGE_DIR, 'zones.json');
+const ZONE_EVENTS_DIR = path.join(STORAGE_DIR, 'zone-events');
+const ZONE_EVENT_RETENTION_DAYS = Number(process.env.ZONE_EVENT_RETENTION_DAYS) || 90;
+const ZONE_LOST_AFTER_MS = 2 * 60 * 1000;
+const ZONE_EVENTS_DEFAULT_MS = 7 * 24 * 60 * 60 * 1000;
+const ZONE_EVENTS_LIMIT = 5000;
+// Property names tried, in order, for the limits of airspace features
+const AIRSPACE_FLOOR_PROPS = ['floorFt', 'floor', 'lowerLimit', 'lower'];
+const AIRSPACE_CEILING_PROPS = ['ceilingFt', 'ceiling', 'upperLimit', 'upper'];
+
+let userZones = []; // [{ id, name, enabled, locationKey, floorFt, ceilingFt, geometry }]
+const airspaceZoneCache = new Map(); // file path -> { mtimeMs, zones }
+const zoneOccupancy = new Map(); // zone id -> Map(aircraftKey -> { enteredAt, lastSeen })
+let currentZoneEventDate = null;
+
+function loadZones() {
+  try {
+    const data = JSON.parse(fs.readFileSync(ZONES_FILE, 'utf8'));
+    userZones = Array.isArray(data) ? data.map(withCompiledGeometry) : [];
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[ZONES] Failed to read zones:', err.message);
+    }
+    userZones = [];
+  }
+}
+
+function saveZones() {
+  writeJsonFileAtomic(ZONES_FILE, userZones);
+}
+
+function nextZoneId() {
+  const ids = userZones.map((z) => Number(z.id)).filter(Number.isInteger);
+  return String(ids.length ? Math.max(...ids) + 1 : 1);
+}
+
+// Polygon / MultiPolygon geometry -> array of polygons, each an array of
+// closed [lon, lat] rings (outer ring first, then holes). Null if invalid.
+function geometryPolygons(geometry) {
+  if (!geometry || typeof geometry !== 'object') return null;
+  let polygons;
+  if (geometry.type === 'Polygon') polygons = [geometry.coordinates];
+  else if (geometry.type === 'MultiPolygon') polygons = geometry.coordinates;
+  else return null;
+  if (!Array.isArray(polygons) || polygons.length === 0) return null;
+
+  const result = [];
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) return null;
+    const clean = [];
+    for (const ring of rings) {
+      if (!Array.isArray(ring)) return null;
+      const points = ring.map((p) => (Array.isArray(p) ? [Number(p[0]), Number(p[1])] : null));
+      const valid = points.every(
+        (p) =>
+          p && Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+          Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90
+      );
+      if (!valid) return null;
+      const first = points[0];
+      const last = points[points.length - 1];
+      if (first && (first[0] !== last[0] || first[1] !== last[1])) points.push(first);
+      if (points.length < 4) return null;
+      clean.push(points);
+    }
+    result.push(clean);
+  }
+  return result;
+}
+
+// Even-odd ray casting on one ring, treating lon/lat as planar
+function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInPolygons(lon, lat, polygons) {
+  return polygons.some(
+    ([outer, ...holes]) =>
+      pointInRing(lon, lat, outer) && !holes.some((hole) => pointInRing(lon, lat, hole))
+  );
+}
+
+// Geometry -> zone fields used for the checks: polygons and bounding box
+function compileZoneGeometry(geometry) {
+  const polygons = geometryPolygons(geometry);
+  if (!polygons) return null;
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [outer] of polygons) {
+    for (const [lon, lat] of outer) {
+      bbox[0] = Math.min(bbox[0], lon);
+      bbox[1] = Math.min(bbox[1], lat);
+      bbox[2] = Math.max(bbox[2], lon);
+      bbox[3] = Math.max(bbox[3], lat);
+    }
+  }
+  return { polygons, bbox };
+}
+
+// Caches the polygons and bbox on the zone for aircraftInZone, so fetches
+// don't re-parse user geometry. Non-enumerable: stays out of ZONES_FILE.
+function withCompiledGeometry(zone) {
+  Object.defineProperty(zone, 'compiled', {
+    value: compileZoneGeometry(zone.geometry),
+    configurable: true
+  });
+  return zone;
+}
+
+// Airspace limit -> feet, or null for open/unknown. Accepts numbers (ft),
+// "SFC"/"GND", "UNL", "FL95", "2500 ft", "800 m" and OpenAIP-style
+// { value, unit } objects (unit 'FL'/6, 'M'/0, otherwise feet).
+function parseAirspaceLimitFt(value) {
+  if (value == null) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'object') {
+    const v = Number(value.value);
+    if (!Number.isFinite(v)) return null;
+    const unit = String(value.unit).toUpperCase();
+    if (unit === 'FL' || unit === '6') return v * 100;
+    if (unit === 'M' || unit === '0') return Math.round(v * M_TO_FT);
+    return v;
+  }
+
+  const str = String(value).trim().toUpperCase();
+  if (/^(SFC|GND|SURFACE)$/.test(str)) return 0;
+  if (/^(UNL|UNLIM|UNLIMITED)$/.test(str)) return null;
+  let m = str.match(/^FL\s*(\d+)$/);
+  if (m) return Number(m[1]) * 100;
+  m = str.match(/^(\d+(?:\.\d+)?)\s*(FT|M)?\b/);
+  if (!m) return null;
+  return m[2] === 'M' ? Math.round(Number(m[1]) * M_TO_FT) : Number(m[1]);
+}
+
+function firstProp(props, names) {
+  for (const name of names) {
+    if (props[name] != null) return props[name];
+  }
+  return null;
+}
+
+// A location's airspaceFile as a path under public/, or null when it is
+// not a local file
+function resolveAirspacePath(airspaceFile) {
+  if (!airspaceFile || /^[a-z]+:\/\//i.test(airspaceFile)) return null;
+  const publicDir = path.join(__dirname, 'public');
+  const filePath = path.join(publicDir, path.normalize('/' + airspaceFile));
+  return filePath.startsWith(publicDir + path.sep) ? filePath : null;
+}
+
+// Read-only zones from a location's airspace GeoJSON, ids
+// 'airspace-<location>-<feature index>'
+function getAirspaceZones(locationKey) {
+  const loc = getLocation(locationKey);
+  const filePath = loc && resolveAirspacePath(loc.airspaceFile);
+  if (!filePath) return [];
+
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[ZONES] Failed to read', filePath, ':', err.message);
+    }
+    return [];
+  }
+
+  const cached = airspaceZoneCache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.zones.map((z) => ({ ...z, id: `airspace-${locationKey}-${z.index}`, locationKey }));
+  }
+
+  const zones = [];
+  try {
+    const geojson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const features =
+      geojson.type === 'FeatureCollection' ? geojson.features || [] : [geojson];
+    features.forEach((feature, index) => {
+      const compiled = feature && compileZoneGeometry(feature.geometry);
+      if (!compiled) return;
+      const props = feature.properties || {};
+      zones.push({
+        index,
+        name: optionalString(props.name) || optionalString(props.id) || `Airspace ${index + 1}`,
+        source: 'airspace',
+        floorFt: parseAirspaceLimitFt(firstProp(props, AIRSPACE_FLOOR_PROPS)),
+        ceilingFt: parseAirspaceLimitFt(firstProp(props, AIRSPACE_CEILING_PROPS)),
+        geometry: feature.geometry,
+        ...compiled
+      });
+    });
+  } catch (err) {
+    console.error('[ZONES] Failed to parse', filePath, ':', err.message);
+  }
+
+  airspaceZoneCache.set(filePath, { mtimeMs, zones });
+  return zones.map((z) => ({ ...z, id: `airspace-${locationKey}-${z.index}`, locationKey }));
+}
+
+// Enabled user zones for the location (or for every location) plus the
+// location's airspace zones
+function getZonesForLocation(locationKey) {
+  const zones = [];
+  for (const zone of userZones) {
+    if (!zone.enabled) continue;
+    if (zone.locationKey && zone.locationKey !== locationKey) continue;
+    if (zone.compiled) zones.push({ ...zone, source: 'user', ...zone.compiled });
+  }
+  return zones.concat(getAirspaceZones(locationKey));
+}
+
+function findZone(id) {
+  const user = userZones.find((z) => z.id === id);
+  if (user) return { ...user, source: 'user' };
+  const m = String(id).match(/^airspace-(.+)-(\d+)$/);
+  if (!m) return null;
+  return getAirspaceZones(m[1]).find((z) => z.index === Number(m[2])) || null;
+}
+
+function zoneToJson(zone) {
+  const occupants = zoneOccupancy.get(zone.id);
+  return {
+    id: zone.id,
+    name: zone.name,
+    source: zone.source,
+    enabled: zone.source === 'user' ? zone.enabled : true,
+    locationKey: zone.locationKey || null,
+    floorFt: zone.floorFt,
+    ceilingFt: zone.ceilingFt,
+    geometry: zone.geometry,
+    aircraftInside: occupants ? occupants.size : 0
+  };
+}
+
+function aircraftInZone(ac, zone) {
+  const [minLon, minLat, maxLon, maxLat] = zone.bbox;
+  if (ac.lon < minLon || ac.lon > maxLon || ac.lat < minLat || ac.lat > maxLat) return false;
+
+  if (zone.floorFt != null || zone.ceilingFt != null) {
+    const alt = ac.onGround ? 0 : ac.altitudeFt;
+    if (alt == null) return false;
+    if (zone.floorFt != null && alt < zone.floorFt) return false;
+    if (zone.ceilingFt != null && alt > zone.ceilingFt) return false;
+  }
+  return pointInPolygons(ac.lon, ac.lat, zone.polygons);
+}
+
+// Validates a user zone (after merging a PUT over the stored one).
+// Returns { zone } or { error }.
+function validateZoneInput(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Zone body must be a JSON object' };
+  }
+
+  const name = optionalString(input.name);
+  if (!name) return { error: 'name is required' };
+
+  const polygons = geometryPolygons(input.geometry);
+  if (!polygons) {
+    return {
+      error: 'geometry must be a GeoJSON Polygon or MultiPolygon with rings of at least 3 [lon, lat] points'
+    };
+  }
+
+  const limits = {};
+  for (const field of ['floorFt', 'ceilingFt']) {
+    const raw = input[field];
+    if (raw == null || raw === '') {
+      limits[field] = null;
+      continue;
+    }
+    limits[field] = Number(raw);
+    if (!Number.isFinite(limits[field])) {
+      return { error: `${field} must be a number of feet` };
+    }
+  }
+  if (limits.floorFt != null && limits.ceilingFt != null && limits.floorFt >= limits.ceilingFt) {
+    return { error: 'floorFt must be below ceilingFt' };
+  }
+
+  const locationKey = optionalString(input.locationKey);
+  if (locationKey && !getLocation(locationKey)) {
+    return { error: 'locationKey does not name a location' };
+  }
+
+  return {
+    zone: {
+      name,
+      enabled: input.enabled !== false,
+      locationKey,
+      floorFt: limits.floorFt,
+      ceilingFt: limits.ceilingFt,
+      // stored with closed rings
+      geometry:
+        input.geometry.type === 'Polygon'
+          ? { type: 'Polygon', coordinates: polygons[0] }
+          : { type: 'MultiPolygon', coordinates: polygons }
+    }
+  };
+}
+
+function getZoneEventFile(dateStr) {
+  return path.join(ZONE_EVENTS_DIR, `${dateStr}.ndjson`);
+}
+
+function listZoneEventDates() {
+  let names = [];
+  try {
+    names = fs.readdirSync(ZONE_EVENTS_DIR);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[ZONES] Failed to list zone events:', err.message);
+    }
+    return [];
+  }
+
+  const dates = [];
+  for (const name of names) {
+    const m = name.match(FLIGHT_HISTORY_FILE_RE);
+    if (m) dates.push(m[1]);
+  }
+  return dates.sort();
+}
+
+function pruneZoneEvents() {
+  const cutoff = new Date(Date.now() - ZONE_EVENT_RETENTION_DAYS * 86400000)
+    .toISOString()
+    .slice(0, 10);
+
+  for (const dateStr of listZoneEventDates()) {
+    if (dateStr >= cutoff) continue;
+    try {
+      fs.unlinkSync(getZoneEventFile(dateStr));
+      console.log('[ZONES] Pruned events', dateStr);
+    } catch (err) {
+      console.error('[ZONES] Failed to prune events', dateStr, ':', err.message);
+    }
+  }
+}
+
+function appendZoneEvents(events) {
+  if (events.length === 0) return;
+
+  const today = getTodayString();
+  if (today !== currentZoneEventDate) {
+    currentZoneEventDate = today;
+    fs.mkdirSync(ZONE_EVENTS_DIR, { recursive: true });
+    pruneZoneEvents();
+  }
+
+  const text = events.map((e) => JSON.stringify(e)).join('\n') + '\n';
+  try {
+    fs.appendFileSync(getZoneEventFile(currentZoneEventDate), text);
+  } catch (err) {
+    console.error('[ZONES] Failed to append events:', err.message);
+  }
+}
+
+// Occupancy is per airframe: the ICAO24 address, or the callsign for
+// sources that report none. Callsigns change and get reused, hex codes don't.
+function zoneAircraftKey(ac) {
+  if (ac.icao24) return ac.icao24.toLowerCase();
+  return ac.callsign || null;
+}
+
+function zoneEvent(type, zone, ac, at, context) {
+  return {
+    at: new Date(at).toISOString(),
+    type,
+    zoneId: zone.id,
+    zoneName: zone.name,
+    aircraftKey: zoneAircraftKey(ac),
+    callsign: ac.callsign || null,
+    icao24: ac.icao24 || null,
+    registration: ac.registration || null,
+    typeCode: ac.typeCode || null,
+    lat: ac.lat != null ? Math.round(ac.lat * 1e5) / 1e5 : null,
+    lon: ac.lon != null ? Math.round(ac.lon * 1e5) / 1e5 : null,
+    altitudeFt: ac.onGround ? 0 : ac.altitudeFt,
+    locationKey: context.locationKey
+  };
+}
+
+// Sets `zones` ([{ id, name }]) on every aircraft with a position and logs
+// enter/exit events against the previous fetch.
+function updateZoneOccupancy(locationKey, aircraftList) {
+  const zones = getZonesForLocation(locationKey);
+  const now = Date.now();
+  const context = { locationKey };
+  const events = [];
+
+  for (const ac of aircraftList) {
+    ac.zones = [];
+    if (ac.lat == null || ac.lon == null) continue;
+    const aircraftKey = zoneAircraftKey(ac);
+
+    for (const zone of zones) {
+      if (!zoneOccupancy.has(zone.id)) zoneOccupancy.set(zone.id, new Map());
+      const occupants = zoneOccupancy.get(zone.id);
+      const state = aircraftKey ? occupants.get(aircraftKey) : null;
+
+      if (aircraftInZone(ac, zone)) {
+        ac.zones.push({ id: zone.id, name: zone.name });
+        if (!aircraftKey) continue;
+        if (state) {
+          state.lastSeen = now;
+          state.ac = ac;
+        } else {
+          occupants.set(aircraftKey, { enteredAt: now, lastSeen: now, ac });
+          events.push(zoneEvent('enter', zone, ac, now, context));
+        }
+      } else if (state) {
+        occupants.delete(aircraftKey);
+        const event = zoneEvent('exit', zone, ac, now, context);
+        event.durationSec = Math.round((now - state.enteredAt) / 1000);
+        events.push(event);
+      }
+    }
+  }
+
+  // Aircraft that dropped out of coverage while inside a zone
+  for (const zone of zones) {
+    const occupants = zoneOccupancy.get(zone.id);
+    if (!occupants) continue;
+    for (const [aircraftKey, state] of occupants) {
+      if (now - state.lastSeen < ZONE_LOST_AFTER_MS) continue;
+      occupants.delete(aircraftKey);
+      const event = zoneEvent('exit', zone, state.ac, state.lastSeen, context);
+      event.durationSec = Math.round((state.lastSeen - state.enteredAt) / 1000);
+      event.lost = true;
+      events.push(event);
+    }
+  }
+
+  appendZoneEvents(events);
+}
+
+// Events of one zone in [fromMs, toMs], oldest first, optionally only
+// 'enter' or 'exit' and at most `limit` (the newest)
+function queryZoneEvents(zoneId, { fromMs, toMs, type, limit }) {
+  const fromDate = new Date(fromMs).toISOString().slice(0, 10);
+  const toDate = new Date(toMs).toISOString().slice(0, 10);
+  const results = [];
+
+  for (const dateStr of listZoneEventDates()) {
+    if (dateStr < fromDate || dateStr > toDate) continue;
+    let text = '';
+    try {
+      text = fs.readFileSync(getZoneEventFile(dateStr), 'utf8');
+    } catch (err) {
+      console.error('[ZONES] Failed to read events', dateStr, ':', err.message);
+      continue;
+    }
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (err) {
+        continue; // torn line
+      }
+      if (event.zoneId !== zoneId) continue;
+      if (type && event.type !== type) continue;
+      const at = Date.parse(event.at);
+      if (at < fromMs || at > toMs) continue;
+      results.push(event);
+    }
+  }
+
+  results.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  return results.slice(-limit);
+}
+
+loadZones();
+
+// ---------------------------------------------------------------------
+// Historical statistics
+//
+// Aggregates the 'flight' entries of the flight history over a date
+// range. Days (the range itself, per-day and hour-of-day buckets) can be
+// shifted to the viewer's time zone with utcOffsetMin. "New types" are
+// aircraft types whose first entry in the whole history (of that
+// location, when filtering by one) falls inside the range; that index is
+// built in the background at startup and kept up to date by
+// logFlightHistory.
+// ---------------------------------------------------------------------
+
+const STATS_DEFAULT_DAYS = 7;
+const STATS_MAX_DAYS = 400;
+
+let typeFirstSeen = null; // 'locationKey|typeCode' and '|typeCode' -> { date, model }
+let typeFirstSeenBuild = null; // promise while/after building
+
+// Streams every day file once; resolves to the index
+function ensureTypeFirstSeen() {
+  if (typeFirstSeenBuild) return typeFirstSeenBuild;
+
+  typeFirstSeenBuild = (async () => {
+    const index = new Map();
+    for (const dateStr of listFlightHistoryDates()) {
+      await forEachFlightHistoryEntry(dateStr, (entry) => noteTypeSeen(index, entry));
     }
+    // Entries logged while the files were being read
+    for (const entry of getFlightHistoryDay(getTodayString())) {
+      noteTypeSeen(index, entry);
+    }
+    typeFirstSeen = index;
+    return index;
+  })();
+  return typeFirstSeenBuild;
+}
 
-    if (!origin || !destination) {
-      return null;
+function noteTypeSeen(index, entry) {
+  if (historyEntryType(entry) !== 'flight' || !entry.typeCode) return;
+  for (const scope of ['', entry.locationKey]) {
+    const key = `${scope}|${entry.typeCode}`;
+    if (scope != null && !index.has(key)) {
+      index.set(key, { date: entry.date, model: entry.model || null });
     }
+  }
+}
 
-    return {
-      originIcao: String(origin).toUpperCase(),
-      destinationIcao: String(destination).toUpperCase()
-    };
-  } catch (err) {
-    console.error('[ROUTE] adsbdb error for', callsignKey, ':', err.message);
-    return null;
+function countryNameForIso2(iso2) {
+  const range = icaoRanges.find((r) => r.iso2 === iso2);
+  return range ? range.country : iso2;
+}
+
+// Counts object -> [{ key, count }] sorted by count, at most `limit`
+function topCounts(counts, limit) {
+  return Object.entries(counts)
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+    .slice(0, limit);
+}
+
+function addDays(dateStr, days) {
+  return new Date(Date.parse(dateStr + 'T00:00:00Z') + days * 86400000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// Options: fromDate, toDate (inclusive YYYY-MM-DD, in the viewer's time
+// zone), locationKey, utcOffsetMin, limit (rows per top list)
+async function computeHistoryStats(options) {
+  const { fromDate, toDate, locationKey } = options;
+  const offsetMs = (options.utcOffsetMin || 0) * 60000;
+  const limit = options.limit || 10;
+
+  const perDay = {};
+  for (let d = fromDate; d <= toDate; d = addDays(d, 1)) perDay[d] = 0;
+  const perHourOfDay = new Array(24).fill(0);
+  const perHour = {}; // 'YYYY-MM-DDTHH' (shifted) -> count
+  const airlines = {};
+  const airlineNames = {};
+  const types = {};
+  const typeModels = {};
+  const routes = {};
+  const originCountries = {};
+  const destinationCountries = {};
+  const aircraft = new Set();
+  let total = 0;
+
+  const addEntry = (entry) => {
+    if (historyEntryType(entry) !== 'flight') return;
+    if (locationKey && String(entry.locationKey) !== locationKey) return;
+
+    const local = new Date(Date.parse(entry.loggedAt) + offsetMs).toISOString();
+    const localDate = local.slice(0, 10);
+    if (!(localDate in perDay)) return; // shifted out of the range
+
+    total++;
+    perDay[localDate]++;
+    if (entry.icao24) aircraft.add(entry.icao24);
+
+    perHourOfDay[Number(local.slice(11, 13))]++;
+    const hourKey = local.slice(0, 13);
+    perHour[hourKey] = (perHour[hourKey] || 0) + 1;
+
+    const airlineIcao = entry.airlineIcao || airlineIcaoFromCallsign(entry.callsign);
+    const airlineKey = airlineIcao || entry.airline;
+    if (airlineKey) {
+      airlines[airlineKey] = (airlines[airlineKey] || 0) + 1;
+      if (!airlineNames[airlineKey]) {
+        const info = getAirlineByIcao(airlineIcao);
+        airlineNames[airlineKey] = entry.airline || (info && info.name) || null;
+      }
+    }
+
+    if (entry.typeCode) {
+      types[entry.typeCode] = (types[entry.typeCode] || 0) + 1;
+      if (entry.model) typeModels[entry.typeCode] = entry.model;
+    }
+
+    if (entry.originIcao && entry.destinationIcao) {
+      const routeKey = `${entry.originIcao}-${entry.destinationIcao}`;
+      routes[routeKey] = (routes[routeKey] || 0) + 1;
+    }
+    const origin = getAirport(entry.originIcao);
+    if (origin && origin.countryIso2) {
+      originCountries[origin.countryIso2] = (originCountries[origin.countryIso2] || 0) + 1;
+    }
+    const destination = getAirport(entry.destinationIcao);
+    if (destination && destination.countryIso2) {
+      destinationCountries[destination.countryIso2] =
+        (destinationCountries[destination.countryIso2] || 0) + 1;
+    }
+  };
+
+  // UTC day files that can hold entries of the local range
+  const dates = listFlightHistoryDates().filter(
+    (d) => d >= addDays(fromDate, -1) && d <= addDays(toDate, 1)
+  );
+  for (const dateStr of dates) {
+    if (isCachedHistoryDay(dateStr)) {
+      getFlightHistoryDay(dateStr).forEach(addEntry);
+    } else {
+      await forEachFlightHistoryEntry(dateStr, addEntry);
+    }
+  }
+
+  const countryRows = (counts) =>
+    topCounts(counts, limit).map(({ key, count }) => ({
+      iso2: key,
+      country: countryNameForIso2(key),
+      count
+    }));
+
+  const newTypes = [];
+  const scopePrefix = `${locationKey || ''}|`;
+  for (const [key, seen] of await ensureTypeFirstSeen()) {
+    if (!key.startsWith(scopePrefix)) continue;
+    if (seen.date < fromDate || seen.date > toDate) continue;
+    newTypes.push({ typeCode: key.slice(scopePrefix.length), model: seen.model, firstSeen: seen.date });
   }
+  newTypes.sort((a, b) => b.firstSeen.localeCompare(a.firstSeen));
+
+  return {
+    from: fromDate,
+    to: toDate,
+    locationKey: locationKey || null,
+    utcOffsetMin: options.utcOffsetMin || 0,
+    totalFlights: total,
+    uniqueAircraft: aircraft.size,
+    perDay: Object.entries(perDay).map(([date, count]) => ({ date, count })),
+    perHourOfDay,
+    busiestHours: topCounts(perHour, 5).map(({ key, count }) => ({
+      hour: key + ':00',
+      count
+    })),
+    topAirlines: topCounts(airlines, limit).map(({ key, count }) => ({
+      airline: key,
+      name: airlineNames[key] || null,
+      count
+    })),
+    topTypes: topCounts(types, limit).map(({ key, count }) => ({
+      typeCode: key,
+      model: typeModels[key] || null,
+      count
+    })),
+    topRoutes: topCounts(routes, limit).map(({ key, count }) => {
+      const [origin, destination] = key.split('-');
+      return { origin, destination, count };
+    }),
+    originCountries: countryRows(originCountries),
+    destinationCountries: countryRows(destinationCountries),
+    newTypes
+  };
 }
 
-function parseFlightNumberFromCallsign(callsignKey) {
-  if (!callsignKey) return null;
-  const cs = callsignKey.trim().toUpperCase();
-  const m = cs.match(/^([A-Z]{2,3})(\d{1,4})$/);
-  if (!m) return null;
+// ---------------------------------------------------------------------
+// Exports
+//
+// Formatters behind the ?format= option of /api/aircraft (geojson, csv),
+// /api/tracks and /api/tracks/:hex (kml, gpx) and /api/flight-history
+// (csv, ndjson). Altitudes are converted to metres where the format
+// expects them (GeoJSON, KML, GPX).
+// ---------------------------------------------------------------------
+
+const FT_TO_M = 0.3048;
+// /api/flight-history exports default to far more rows than the JSON view
+const HISTORY_EXPORT_LIMIT = FLIGHT_HISTORY_MAX_LIMIT;
+
+const AIRCRAFT_CSV_COLUMNS = [
+  'icao24', 'callsign', 'registration', 'typeCode', 'model', 'airline',
+  'operator', 'country', 'squawk', 'lat', 'lon', 'altitudeFt', 'altGeomFt',
+  'onGround', 'speedKt', 'headingDeg', 'verticalRateFpm', 'phase',
+  'originIcao', 'destinationIcao', 'distanceKm', 'bearingDeg', 'elevationDeg',
+  'seenPosSec', 'positionSource'
+];
+
+const HISTORY_CSV_COLUMNS = [
+  'type', 'date', 'loggedAt', 'flightKey', 'callsign', 'icao24', 'airline',
+  'airlineIcao', 'typeCode', 'model', 'locationKey', 'locationName', 'radiusKm', 'originIcao', 'destinationIcao',
+  'lat', 'lon', 'altitudeFt'
+];
+
+const ZONE_EVENT_CSV_COLUMNS = [
+  'at', 'type', 'zoneId', 'zoneName', 'aircraftKey', 'callsign', 'icao24', 'registration',
+  'typeCode', 'lat', 'lon', 'altitudeFt', 'durationSec', 'lost', 'locationKey'
+];
+
+function csvValue(value) {
+  if (value == null) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvValue(row[c])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function xmlEscape(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function feetToMetres(ft) {
+  return ft != null ? Math.round(ft * FT_TO_M) : null;
+}
+
+// Aircraft snapshot (getAircraftForLocationKey result) as a GeoJSON
+// FeatureCollection of points; every formatted field is a property
+function aircraftToGeoJson(result) {
+  const features = [];
+  for (const ac of result.aircraft) {
+    if (ac.lat == null || ac.lon == null) continue;
+    const coordinates = [ac.lon, ac.lat];
+    if (ac.altitudeFt != null) coordinates.push(feetToMetres(ac.altitudeFt));
+    features.push({
+      type: 'Feature',
+      id: ac.icao24 || ac.callsign || undefined,
+      geometry: { type: 'Point', coordinates },
+      properties: ac
+    });
+  }
   return {
-    icaoCode: m[1],
-    flightNumber: m[2]
+    type: 'FeatureCollection',
+    properties: {
+      location: result.location,
+      radiusKm: result.radiusKm,
+      source: result.source,
+      generatedAt: new Date().toISOString()
+    },
+    features
   };
 }
 
-function buildFlightNumberCandidates(callsignKey) {
-  const parsed = parseFlightNumberFromCallsign(callsignKey);
-  if (!parsed) return [];
+// Track point array -> object keyed by TRACK_POINT_FIELDS
+function trackPointObject(point) {
+  const obj = {};
+  TRACK_POINT_FIELDS.forEach((name, i) => {
+    obj[name] = point[i];
+  });
+  return obj;
+}
 
-  const candidates = new Set();
-  const { icaoCode, flightNumber } = parsed;
+function trackName(track) {
+  return track.callsign ? `${track.callsign} (${track.hex})` : track.hex;
+}
 
-  candidates.add(`${icaoCode}${flightNumber}`);
+// Tracks as KML line strings extruded down to the ground, so Google Earth
+// draws each one as a curtain at its recorded altitude
+function tracksToKml(tracks, title) {
+  const placemarks = tracks.map((track) => {
+    const points = track.points.map(trackPointObject);
+    const coords = points
+      .map((p) => `${p.lon},${p.lat},${feetToMetres(p.alt) || 0}`)
+      .join(' ');
+    const begin = new Date(points[0].t).toISOString();
+    const end = new Date(points[points.length - 1].t).toISOString();
+    return `    <Placemark>
+      <name>${xmlEscape(trackName(track))}</name>
+      <TimeSpan><begin>${begin}</begin><end>${end}</end></TimeSpan>
+      <styleUrl>#track</styleUrl>
+      <LineString>
+        <extrude>1</extrude>
+        <tessellate>1</tessellate>
+        <altitudeMode>absolute</altitudeMode>
+        <coordinates>${coords}</coordinates>
+      </LineString>
+    </Placemark>`;
+  });
 
-  const iata = ICAO_TO_IATA[icaoCode];
-  if (iata) {
-    candidates.add(`${iata}${flightNumber}`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xmlEscape(title)}</name>
+    <Style id="track">
+      <LineStyle><color>ffff7800</color><width>2</width></LineStyle>
+      <PolyStyle><color>40ff7800</color></PolyStyle>
+    </Style>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+}
+
+function tracksToGpx(tracks, title) {
+  const trks = tracks.map((track) => {
+    const trkpts = track.points.map((point) => {
+      const p = trackPointObject(point);
+      const ele = p.alt != null ? `<ele>${feetToMetres(p.alt)}</ele>` : '';
+      return `      <trkpt lat="${p.lat}" lon="${p.lon}">${ele}<time>${new Date(
+        p.t
+      ).toISOString()}</time></trkpt>`;
+    });
+    return `  <trk>
+    <name>${xmlEscape(trackName(track))}</name>
+    <trkseg>
+${trkpts.join('\n')}
+    </trkseg>
+  </trk>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="ADSBViewer" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${xmlEscape(title)}</name></metadata>
+${trks.join('\n')}
+</gpx>
+`;
+}
+
+// ?format= value when it's 'json' (the default) or one of `allowed`;
+// otherwise answers 400 and returns null
+function exportFormatQuery(req, res, allowed) {
+  const format = req.query.format ? String(req.query.format).trim().toLowerCase() : 'json';
+  if (format === 'json' || allowed.includes(format)) return format;
+  res.status(400).json({ error: `format must be one of json, ${allowed.join(', ')}` });
+  return null;
+}
+
+// Names can carry query values or feed callsigns; anything outside
+// [A-Za-z0-9_.-] would break (or throw on) the Content-Disposition header
+function sanitizeExportFilename(filename) {
+  return String(filename).replace(/[^A-Za-z0-9_.-]+/g, '_') || 'export';
+}
+
+function sendExport(res, contentType, filename, body) {
+  res.attachment(sanitizeExportFilename(filename));
+  res.type(contentType);
+  res.send(body);
+}
+
+// Timestamp for export file names, e.g. 20260101-1200
+function exportStamp() {
+  return new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+}
+
+function sendTracksExport(res, format, tracks, baseName, title) {
+  if (format === 'kml') {
+    return sendExport(res, 'application/vnd.google-earth.kml+xml', `${baseName}.kml`,
+      tracksToKml(tracks, title));
   }
+  return sendExport(res, 'application/gpx+xml', `${baseName}.gpx`, tracksToGpx(tracks, title));
+}
 
-  return Array.from(candidates);
+// ---------------------------------------------------------------------
+// Express
+// ---------------------------------------------------------------------
+
+app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.json());
+
+function locationToJson(key) {
+  return { key, ...LOCATIONS[key] };
 }
 
-async function fetchRouteFromAeroDataBox(callsignKey) {
-  if (!AERODATABOX_API_KEY) return null;
+// Locations CRUD, persisted to LOCATIONS_FILE
+app.get('/api/locations', (req, res) => {
+  res.json({
+    defaultKey: getDefaultLocationKey(),
+    locations: Object.keys(LOCATIONS).map(locationToJson)
+  });
+});
 
-  const candidates = buildFlightNumberCandidates(callsignKey);
-  if (!candidates.length) return null;
+app.get('/api/locations/:key', (req, res) => {
+  if (!getLocation(req.params.key)) {
+    return res.status(404).json({ error: 'Unknown location' });
+  }
+  res.json(locationToJson(req.params.key));
+});
 
-  for (const flightNumber of candidates) {
-    const url = AERODATABOX_FLIGHT_URL_TEMPLATE.replace(
-      '{flightNumber}',
-      encodeURIComponent(flightNumber)
-    );
+app.post('/api/locations', (req, res) => {
+  const result = validateLocationInput(req.body);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
 
-    try {
-      const resp = await axios.get(url, {
-        timeout: 8000,
-        headers: {
-          'X-RapidAPI-Key': AERODATABOX_API_KEY,
-          'X-RapidAPI-Host': AERODATABOX_HOST
-        }
-      });
+  let key = null;
+  try {
+    key = nextLocationKey();
+    LOCATIONS[key] = result.location;
+    saveLocations();
+  } catch (err) {
+    if (key) delete LOCATIONS[key];
+    console.error('[LOCATIONS] Failed to save:', err.message);
+    return res.status(500).json({ error: 'Failed to save locations' });
+  }
+  res.status(201).json(locationToJson(key));
+});
 
-      const body = resp.data;
-      const flights = Array.isArray(body) ? body : body.flights || body.data || [];
-      if (!Array.isArray(flights) || flights.length === 0) continue;
+app.put('/api/locations/:key', (req, res) => {
+  const key = req.params.key;
+  const existing = getLocation(key);
+  if (!existing) {
+    return res.status(404).json({ error: 'Unknown location' });
+  }
 
-      const f = flights[0];
-      const dep = f.departure || f.dep || {};
-      const arr = f.arrival || f.arr || {};
+  const result = validateLocationInput({ ...existing, ...(req.body || {}) });
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
 
-      const originIcao =
-        dep.icao || dep.icaoCode || dep.icao_code || dep.airportIcao || null;
-      const destinationIcao =
-        arr.icao || arr.icaoCode || arr.icao_code || arr.airportIcao || null;
+  LOCATIONS[key] = result.location;
+  try {
+    saveLocations();
+  } catch (err) {
+    LOCATIONS[key] = existing;
+    console.error('[LOCATIONS] Failed to save:', err.message);
+    return res.status(500).json({ error: 'Failed to save locations' });
+  }
+  res.json(locationToJson(key));
+});
 
-      if (!originIcao || !destinationIcao) {
-        continue;
-      }
+app.delete('/api/locations/:key', (req, res) => {
+  const key = req.params.key;
+  const existing = getLocation(key);
+  if (!existing) {
+    return res.status(404).json({ error: 'Unknown location' });
+  }
+  if (Object.keys(LOCATIONS).length === 1) {
+    return res.status(400).json({ error: 'Cannot delete the last location' });
+  }
+  const zoneCount = userZones.filter((z) => z.locationKey === key).length;
+  const ruleCount = watchRules.filter((r) => r.locationKey === key).length;
+  if (zoneCount || ruleCount) {
+    return res.status(409).json({
+      error: `Location is used by ${zoneCount} zone(s) and ${ruleCount} watch rule(s); ` +
+        'delete or move them first'
+    });
+  }
 
-      return {
-        originIcao: String(originIcao).toUpperCase(),
-        destinationIcao: String(destinationIcao).toUpperCase()
-      };
-    } catch (err) {
-      if (err.response) {
-        console.error(
-          '[ROUTE] AeroDataBox error for',
-          callsignKey,
-          'candidate=',
-          flightNumber,
-          'status=',
-          err.response.status,
-          'data=',
-          JSON.stringify(err.response.data)
-        );
-      } else {
-        console.error(
-          '[ROUTE] AeroDataBox request failed for',
-          callsignKey,
-          'candidate=',
-          flightNumber,
-          ':',
-          err.message
-        );
-      }
+  delete LOCATIONS[key];
+  try {
+    saveLocations();
+  } catch (err) {
+    LOCATIONS[key] = existing;
+    console.error('[LOCATIONS] Failed to save:', err.message);
+    return res.status(500).json({ error: 'Failed to save locations' });
+  }
+  res.status(204).end();
+});
+
+// Flight history API - persisted under STORAGE_DIR (survives restarts)
+// ?date=YYYY-MM-DD or ?from=&to=, plus flightKey, location, airline,
+// origin, destination, type (flight, holding, go-around) and limit filters.
+// ?format=csv|ndjson downloads the matches instead.
+app.get('/api/flight-history', async (req, res) => {
+  const format = exportFormatQuery(req, res, ['csv', 'ndjson']);
+  if (!format) return;
+
+  const q = (name) => (req.query[name] ? String(req.query[name]).trim() : null);
+  const defaultLimit = format === 'json' ? 500 : HISTORY_EXPORT_LIMIT;
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) || defaultLimit : defaultLimit;
+
+  let results;
+  try {
+    results = await queryFlightHistory({
+      dateFilter: q('date'), // if null => from/to range or all dates
+      fromDate: q('from'),
+      toDate: q('to'),
+      flightKeyFilter: q('flightKey'),
+      locationKey: q('location'),
+      airline: q('airline'),
+      origin: q('origin'),
+      destination: q('destination'),
+      type: q('type'),
+      limit
+    });
+  } catch (err) {
+    console.error('[API] Error in /api/flight-history:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  if (format === 'json') {
+    return res.json(results);
+  }
+  try {
+    // Only well-formed dates go into the file name
+    const isDate = (v) => v && /^\d{4}-\d{2}-\d{2}$/.test(v);
+    const range =
+      (isDate(q('date')) && q('date')) ||
+      [q('from'), q('to')].filter(isDate).join('_') ||
+      'all';
+    const baseName = `flight-history-${range}`;
+    if (format === 'csv') {
+      return sendExport(res, 'text/csv; charset=utf-8', `${baseName}.csv`,
+        toCsv(HISTORY_CSV_COLUMNS, results));
     }
+    const ndjson = results.map((e) => JSON.stringify(e) + '\n').join('');
+    sendExport(res, 'application/x-ndjson', `${baseName}.ndjson`, ndjson);
+  } catch (err) {
+    console.error('[API] Error in /api/flight-history export:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  return null;
+// Epoch ms or an ISO date/time -> ms, null when absent, NaN when invalid
+function parseTimeQuery(value) {
+  if (value == null || value === '') return null;
+  const str = String(value).trim();
+  return /^\d+$/.test(str) ? Number(str) : Date.parse(str);
 }
 
-async function fetchRouteFromAviationStack(callsignKey) {
-  if (!AVIATIONSTACK_API_KEY) return null;
+// ?from=&to= -> { fromMs, toMs } or { error }. Defaults to the last
+// `defaultSpanMs` before `to` (or now); spans are capped at `maxSpanMs`.
+function parseTrackRange(query, defaultSpanMs, maxSpanMs = TRACK_QUERY_MAX_MS) {
+  const from = parseTimeQuery(query.from);
+  const to = parseTimeQuery(query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'from/to must be epoch milliseconds or ISO times' };
+  }
 
-  const parsed = parseFlightNumberFromCallsign(callsignKey);
-  let flightIata = null;
-  if (parsed) {
-    const iata = ICAO_TO_IATA[parsed.icaoCode];
-    if (iata) {
-      flightIata = `${iata}${parsed.flightNumber}`;
+  const toMs = to != null ? to : Date.now();
+  const fromMs = from != null ? from : toMs - defaultSpanMs;
+  if (fromMs > toMs) {
+    return { error: 'from must be before to' };
+  }
+  if (toMs - fromMs > maxSpanMs) {
+    return { error: `Time span is limited to ${maxSpanMs / 3600000} hours` };
+  }
+  return { fromMs, toMs };
+}
+
+// Recorded tracks, ?from=&to= (default: last hour) and optional
+// ?location=[&radiusKm=] to keep only points inside that circle.
+// ?format=kml|gpx downloads them instead.
+app.get('/api/tracks', async (req, res) => {
+  const format = exportFormatQuery(req, res, ['kml', 'gpx']);
+  if (!format) return;
+
+  const range = parseTrackRange(req.query, TRACK_QUERY_DEFAULT_MS);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  let area = null;
+  if (req.query.location) {
+    const loc = getLocation(req.query.location);
+    if (!loc) {
+      return res.status(404).json({ error: 'Unknown location' });
     }
+    const radiusKm = Number(req.query.radiusKm) || loc.radiusKm || DEFAULT_RADIUS_KM;
+    area = { lat: loc.lat, lon: loc.lon, radiusKm };
   }
 
-  const params = {
-    access_key: AVIATIONSTACK_API_KEY,
-    flight_icao: callsignKey
-  };
-  if (flightIata) {
-    params.flight_iata = flightIata;
+  try {
+    const { tracks, stepMs, truncated } = await queryTracks({ ...range, area });
+    if (format !== 'json') {
+      const locName = area ? getLocation(req.query.location).name : 'all locations';
+      return sendTracksExport(res, format, tracks, `tracks-${exportStamp()}`,
+        `Tracks near ${locName}`);
+    }
+    res.json({
+      from: new Date(range.fromMs).toISOString(),
+      to: new Date(range.toMs).toISOString(),
+      location: req.query.location || null,
+      radiusKm: area ? area.radiusKm : null,
+      fields: TRACK_POINT_FIELDS,
+      stepSec: stepMs ? stepMs / 1000 : null,
+      truncated,
+      tracks
+    });
+  } catch (err) {
+    console.error('[API] Error in /api/tracks:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One aircraft's recorded track, ?from=&to= (default: last 24 hours),
+// or ?format=kml|gpx to download it
+app.get('/api/tracks/:hex', async (req, res) => {
+  const format = exportFormatQuery(req, res, ['kml', 'gpx']);
+  if (!format) return;
+
+  const hex = String(req.params.hex).trim().toLowerCase();
+  if (!/^~?[0-9a-f]{6}$/.test(hex)) {
+    return res.status(400).json({ error: 'hex must be a 24-bit ICAO address' });
+  }
+  const range = parseTrackRange(req.query, TRACK_QUERY_MAX_MS);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
   }
 
   try {
-    const resp = await axios.get(AVIATIONSTACK_FLIGHTS_URL, {
-      timeout: 8000,
-      params
+    const [track] = (await queryTracks({ ...range, hex })).tracks;
+    if (!track) {
+      return res.status(404).json({ error: 'No track recorded in that period' });
+    }
+    if (format !== 'json') {
+      const baseName = ['track', track.callsign, hex].filter(Boolean).join('-');
+      return sendTracksExport(res, format, [track], baseName, trackName(track));
+    }
+    res.json({
+      from: new Date(range.fromMs).toISOString(),
+      to: new Date(range.toMs).toISOString(),
+      fields: TRACK_POINT_FIELDS,
+      ...track
     });
+  } catch (err) {
+    console.error('[API] Error in /api/tracks/:hex:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const body = resp.data || {};
-    const flights = Array.isArray(body.data) ? body.data : [];
-    if (!flights.length) return null;
+// Flight history aggregates. ?from=&to= (YYYY-MM-DD) or ?days=N (default
+// 7, ending today), optional location, utcOffsetMin and limit.
+app.get('/api/stats', async (req, res) => {
+  const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v));
+  const q = (name) => (req.query[name] ? String(req.query[name]).trim() : null);
 
-    const f = flights[0] || {};
-    const dep = f.departure || {};
-    const arr = f.arrival || {};
+  const toDate = q('to') || getTodayString();
+  let fromDate = q('from');
+  if (!isDate(toDate) || (fromDate && !isDate(fromDate))) {
+    return res.status(400).json({ error: 'from/to must be YYYY-MM-DD dates' });
+  }
+  if (!fromDate) {
+    const days = parseInt(req.query.days, 10) || STATS_DEFAULT_DAYS;
+    fromDate = addDays(toDate, 1 - Math.min(Math.max(days, 1), STATS_MAX_DAYS));
+  }
+  if (fromDate > toDate) {
+    return res.status(400).json({ error: 'from must not be after to' });
+  }
+  if (addDays(fromDate, STATS_MAX_DAYS) <= toDate) {
+    return res.status(400).json({ error: `Period is limited to ${STATS_MAX_DAYS} days` });
+  }
+
+  const locationKey = q('location');
+  if (locationKey && !getLocation(locationKey)) {
+    return res.status(404).json({ error: 'Unknown location' });
+  }
+  const utcOffsetMin = Number(req.query.utcOffsetMin) || 0;
+  if (Math.abs(utcOffsetMin) > 14 * 60) {
+    return res.status(400).json({ error: 'utcOffsetMin must be within ±840' });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+  try {
+    res.json(await computeHistoryStats({ fromDate, toDate, locationKey, utcOffsetMin, limit }));
+  } catch (err) {
+    console.error('[API] Error in /api/stats:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Range outline of a location: ?location= (default location), source,
+// from/to (YYYY-MM-DD, default all recorded days), sectors (36, 72, 180
+// or 360)
+app.get('/api/coverage', (req, res) => {
+  const locationKey = req.query.location || getDefaultLocationKey();
+  if (!getLocation(locationKey)) {
+    return res.status(404).json({ error: 'Unknown location' });
+  }
+  const sectors = req.query.sectors ? parseInt(req.query.sectors, 10) : 36;
+  if (!COVERAGE_SECTOR_CHOICES.includes(sectors)) {
+    return res
+      .status(400)
+      .json({ error: `sectors must be one of ${COVERAGE_SECTOR_CHOICES.join(', ')}` });
+  }
 
-    const originIcao = dep.icao || dep.icao_code || null;
-    const destinationIcao = arr.icao || arr.icao_code || null;
+  const q = (name) => (req.query[name] ? String(req.query[name]).trim() : null);
+  res.json(
+    queryCoverage({
+      locationKey,
+      source: q('source'),
+      fromDate: q('from'),
+      toDate: q('to'),
+      sectors
+    })
+  );
+});
 
-    if (!originIcao || !destinationIcao) {
-      return null;
-    }
+// ?obsLat=&obsLon=[&obsAltM=] -> { observer } (null when absent) or { error }
+function parseObserverQuery(query) {
+  // Empty params (e.g. a cleared form field) count as absent: Number('') is 0
+  const given = (value) => value != null && String(value).trim() !== '';
+  if (!given(query.obsLat) && !given(query.obsLon)) return { observer: null };
 
-    return {
-      originIcao: String(originIcao).toUpperCase(),
-      destinationIcao: String(destinationIcao).toUpperCase()
-    };
-  } catch (err) {
-    if (err.response) {
-      console.error(
-        '[ROUTE] AviationStack error for',
-        callsignKey,
-        'status=',
-        err.response.status,
-        'data=',
-        JSON.stringify(err.response.data)
-      );
-      if (err.response.status === 404) {
-        return null;
-      }
-    } else {
-      console.error('[ROUTE] AviationStack request failed:', err.message);
-    }
-    return null;
+  const lat = given(query.obsLat) ? Number(query.obsLat) : NaN;
+  const lon = given(query.obsLon) ? Number(query.obsLon) : NaN;
+  const altM = given(query.obsAltM) ? Number(query.obsAltM) : null;
+
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return { error: 'obsLat must be a latitude in degrees' };
+  }
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+    return { error: 'obsLon must be a longitude in degrees' };
   }
+  if (altM != null && !Number.isFinite(altM)) {
+    return { error: 'obsAltM must be a number of metres' };
+  }
+  return { observer: { lat, lon, altM } };
 }
 
-async function fetchRouteForCallsign(callsign) {
-  if (!callsign) return null;
-  const key = callsign.trim().toUpperCase();
-  if (!key) return null;
+// ?format=geojson|csv downloads the snapshot instead
+app.get('/api/aircraft', async (req, res) => {
+  const format = exportFormatQuery(req, res, ['geojson', 'csv']);
+  if (!format) return;
 
-  if (Object.prototype.hasOwnProperty.call(routeCache, key)) {
-    return routeCache[key];
+  const location = req.query.location || getDefaultLocationKey();
+  const radiusKm = req.query.radiusKm;
+  if (!getLocation(location)) {
+    return res.status(404).json({ error: 'Unknown location' });
+  }
+  const obs = parseObserverQuery(req.query);
+  if (obs.error) {
+    return res.status(400).json({ error: obs.error });
   }
 
-  const airlineKey = getAirlineKeyFromCallsign(key);
-  const sourceOrder = getRouteSourceOrderForAirline(airlineKey);
-
-  for (const source of sourceOrder) {
-    let result = null;
-
-    if (source === 'adsbdb') {
-      result = await fetchRouteFromAdsbdb(key);
-    } else if (source === 'aerodatabox') {
-      result = await fetchRouteFromAeroDataBox(key);
-    } else if (source === 'aviationstack') {
-      result = await fetchRouteFromAviationStack(key);
+  try {
+    const result = await getAircraftForLocationKey(location, radiusKm, obs.observer, {
+      record: format === 'json'
+    });
+    const baseName = `aircraft-${location}-${exportStamp()}`;
+    if (format === 'geojson') {
+      return sendExport(res, 'application/geo+json', `${baseName}.geojson`,
+        JSON.stringify(aircraftToGeoJson(result)));
     }
-
-    if (result && result.originIcao && result.destinationIcao) {
-      routeCache[key] = result;
-      recordRouteSourceSuccess(airlineKey, source);
-      return result;
+    if (format === 'csv') {
+      return sendExport(res, 'text/csv; charset=utf-8', `${baseName}.csv`,
+        toCsv(AIRCRAFT_CSV_COLUMNS, result.aircraft));
     }
+    res.json(result);
+  } catch (err) {
+    console.error('[API] Error in /api/aircraft:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  routeCache[key] = null;
-  return null;
-}
+// Airports inside a location's radius, for the map layer.
+// ?types=large_airport,medium_airport,small_airport (default large+medium)
+app.get('/api/airports', (req, res) => {
+  const location = req.query.location || getDefaultLocationKey();
+  const loc = getLocation(location);
+  if (!loc) {
+    return res.status(404).json({ error: 'Unknown location' });
+  }
 
-// ---------------------------------------------------------------------
-// Aircraft formatting
-// ---------------------------------------------------------------------
+  let radiusKm = Number(req.query.radiusKm) || loc.radiusKm || DEFAULT_RADIUS_KM;
+  radiusKm = Math.min(Math.max(radiusKm, 1), 2000);
+  const types = req.query.types
+    ? String(req.query.types).split(',').map((t) => t.trim())
+    : DEFAULT_MAP_AIRPORT_TYPES;
 
-function inferAirlineFromCallsign(flight) {
-  if (!flight) return '';
-  const letters = flight.replace(/[^A-Za-z]/g, '').toUpperCase();
-  if (!letters) return '';
-  const prefix = letters.slice(0, 3);
-  return AIRLINE_BY_ICAO_PREFIX[prefix] || '';
-}
+  res.json({
+    ...airportDbInfo,
+    locationKey: location,
+    radiusKm,
+    airports: airportsWithinRadius(loc.lat, loc.lon, radiusKm, types)
+  });
+});
 
-function baseFormatAircraft(ac) {
-  const callsign = (ac.flight || ac.Call || '').trim();
-  const icao24 = (ac.hex || ac.Icao || '').trim();
+// Arrivals / departures inferred from a location's live traffic
+app.get('/api/airports/:icao/board', async (req, res) => {
+  const location = req.query.location || getDefaultLocationKey();
+  if (!getLocation(location)) {
+    return res.status(404).json({ error: 'Unknown location' });
+  }
 
-  const mdl = ac.mdl || ac.Mdl || '';
-  const t = ac.t || ac.Type || '';
-  let model = '';
-  if (mdl && t) model = `${mdl} (${t})`;
-  else model = mdl || t || '';
+  try {
+    const board = await getAirportBoard(req.params.icao, location, req.query.radiusKm);
+    if (!board) {
+      return res.status(404).json({ error: 'Unknown airport' });
+    }
+    res.json(board);
+  } catch (err) {
+    console.error('[API] Error in /api/airports/:icao/board:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-  let airline = (ac.Op || ac.op || ac.operator || '').trim();
-  if (!airline) {
-    airline = inferAirlineFromCallsign(callsign);
+app.get('/api/airports/:icao', (req, res) => {
+  const airport = getAirport(req.params.icao);
+  if (!airport) {
+    return res.status(404).json({ error: 'Unknown airport' });
   }
+  res.json(airport);
+});
 
-  const alt =
-    ac.alt_baro != null
-      ? Number(ac.alt_baro)
-      : ac.Alt != null
-      ? Number(ac.Alt)
-      : null;
-  const gs =
-    ac.gs != null ? Number(ac.gs) : ac.Spd != null ? Number(ac.Spd) : null;
+app.post('/api/airports/refresh', async (req, res) => {
+  try {
+    res.json(await refreshAirportDb());
+  } catch (err) {
+    console.error('[AIRPORTS] Refresh failed:', err.message);
+    res.status(502).json({ error: 'Airport refresh failed: ' + err.message });
+  }
+});
 
-  const lat = ac.lat != null ? Number(ac.lat) : null;
-  const lon = ac.lon != null ? Number(ac.lon) : null;
+// Registry details for one ICAO24 address, plus its live receiver state
+// when one of the feeds is tracking it
+app.get('/api/aircraft/:hex', (req, res) => {
+  const info = lookupAircraftRegistry(req.params.hex);
+  if (!info) {
+    return res.status(400).json({ error: 'hex must be a 24-bit ICAO address' });
+  }
 
-  const trackRaw =
-    ac.track != null
-      ? Number(ac.track)
-      : ac.trak != null
-      ? Number(ac.trak)
-      : ac.Trak != null
-      ? Number(ac.Trak)
-      : null;
-  const headingDeg = Number.isFinite(trackRaw) ? trackRaw : null;
+  const state = liveAircraft.get(info.hex);
+  let live = null;
+  if (state) {
+    const loc = getLocation(getDefaultLocationKey());
+    live = baseFormatAircraft(
+      liveAircraftToReadsb(state, Date.now()),
+      resolveObserver(loc, null)
+    );
+  }
 
-  let bearingDeg = null;
-  let lookDirection = null;
-  let distanceFromObserverKm = null;
+  res.json({ ...info, live });
+});
 
-  if (lat != null && lon != null && !Number.isNaN(lat) && !Number.isNaN(lon)) {
-    const br = bearingDegrees(OBS_LAT, OBS_LON, lat, lon);
-    bearingDeg = Math.round(br * 10) / 10;
-    lookDirection = bearingToDirection(br);
+app.get('/api/aircraft-db', (req, res) => {
+  res.json({ ...aircraftDbInfo, icaoRanges: icaoRanges.length });
+});
 
-    const dist = distanceKm(OBS_LAT, OBS_LON, lat, lon);
-    if (Number.isFinite(dist)) {
-      distanceFromObserverKm = dist;
-    }
+app.post('/api/aircraft-db/reload', async (req, res) => {
+  res.json(await loadAircraftDb());
+});
+
+// Decoded METAR + TAF for a location's (nearest or configured) station
+app.get('/api/weather', async (req, res) => {
+  const location = req.query.location || getDefaultLocationKey();
+  const loc = getLocation(location);
+  if (!loc) {
+    return res.status(404).json({ error: 'Unknown location' });
   }
 
-  return {
-    callsign,
-    icao24,
-    model,
-    airline,
-    altitudeFt: Number.isFinite(alt) ? alt : null,
-    speedKt: Number.isFinite(gs) ? gs : null,
-    lookDirection,
-    bearingDeg,
-    lat: Number.isFinite(lat) ? lat : null,
-    lon: Number.isFinite(lon) ? lon : null,
-    headingDeg,
-    distanceKm: distanceFromObserverKm,
+  try {
+    const weather = await getWeatherForLocation(loc);
+    res.json({ locationKey: location, location: loc.name, ...weather });
+  } catch (err) {
+    console.error('[API] Error in /api/weather:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    originIcao: null,
-    destinationIcao: null,
-    originDisplay: null,
-    destinationDisplay: null
-  };
-}
+// Live aircraft stream (SSE): snapshot, then added/updated/removed diffs
+app.get('/api/stream', (req, res) => {
+  const location = req.query.location || getDefaultLocationKey();
+  const radiusKm = req.query.radiusKm;
+  if (!getLocation(location)) {
+    return res.status(404).json({ error: 'Unknown location' });
+  }
+  const obs = parseObserverQuery(req.query);
+  if (obs.error) {
+    return res.status(400).json({ error: obs.error });
+  }
 
-async function enrichAircraftWithRoutes(aircraftList) {
-  const tasks = aircraftList.map(async (ac) => {
-    if (!ac.callsign) return ac;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_INTERVAL_MS}\n\n`);
 
-    try {
-      const route = await fetchRouteForCallsign(ac.callsign);
-      if (!route) return ac;
+  const unsubscribe = subscribeAircraftStream(location, radiusKm, obs.observer, res);
+  req.on('close', unsubscribe);
+});
 
-      ac.originIcao = route.originIcao;
-      ac.destinationIcao = route.destinationIcao;
+// Watch rules CRUD, persisted to WATCH_RULES_FILE
+app.get('/api/watch-rules', (req, res) => {
+  res.json(watchRules);
+});
 
-      const [originDisplay, destDisplay] = await Promise.all([
-        getAirportDisplay(route.originIcao),
-        getAirportDisplay(route.destinationIcao)
-      ]);
+app.post('/api/watch-rules', (req, res) => {
+  const result = validateWatchRuleInput(req.body);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
 
-      ac.originDisplay = originDisplay;
-      ac.destinationDisplay = destDisplay;
-    } catch (err) {
-      console.error('[ROUTE] Error enriching aircraft', ac.callsign, err.message);
-    }
+  const rule = withCompiledPattern({ id: nextWatchRuleId(), ...result.rule });
+  watchRules.push(rule);
+  try {
+    saveWatchRules();
+  } catch (err) {
+    watchRules.pop();
+    console.error('[ALERTS] Failed to save watch rules:', err.message);
+    return res.status(500).json({ error: 'Failed to save watch rules' });
+  }
+  res.status(201).json(rule);
+});
 
-    return ac;
-  });
+app.put('/api/watch-rules/:id', (req, res) => {
+  const idx = watchRules.findIndex((r) => r.id === req.params.id);
+  if (idx === -1) {
+    return res.status(404).json({ error: 'Unknown watch rule' });
+  }
 
-  return Promise.all(tasks);
-}
+  const existing = watchRules[idx];
+  const result = validateWatchRuleInput({ ...existing, ...(req.body || {}) });
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
 
-// ---------------------------------------------------------------------
-// Cloud ceiling via AviationWeather METAR
-// ---------------------------------------------------------------------
+  watchRules[idx] = withCompiledPattern({ id: existing.id, ...result.rule });
+  try {
+    saveWatchRules();
+  } catch (err) {
+    watchRules[idx] = existing;
+    console.error('[ALERTS] Failed to save watch rules:', err.message);
+    return res.status(500).json({ error: 'Failed to save watch rules' });
+  }
+  res.json(watchRules[idx]);
+});
 
-async function fetchCloudCeilingForLockeport() {
-  const station = LOCKEPORT_METAR_STATION;
-  const url = `https://aviationweather.gov/api/data/metar?ids=${station}&format=json`;
+app.delete('/api/watch-rules/:id', (req, res) => {
+  const idx = watchRules.findIndex((r) => r.id === req.params.id);
+  if (idx === -1) {
+    return res.status(404).json({ error: 'Unknown watch rule' });
+  }
 
+  const [removed] = watchRules.splice(idx, 1);
   try {
-    const resp = await axios.get(url, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'adsbviewer-node (example@example.com)'
-      }
-    });
+    saveWatchRules();
+  } catch (err) {
+    watchRules.splice(idx, 0, removed);
+    console.error('[ALERTS] Failed to save watch rules:', err.message);
+    return res.status(500).json({ error: 'Failed to save watch rules' });
+  }
+  res.status(204).end();
+});
 
-    const arr = resp.data;
-    if (!Array.isArray(arr) || arr.length === 0) {
-      return null;
-    }
+// Alert log (most recent RECENT_ALERTS_MAX), optionally ?since=ISO&ruleId=
+app.get('/api/alerts', (req, res) => {
+  const since = req.query.since ? Date.parse(req.query.since) : null;
+  const ruleId = req.query.ruleId ? String(req.query.ruleId) : null;
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) || 100 : 100;
+
+  const results = recentAlerts.filter(
+    (a) =>
+      (!since || Date.parse(a.at) > since) && (!ruleId || a.ruleId === ruleId)
+  );
+  res.json(results.slice(-limit));
+});
 
-    const metar = arr[0];
-    const sky = metar.skyCondition;
-    if (!Array.isArray(sky)) return null;
+// Alert push stream (SSE) for browser notifications
+app.get('/api/alerts/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 10000\n\n');
 
-    let lowestCeilingFt = null;
+  alertStreamClients.add(res);
+  req.on('close', () => alertStreamClients.delete(res));
+});
 
-    for (const layer of sky) {
-      const cover = layer.cover;
-      const baseHundreds = layer.base;
-      if (!cover || baseHundreds == null) continue;
+// Geofence zones: user zones (CRUD, persisted to ZONES_FILE) plus the
+// read-only airspace zones of ?location= (default: every location)
+app.get('/api/zones', (req, res) => {
+  const locationKey = req.query.location ? String(req.query.location) : null;
+  if (locationKey && !getLocation(locationKey)) {
+    return res.status(404).json({ error: 'Unknown location' });
+  }
 
-      if (cover === 'BKN' || cover === 'OVC') {
-        const baseFt = Number(baseHundreds) * 100;
-        if (!Number.isFinite(baseFt)) continue;
-        if (lowestCeilingFt == null || baseFt < lowestCeilingFt) {
-          lowestCeilingFt = baseFt;
-        }
-      }
-    }
+  const zones = userZones
+    .filter((z) => !locationKey || !z.locationKey || z.locationKey === locationKey)
+    .map((z) => zoneToJson({ ...z, source: 'user' }));
+  for (const key of locationKey ? [locationKey] : Object.keys(LOCATIONS)) {
+    zones.push(...getAirspaceZones(key).map(zoneToJson));
+  }
+  res.json(zones);
+});
 
-    return lowestCeilingFt;
-  } catch (err) {
-    console.error('[METAR] Error fetching METAR:', err.message);
-    return null;
+app.get('/api/zones/:id', (req, res) => {
+  const zone = findZone(req.params.id);
+  if (!zone) {
+    return res.status(404).json({ error: 'Unknown zone' });
   }
-}
+  res.json(zoneToJson(zone));
+});
 
-// ---------------------------------------------------------------------
-// Combined fetch
-// ---------------------------------------------------------------------
+app.post('/api/zones', (req, res) => {
+  const result = validateZoneInput(req.body);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
 
-async function getAircraftForLocationKey(locationKey, radiusKmRaw) {
-  const loc = LOCATIONS[locationKey] || LOCATIONS['2'];
+  const zone = withCompiledGeometry({ id: nextZoneId(), ...result.zone });
+  userZones.push(zone);
+  try {
+    saveZones();
+  } catch (err) {
+    userZones.pop();
+    console.error('[ZONES] Failed to save zones:', err.message);
+    return res.status(500).json({ error: 'Failed to save zones' });
+  }
+  res.status(201).json(zoneToJson({ ...zone, source: 'user' }));
+});
 
-  let radiusKm = Number(radiusKmRaw);
-  if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
-    radiusKm = DEFAULT_RADIUS_KM;
+app.put('/api/zones/:id', (req, res) => {
+  const idx = userZones.findIndex((z) => z.id === req.params.id);
+  if (idx === -1) {
+    return findZone(req.params.id)
+      ? res.status(400).json({ error: 'Airspace zones are read-only; edit the GeoJSON file' })
+      : res.status(404).json({ error: 'Unknown zone' });
   }
-  if (radiusKm < 1) radiusKm = 1;
-  if (radiusKm > 2000) radiusKm = 2000;
 
-  const radiusNm = Math.round(radiusKm * NM_PER_KM);
+  const existing = userZones[idx];
+  const result = validateZoneInput({ ...existing, ...(req.body || {}) });
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
 
-  const data = await fetchAircraftRaw(loc.lat, loc.lon, radiusNm);
-  const rawList = Array.isArray(data.ac) ? data.ac : [];
+  userZones[idx] = withCompiledGeometry({ id: existing.id, ...result.zone });
+  try {
+    saveZones();
+  } catch (err) {
+    userZones[idx] = existing;
+    console.error('[ZONES] Failed to save zones:', err.message);
+    return res.status(500).json({ error: 'Failed to save zones' });
+  }
+  res.json(zoneToJson({ ...userZones[idx], source: 'user' }));
+});
 
-  const baseAircraft = rawList.map(baseFormatAircraft);
-  const aircraft = await enrichAircraftWithRoutes(baseAircraft);
+app.delete('/api/zones/:id', (req, res) => {
+  const idx = userZones.findIndex((z) => z.id === req.params.id);
+  if (idx === -1) {
+    return findZone(req.params.id)
+      ? res.status(400).json({ error: 'Airspace zones are read-only; edit the GeoJSON file' })
+      : res.status(404).json({ error: 'Unknown zone' });
+  }
 
-  let cloudCeilingFt = null;
-  if (locationKey === '2') {
-    cloudCeilingFt = await fetchCloudCeilingForLockeport();
+  const [removed] = userZones.splice(idx, 1);
+  try {
+    saveZones();
+  } catch (err) {
+    userZones.splice(idx, 0, removed);
+    console.error('[ZONES] Failed to save zones:', err.message);
+    return res.status(500).json({ error: 'Failed to save zones' });
   }
+  zoneOccupancy.delete(removed.id);
+  res.status(204).end();
+});
 
-  logFlightHistory(aircraft, {
-    locationKey,
-    locationName: loc.name,
-    radiusKm
-  });
+// Incursion report: enter/exit events of a zone, ?from=&to= (default:
+// last 7 days), ?type=enter|exit and ?limit=, with a summary and the
+// aircraft inside now. ?format=csv|ndjson downloads the events instead.
+app.get('/api/zones/:id/events', (req, res) => {
+  const format = exportFormatQuery(req, res, ['csv', 'ndjson']);
+  if (!format) return;
 
-  return {
-    locationKey,
-    location: loc.name,
-    centerLat: loc.lat,
-    centerLon: loc.lon,
-    radiusKm,
-    cloudCeilingFt,
-    aircraft
-  };
-}
+  const zone = findZone(req.params.id);
+  if (!zone) {
+    return res.status(404).json({ error: 'Unknown zone' });
+  }
 
-// ---------------------------------------------------------------------
-// Express
-// ---------------------------------------------------------------------
+  const range = parseTrackRange(
+    req.query,
+    ZONE_EVENTS_DEFAULT_MS,
+    ZONE_EVENT_RETENTION_DAYS * 86400000
+  );
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
 
-app.use(express.static(path.join(__dirname, 'public')));
+  const type = req.query.type ? String(req.query.type) : null;
+  if (type && type !== 'enter' && type !== 'exit') {
+    return res.status(400).json({ error: 'type must be enter or exit' });
+  }
+  const limitRaw = req.query.limit ? parseInt(req.query.limit, 10) : ZONE_EVENTS_LIMIT;
+  const limit = Math.min(Math.max(limitRaw || ZONE_EVENTS_LIMIT, 1), ZONE_EVENTS_LIMIT);
+
+  const events = queryZoneEvents(zone.id, { ...range, type, limit });
+  const baseName = `zone-${zone.id}-events-${exportStamp()}`;
+  if (format === 'csv') {
+    return sendExport(res, 'text/csv; charset=utf-8', `${baseName}.csv`,
+      toCsv(ZONE_EVENT_CSV_COLUMNS, events));
+  }
+  if (format === 'ndjson') {
+    const ndjson = events.map((e) => JSON.stringify(e) + '\n').join('');
+    return sendExport(res, 'application/x-ndjson', `${baseName}.ndjson`, ndjson);
+  }
+
+  const occupants = zoneOccupancy.get(zone.id) || new Map();
+  res.json({
+    zone: zoneToJson(zone),
+    from: new Date(range.fromMs).toISOString(),
+    to: new Date(range.toMs).toISOString(),
+    summary: {
+      entries: events.filter((e) => e.type === 'enter').length,
+      exits: events.filter((e) => e.type === 'exit').length,
+      aircraft: new Set(events.map((e) => e.aircraftKey)).size
+    },
+    inside: Array.from(occupants, ([aircraftKey, state]) => ({
+      aircraftKey,
+      callsign: state.ac.callsign || null,
+      icao24: state.ac.icao24 || null,
+      since: new Date(state.enteredAt).toISOString()
+    })),
+    events
+  });
+});
 
-// Flight history API - in-memory (resets on server restart)
-app.get('/api/flight-history', (req, res) => {
-  const rawDate = req.query.date;
-  const dateFilter = rawDate ? String(rawDate).trim() : null; // if null => all dates
-  const flightKeyFilter = req.query.flightKey ? String(req.query.flightKey).trim() : null;
-  const limit = req.query.limit ? parseInt(req.query.limit, 10) || 500 : 500;
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
 
-  const results = queryFlightHistory({
-    dateFilter,
-    flightKeyFilter,
-    limit
+// Airline database: ?q= matches ICAO/IATA code, name or telephony callsign
+app.get('/api/airlines', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 1000);
+  res.json({
+    ...airlineDbInfo,
+    airlines: searchAirlines(req.query.q, limit)
   });
+});
 
-  res.json(results);
+app.get('/api/airlines/:icao', (req, res) => {
+  const airline = getAirlineByIcao(req.params.icao);
+  if (!airline) {
+    return res.status(404).json({ error: 'Unknown airline' });
+  }
+  res.json(airline);
 });
 
-app.get('/api/aircraft', async (req, res) => {
-  const location = req.query.location || '2';
-  const radiusKm = req.query.radiusKm;
+app.post('/api/airlines/refresh', async (req, res) => {
   try {
-    const result = await getAircraftForLocationKey(location, radiusKm);
-    res.json(result);
+    res.json(await refreshAirlineDb());
   } catch (err) {
-    console.error('[API] Error in /api/aircraft:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('[AIRLINES] Refresh failed:', err.message);
+    res.status(502).json({ error: 'Airline refresh failed: ' + err.message });
   }
 });
 
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// Re-read the airline files, e.g. after editing the overrides file
+app.post('/api/airlines/reload', (req, res) => {
+  loadAirlineDb();
+  res.json(airlineDbInfo);
+});
+
+// Route lookup providers: budgets, queues and backoff, plus which
+// source answered for each airline
+app.get('/api/route-sources', (req, res) => {
+  res.json({
+    providers: getRouteProviderStatus(),
+    successByAirline: routeSourceStats,
+    cachedCallsigns: Object.keys(routeCache).length
+  });
 });
 
+// Receiver feeds status
+app.get('/api/feeds', (req, res) => {
+  res.json({
+    feeds: feedStatus,
+    liveAircraft: liveAircraft.size
+  });
+});
+
+startLiveFeeds();
+startAlertLoop();
+startTrackRecorder();
+startCoverageSaver();
+startRouteUsageSaver();
+startFlightHistoryFlusher();
+loadAircraftDb();
+ensureTypeFirstSeen(); // builds the stats "new types" index in the background
+
 app.listen(PORT, () => {
   console.log(`ADSBViewer Node app listening on http://localhost:${PORT}`);
 });